@@ -0,0 +1,360 @@
+/**
+ * HTML for the admin pages (served by server.js behind admin authentication).
+ * Same approach as the chat UI: self-contained pages with inline CSS and JS that
+ * talk to the JSON routes. All data is rendered with textContent, never as markup.
+ */
+
+// Shared dark theme for the admin pages
+const ADMIN_STYLE = `
+    body { margin: 0; padding: 1.25rem; font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+           background: #0A0A0A; color: #F2F2F2; }
+    nav { font-size: 0.85rem; margin-bottom: 0.75rem; }
+    nav a { color: #F4C200; }
+    h1 { margin: 0 0 0.25rem; font-size: 1.2rem; color: #00A859; }
+    p { margin: 0 0 1rem; color: #BDBDBD; font-size: 0.9rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { text-align: left; vertical-align: top; padding: 0.5rem; border-bottom: 1px solid #2E2E2E; }
+    th { color: #F4C200; }
+    ul { margin: 0; padding-left: 1rem; }
+    input, textarea { width: 100%; box-sizing: border-box; padding: 0.5rem; border-radius: 0.4rem;
+                      border: 1px solid #333; background: #111; color: #F2F2F2; font: inherit; }
+    textarea { min-height: 5rem; }
+    button { padding: 0.35rem 0.7rem; margin: 0 0.3rem 0.3rem 0; background: #00A859; color: white;
+             border: none; border-radius: 0.4rem; font-weight: 600; cursor: pointer; }
+    button.secondary { background: transparent; border: 1px solid #2E2E2E; color: #F2F2F2; }
+    .muted { color: #BDBDBD; }
+    .status { font-size: 0.75rem; font-weight: 700; text-transform: uppercase; }
+    .status.edited, .status.added { color: #F4C200; }
+    .status.disabled, .status.orphaned { color: #E60028; }
+    .panel { background: #111; border: 1px solid #2E2E2E; border-radius: 0.6rem; padding: 0.9rem; margin-bottom: 1rem; }
+`;
+
+// KB admin console: list, add, edit, disable and revert entries via /admin/kb.
+const adminHtml = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>KB Admin — Change Management Chatbot</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>${ADMIN_STYLE}</style>
+</head>
+<body>
+  <nav><a href="/admin/gaps">Knowledge gaps</a> · <a href="/admin/versions">KB versions</a> · <a href="/">Chat</a></nav>
+  <h1>Knowledge base entries</h1>
+  <p>Changes here are stored as overrides and merged on top of the source documents — no PDF round trip needed.</p>
+
+  <form id="addForm" class="panel">
+    <strong>Add an entry</strong>
+    <p></p>
+    <input id="newQ" placeholder="Question" />
+    <p></p>
+    <textarea id="newA" placeholder="Answer"></textarea>
+    <p></p>
+    <input id="newAudience" placeholder="Audience: roles that may see it, e.g. cab, implementer (empty = everyone)" />
+    <p></p>
+    <button type="submit">Add entry</button>
+  </form>
+
+  <input id="filter" placeholder="Filter by question, answer, status or audience…" />
+  <p id="summary"></p>
+  <table>
+    <thead><tr><th>Status</th><th>Question</th><th>Answer</th><th>Source</th><th></th></tr></thead>
+    <tbody id="rows"></tbody>
+  </table>
+
+  <script>
+    let ENTRIES = [];
+
+    // Element with text content (never parsed as HTML)
+    function el(tag, text, cls) {
+      const node = document.createElement(tag);
+      if (text !== undefined) node.textContent = text;
+      if (cls) node.className = cls;
+      return node;
+    }
+
+    function button(label, onClick, cls) {
+      const b = el("button", label, cls);
+      b.type = "button";
+      b.addEventListener("click", onClick);
+      return b;
+    }
+
+    // JSON request to the admin API; throws with the server's error message on failure
+    async function api(method, url, body) {
+      const res = await fetch(url, {
+        method,
+        headers: method === "GET" ? {} : { "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || ("HTTP " + res.status));
+      return data;
+    }
+
+    async function load() {
+      ENTRIES = (await api("GET", "/admin/kb")).entries;
+      render();
+    }
+
+    function sourceLabel(source) {
+      if (!source) return "—";
+      if (source.admin) return "Admin console";
+      return source.file + (source.page ? ", p. " + source.page : "") + (source.section ? " — " + source.section : "");
+    }
+
+    // Run an API call, then reload the table (or show the error)
+    async function act(promise) {
+      try { await promise; await load(); }
+      catch (err) { alert(err.message); }
+    }
+
+    function actions(entry) {
+      const cell = el("td");
+      cell.appendChild(button("Edit", () => edit(entry), "secondary"));
+      if (entry.status === "disabled") {
+        cell.appendChild(button("Enable", () => act(api("PUT", "/admin/kb/" + entry.id, { disabled: false })), "secondary"));
+      } else if (entry.status !== "orphaned") {
+        cell.appendChild(button("Disable", () => act(api("PUT", "/admin/kb/" + entry.id, { disabled: true })), "secondary"));
+      }
+      if (entry.status === "edited" || (entry.status === "disabled" && entry.original)) {
+        cell.appendChild(button("Revert", () => act(api("DELETE", "/admin/kb/" + entry.id)), "secondary"));
+      }
+      if (entry.status === "added" || entry.status === "orphaned" || (entry.status === "disabled" && !entry.original)) {
+        cell.appendChild(button("Delete", () => {
+          if (confirm("Delete this entry?")) act(api("DELETE", "/admin/kb/" + entry.id));
+        }, "secondary"));
+      }
+      return cell;
+    }
+
+    // Replace a row with an inline editor
+    function edit(entry) {
+      const row = document.querySelector('tr[data-id="' + entry.id + '"]');
+      const q = el("input"); q.value = entry.q;
+      const a = el("textarea"); a.value = entry.a;
+      const audience = el("input"); audience.value = entry.audience.join(", ");
+      audience.placeholder = "Audience: roles that may see it (empty = everyone)";
+      const editor = el("td");
+      editor.colSpan = 4;
+      editor.append(q, a, audience);
+      if (entry.original) editor.appendChild(el("div", "Document text: " + entry.original.q, "muted"));
+      const buttons = el("td");
+      buttons.appendChild(button("Save", () => {
+        // Only a changed audience is stored, so the document keeps control of it otherwise
+        const body = { q: q.value, a: a.value };
+        if (audience.value.trim() !== entry.audience.join(", ")) body.audience = audience.value;
+        act(api("PUT", "/admin/kb/" + entry.id, body));
+      }));
+      buttons.appendChild(button("Cancel", render, "secondary"));
+      row.replaceChildren(editor, buttons);
+    }
+
+    function render() {
+      const term = document.getElementById("filter").value.trim().toLowerCase();
+      const shown = ENTRIES.filter(e => !term ||
+        (e.q + " " + e.a + " " + e.status + " " + e.audience.join(" ")).toLowerCase().includes(term));
+      const rows = document.getElementById("rows");
+      rows.replaceChildren();
+      for (const entry of shown) {
+        const tr = el("tr");
+        tr.dataset.id = entry.id;
+        tr.appendChild(el("td", entry.status, "status " + entry.status));
+        tr.appendChild(el("td", entry.q));
+        tr.appendChild(el("td", entry.a.length > 240 ? entry.a.slice(0, 237) + "…" : entry.a));
+        tr.appendChild(el("td", sourceLabel(entry.source) + (entry.audience.length ? " · Audience: " + entry.audience.join(", ") : ""), "muted"));
+        tr.appendChild(actions(entry));
+        rows.appendChild(tr);
+      }
+      document.getElementById("summary").textContent = shown.length + " of " + ENTRIES.length + " entries";
+    }
+
+    document.getElementById("filter").addEventListener("input", render);
+
+    document.getElementById("addForm").addEventListener("submit", e => {
+      e.preventDefault();
+      const q = document.getElementById("newQ");
+      const a = document.getElementById("newA");
+      const audience = document.getElementById("newAudience");
+      act(api("POST", "/admin/kb", { q: q.value, a: a.value, audience: audience.value })
+        .then(() => { q.value = ""; a.value = ""; audience.value = ""; }));
+    });
+
+    load().catch(err => { document.getElementById("summary").textContent = "Could not load entries: " + err.message; });
+  </script>
+</body>
+</html>`;
+
+// Admin view of the gap analysis: fetches /gaps and renders one row per cluster.
+const gapsHtml = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>Knowledge Gaps — Change Management Chatbot</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>${ADMIN_STYLE}</style>
+</head>
+<body>
+  <nav><a href="/admin">KB entries</a> · <a href="/admin/versions">KB versions</a> · <a href="/">Chat</a></nav>
+  <h1>Knowledge gaps</h1>
+  <p id="summary">Loading…</p>
+  <table>
+    <thead><tr><th>Keywords</th><th>Misses</th><th>Example questions</th><th>Closest KB entry</th><th>Last seen</th></tr></thead>
+    <tbody id="rows"></tbody>
+  </table>
+  <script>
+    // Small helper: element with text content (never parsed as HTML)
+    function el(tag, text, cls) {
+      const node = document.createElement(tag);
+      if (text !== undefined) node.textContent = text;
+      if (cls) node.className = cls;
+      return node;
+    }
+
+    fetch("/gaps?limit=100").then(r => r.json()).then(data => {
+      document.getElementById("summary").textContent =
+        data.total + " unanswered question(s) in " + data.clusters.length + " topic cluster(s), biggest gap first.";
+      const rows = document.getElementById("rows");
+      for (const c of data.clusters) {
+        const tr = document.createElement("tr");
+        tr.appendChild(el("td", c.keywords.join(", ")));
+        tr.appendChild(el("td", String(c.count)));
+        const examples = el("ul");
+        c.examples.forEach(q => examples.appendChild(el("li", q)));
+        const exCell = el("td");
+        exCell.appendChild(examples);
+        tr.appendChild(exCell);
+        tr.appendChild(c.nearMiss
+          ? el("td", c.nearMiss.q + " (avg score " + Math.round(c.nearMiss.avgScore * 100) + "%)")
+          : el("td", "none", "muted"));
+        tr.appendChild(el("td", c.lastSeen ? new Date(c.lastSeen).toLocaleString() : ""));
+        rows.appendChild(tr);
+      }
+    }).catch(() => {
+      document.getElementById("summary").textContent = "Could not load the gap report.";
+    });
+  </script>
+</body>
+</html>`;
+
+// KB version history: change counts, per-version diff, rollback and manual reload.
+const versionsHtml = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>KB Versions — Change Management Chatbot</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>${ADMIN_STYLE}</style>
+</head>
+<body>
+  <nav><a href="/admin">KB entries</a> · <a href="/admin/gaps">Knowledge gaps</a> · <a href="/">Chat</a></nav>
+  <h1>Knowledge base versions</h1>
+  <p>Every successful load of the source documents is stored as a version. A reload that comes back empty
+     or loses too many entries is rejected and the live KB stays as it was.</p>
+  <div class="panel">
+    <p id="summary">Loading…</p>
+    <button type="button" id="reloadBtn">Reload sources now</button>
+    <button type="button" id="forceBtn" class="secondary">Force reload (skip entry-count check)</button>
+  </div>
+  <table>
+    <thead><tr><th>Version</th><th>Stored</th><th>Reason</th><th>Entries</th><th>Changes</th><th></th></tr></thead>
+    <tbody id="rows"></tbody>
+  </table>
+  <div id="diff"></div>
+
+  <script>
+    // Element with text content (never parsed as HTML)
+    function el(tag, text, cls) {
+      const node = document.createElement(tag);
+      if (text !== undefined) node.textContent = text;
+      if (cls) node.className = cls;
+      return node;
+    }
+
+    function button(label, onClick, cls) {
+      const b = el("button", label, cls);
+      b.type = "button";
+      b.addEventListener("click", onClick);
+      return b;
+    }
+
+    async function api(method, url, body) {
+      const res = await fetch(url, {
+        method,
+        headers: method === "GET" ? {} : { "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.problem || data.error || ("HTTP " + res.status));
+      return data;
+    }
+
+    async function load() {
+      const data = await api("GET", "/kb/versions");
+      let summary = data.current ? "Serving version " + data.current + "." : "No stored version is being served.";
+      if (data.lastRejected) {
+        summary += " Last rejected reload (" + new Date(data.lastRejected.at).toLocaleString() + "): " + data.lastRejected.problem;
+      }
+      document.getElementById("summary").textContent = summary;
+
+      const rows = document.getElementById("rows");
+      rows.replaceChildren();
+      for (const v of data.versions) {
+        const tr = el("tr");
+        tr.appendChild(el("td", "v" + v.version + (v.version === data.current ? " (live)" : ""), v.version === data.current ? "status added" : ""));
+        tr.appendChild(el("td", new Date(v.at).toLocaleString()));
+        tr.appendChild(el("td", v.reason));
+        tr.appendChild(el("td", String(v.count)));
+        tr.appendChild(el("td", "+" + v.changes.added + " −" + v.changes.removed + " ~" + v.changes.changed));
+        const cell = el("td");
+        cell.appendChild(button("Diff", () => showDiff(v.version), "secondary"));
+        if (v.version !== data.current) cell.appendChild(button("Roll back", () => rollback(v.version)));
+        tr.appendChild(cell);
+        rows.appendChild(tr);
+      }
+    }
+
+    function diffList(title, items, describe) {
+      const panel = el("div", undefined, "panel");
+      panel.appendChild(el("strong", title + " (" + items.length + ")"));
+      const list = el("ul");
+      items.forEach(item => list.appendChild(el("li", describe(item))));
+      panel.appendChild(list);
+      return panel;
+    }
+
+    async function showDiff(version) {
+      const target = document.getElementById("diff");
+      try {
+        const d = await api("GET", "/kb/versions/" + version);
+        target.replaceChildren(
+          el("h1", "v" + version + " compared with " + (d.from ? "v" + d.from : "an empty KB")),
+          diffList("Added", d.added, e => e.q),
+          diffList("Removed", d.removed, e => e.q),
+          diffList("Changed", d.changed, e => e.q + " — was: " + e.before.a.slice(0, 160) + " — now: " + e.after.a.slice(0, 160))
+        );
+        target.scrollIntoView();
+      } catch (err) { alert(err.message); }
+    }
+
+    async function rollback(version) {
+      if (!confirm("Serve version " + version + " until the source documents change again?")) return;
+      try { await api("POST", "/admin/versions/" + version + "/rollback"); await load(); }
+      catch (err) { alert(err.message); }
+    }
+
+    async function reload(force) {
+      try { await api("POST", "/admin/reload", { force }); }
+      catch (err) { alert("Reload rejected: " + err.message); }
+      await load();
+    }
+
+    document.getElementById("reloadBtn").addEventListener("click", () => reload(false));
+    document.getElementById("forceBtn").addEventListener("click", () => reload(true));
+
+    load().catch(err => { document.getElementById("summary").textContent = "Could not load versions: " + err.message; });
+  </script>
+</body>
+</html>`;
+
+module.exports = { adminHtml, gapsHtml, versionsHtml };
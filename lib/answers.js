@@ -0,0 +1,158 @@
+/**
+ * Answer generation: turns the passages retrieved for a question into the reply text.
+ *
+ * A generator is an object with a name and an async generate():
+ *
+ *   generator.generate({ question, passages }) → Promise<{ text, sources, refused? }>
+ *
+ * - 'passages' are ranked KB results ({ id, q, a, score, citation, … }), best first
+ * - 'sources' are the passages the text was taken from
+ * - 'refused' means the passages do not answer the question; 'text' then says so
+ * Generators must only use what is in the passages: answers come from the KB, never
+ * from general knowledge. One that throws is replaced by the extractive generator.
+ */
+
+const { analyze, splitSentences } = require('./text');
+const { hasBlocks } = require('./format');
+
+const REFUSAL = "I couldn't find that in the knowledge base.";
+
+// ---------------------------------------------
+// EXTRACTIVE (default)
+// ---------------------------------------------
+const SHORT_ANSWER = 300;                    // Answers up to this many characters are returned whole
+const MAX_SENTENCES = 3;                     // Sentences picked from longer answers
+const MIN_RELATIVE_SCORE = 0.5;              // Picked sentences score at least half the best one
+
+/**
+ * Pick the sentences of the top passages that share the most terms with the question.
+ * - A short top answer, or one with a list or table, is returned whole (it is already to the
+ *   point, or cutting it into sentences would break the steps apart)
+ * - Other passages with lists or tables add no sentences
+ * - Sentences are scored by the share of question terms they contain times their passage's score,
+ *   so the best match dominates and other passages only add clearly relevant sentences
+ * - Picked sentences keep their passage and document order
+ * - When no sentence shares a term (the match came from the question wording), the top answer is returned whole
+ */
+const extractive = {
+  name: "extractive",
+  async generate({ question, passages }) {
+    const top = passages[0];
+    const whole = { text: top.a.trim(), sources: [top] };
+    const terms = new Set(analyze(question));
+    if (top.a.length <= SHORT_ANSWER || !terms.size || hasBlocks(top.a)) return whole;
+
+    const candidates = [];
+    passages.forEach((passage, p) => {
+      if (hasBlocks(passage.a)) return;
+      splitSentences(passage.a).forEach((sentence, s) => {
+        const words = new Set(analyze(sentence));
+        let hits = 0;
+        for (const t of terms) if (words.has(t)) hits++;
+        if (hits) candidates.push({ p, s, text: sentence.trim(), score: hits / terms.size * passage.score });
+      });
+    });
+    if (!candidates.some(c => c.p === 0)) return whole;
+
+    candidates.sort((x, y) => y.score - x.score);
+    const best = candidates[0].score;
+    const chosen = candidates
+      .slice(0, MAX_SENTENCES)
+      .filter(c => c.score >= best * MIN_RELATIVE_SCORE)
+      .sort((x, y) => x.p - y.p || x.s - y.s);
+
+    return {
+      text: chosen.map(c => c.text).join(" "),
+      sources: [...new Set(chosen.map(c => passages[c.p]))]
+    };
+  }
+};
+
+// ---------------------------------------------
+// LOCAL LLM (OpenAI-compatible chat completions)
+// ---------------------------------------------
+const SYSTEM_PROMPT = [
+  "You are the Technology Change Management FAQ assistant.",
+  "Answer only with facts stated in the numbered knowledge base passages you are given.",
+  "Do not use any outside knowledge, and do not guess.",
+  "Cite the passage number in square brackets after every sentence, e.g. [1].",
+  "If the passages do not answer the question, reply with exactly: NO_ANSWER",
+  "Keep the answer under 120 words."
+].join("\n");
+
+/**
+ * Generator backed by an OpenAI-compatible /chat/completions endpoint, e.g. Ollama
+ * (http://localhost:11434/v1) or llama.cpp's server (http://localhost:8080/v1).
+ * Options: { url, model, apiKey?, timeoutMs? }
+ *
+ * The reply is checked before it is used:
+ * - "NO_ANSWER" becomes a refusal
+ * - A reply that cites none of the passages is treated as ungrounded and throws
+ *   (so the caller falls back to the extractive answer)
+ * - Citations are renumbered to match the returned 'sources'
+ */
+function createLlmGenerator({ url, model, apiKey, timeoutMs = 15000 }) {
+  const endpoint = url.replace(/\/+$/, "") + "/chat/completions";
+  return {
+    name: "llm",
+    async generate({ question, passages }) {
+      const context = passages
+        .map((p, i) => "[" + (i + 1) + "] Q: " + p.q + "\nA: " + p.a)
+        .join("\n\n");
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { "Authorization": "Bearer " + apiKey } : {})
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          messages: [
+            { role: "system", content: SYSTEM_PROMPT },
+            { role: "user", content: "Passages:\n" + context + "\n\nQuestion: " + question }
+          ]
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!res.ok) throw new Error("LLM endpoint answered HTTP " + res.status);
+
+      const data = await res.json();
+      const reply = (data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content || "").trim();
+      if (!reply || /^NO_ANSWER\b/.test(reply)) return { text: REFUSAL, sources: [], refused: true };
+
+      // Keep only citations of real passages, numbered in order of first use
+      const order = [];
+      const text = reply.replace(/(\s*)\[(\d+)\]/g, (marker, space, n) => {
+        const passage = passages[Number(n) - 1];
+        if (!passage) return "";
+        if (!order.includes(passage)) order.push(passage);
+        return space + "[" + (order.indexOf(passage) + 1) + "]";
+      }).trim();
+      if (!order.length) throw new Error("LLM reply cites no passage");
+      return { text, sources: order };
+    }
+  };
+}
+
+// ---------------------------------------------
+// REGISTRY
+// ---------------------------------------------
+// Generator name → generator. Extend with registerGenerator().
+const GENERATORS = new Map([[extractive.name, extractive]]);
+
+/**
+ * Register (or replace) a generator under its name.
+ */
+function registerGenerator(generator) {
+  GENERATORS.set(generator.name, generator);
+}
+
+/**
+ * Generator for a name, or undefined when none is registered.
+ */
+function generatorFor(name) {
+  return GENERATORS.get(name);
+}
+
+module.exports = { extractive, createLlmGenerator, registerGenerator, generatorFor };
@@ -0,0 +1,162 @@
+/**
+ * Authentication, roles and KB audiences.
+ *
+ * An authenticator is an object with a name and an async authenticate():
+ *
+ *   authenticator.authenticate(username, password) → Promise<user | null>
+ *
+ * - 'user' is { username, name, roles }; null means the credentials are wrong
+ * - Authenticators throw when the identity provider cannot be reached
+ *
+ * Roles are fixed (ROLES). KB entries may carry an 'audience': the roles allowed to see them.
+ * Entries without one are public; admins see everything (see canSee).
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ["requester", "implementer", "cab", "release-manager", "admin"];
+const DEFAULT_ROLE = "requester";            // Role of users the provider gives no known role
+const SCRYPT = { N: 16384, r: 8, p: 1 };     // Cost of new password hashes
+const KEY_LENGTH = 32;
+
+// ---------------------------------------------
+// ROLES + AUDIENCES
+// ---------------------------------------------
+/**
+ * Known roles from a list or comma-separated string, lower-cased and without repeats.
+ */
+function parseRoles(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[,;]/);
+  return [...new Set(list.map(r => String(r).trim().toLowerCase()).filter(r => ROLES.includes(r)))];
+}
+
+/**
+ * May 'user' (null = anonymous) see 'entry'? Public entries yes; otherwise only
+ * users with one of its audience roles, or admins.
+ */
+function canSee(user, entry) {
+  if (!entry.audience || !entry.audience.length) return true;
+  if (!user) return false;
+  return user.roles.includes("admin") || entry.audience.some(role => user.roles.includes(role));
+}
+
+// ---------------------------------------------
+// PASSWORDS
+// ---------------------------------------------
+/**
+ * Hash a password for the users file: "scrypt$N$r$p$<salt>$<hash>" (base64 salt and hash).
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, SCRYPT);
+  return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+/**
+ * Does 'password' match a hash made by hashPassword()? Malformed hashes never match.
+ */
+async function verifyPassword(password, stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+  const [N, r, p] = parts.slice(1, 4).map(Number);
+  const expected = Buffer.from(parts[5], "base64");
+  if (!expected.length) return false;
+  const hash = await scrypt(password, Buffer.from(parts[4], "base64"), expected.length, { N, r, p, maxmem: 256 * N * r });
+  return crypto.timingSafeEqual(hash, expected);
+}
+
+// ---------------------------------------------
+// LOCAL USERS FILE
+// ---------------------------------------------
+/**
+ * Authenticator over a JSON users file:
+ *   { "users": [{ "username", "name"?, "roles": ["cab", …], "password": "scrypt$…" }] }
+ * Hashes come from `node server.js --hash-password`. The file is read on every sign-in,
+ * so added users and changed roles apply without a restart.
+ * Options: { file }
+ */
+function createLocalAuthenticator({ file }) {
+  // Unknown user names still cost one hash, so timing does not reveal which names exist
+  const decoy = hashPassword(crypto.randomBytes(16).toString("hex"));
+  return {
+    name: "local",
+    async authenticate(username, password) {
+      const data = JSON.parse(await fs.promises.readFile(file, "utf8"));
+      const user = (data.users || []).find(u => u && typeof u.username === "string" &&
+        u.username.toLowerCase() === String(username).toLowerCase());
+      if (!user) {
+        await verifyPassword(password, await decoy);
+        return null;
+      }
+      if (!await verifyPassword(password, user.password)) return null;
+      const roles = parseRoles(user.roles);
+      return { username: user.username, name: user.name || user.username, roles: roles.length ? roles : [DEFAULT_ROLE] };
+    }
+  };
+}
+
+// ---------------------------------------------
+// OIDC (password grant)
+// ---------------------------------------------
+/**
+ * Authenticator for an OpenID Connect provider that allows the resource owner password grant
+ * (Keycloak, many enterprise IdPs in front of LDAP, or a local stub):
+ *   GET  {issuer}/.well-known/openid-configuration → { token_endpoint, userinfo_endpoint }
+ *   POST token_endpoint (grant_type=password)      → { access_token }
+ *   GET  userinfo_endpoint                         → { sub, preferred_username?, name?, groups? | roles? }
+ * Groups become roles through 'groupRoles' ({ "<group>": "<role>" }); a group named like a role
+ * counts as that role. Options: { issuer, clientId, clientSecret?, groupRoles?, timeoutMs? }
+ */
+function createOidcAuthenticator({ issuer, clientId, clientSecret, groupRoles = {}, timeoutMs = 10000 }) {
+  const base = issuer.replace(/\/+$/, "");
+  let endpoints = null;
+
+  async function discover() {
+    if (endpoints) return endpoints;
+    const res = await fetch(base + "/.well-known/openid-configuration", { signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) throw new Error("OIDC discovery answered HTTP " + res.status);
+    const config = await res.json();
+    if (!config.token_endpoint || !config.userinfo_endpoint) throw new Error("OIDC discovery lacks token or userinfo endpoint");
+    endpoints = config;
+    return endpoints;
+  }
+
+  return {
+    name: "oidc",
+    async authenticate(username, password) {
+      const { token_endpoint, userinfo_endpoint } = await discover();
+      const form = new URLSearchParams({ grant_type: "password", username, password, client_id: clientId, scope: "openid profile" });
+      if (clientSecret) form.set("client_secret", clientSecret);
+      const tokenRes = await fetch(token_endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded", "Accept": "application/json" },
+        body: form,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (tokenRes.status === 400 || tokenRes.status === 401) return null;
+      if (!tokenRes.ok) throw new Error("OIDC token endpoint answered HTTP " + tokenRes.status);
+      const { access_token } = await tokenRes.json();
+      if (!access_token) throw new Error("OIDC token response has no access_token");
+
+      const infoRes = await fetch(userinfo_endpoint, {
+        headers: { "Authorization": "Bearer " + access_token, "Accept": "application/json" },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!infoRes.ok) throw new Error("OIDC userinfo endpoint answered HTTP " + infoRes.status);
+      const info = await infoRes.json();
+
+      const groups = [].concat(info.groups || [], info.roles || []).map(String);
+      const roles = parseRoles(groups.map(g => groupRoles[g] || g));
+      const name = info.preferred_username || info.sub || username;
+      return { username: name, name: info.name || name, roles: roles.length ? roles : [DEFAULT_ROLE] };
+    }
+  };
+}
+
+module.exports = {
+  ROLES, parseRoles, canSee, hashPassword, verifyPassword, createLocalAuthenticator, createOidcAuthenticator
+};
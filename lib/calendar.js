@@ -0,0 +1,344 @@
+/**
+ * Change calendar: change windows, freeze/blackout periods, CAB meetings and holidays
+ * read from a local iCalendar (.ics) file.
+ *
+ * Supported per VEVENT: SUMMARY, DESCRIPTION, CATEGORIES, DTSTART/DTEND (UTC "Z", TZID=…,
+ * floating or VALUE=DATE), DURATION, RRULE (FREQ=DAILY|WEEKLY|MONTHLY|YEARLY with INTERVAL,
+ * BYDAY, BYMONTHDAY, UNTIL, COUNT) and EXDATE. That covers what calendar apps export
+ * for recurring meetings and all-day periods.
+ *
+ * Each event gets a kind from its CATEGORIES, or failing that its SUMMARY:
+ *   "freeze" (freeze, blackout, moratorium), "window", "cab", "holiday"; anything else is ignored.
+ * All times are local times of the calendar's time zone (see lib/dates.js).
+ */
+
+const fs = require('fs');
+const { DAY, local, toLocal, fromLocal, addDays, weekday, formatDay, formatTime } = require('./dates');
+
+const HORIZON_DAYS = 400;                    // How far ahead "next …" questions look
+const MAX_ITERATIONS = 10000;                // Safety cap on recurrence expansion per event
+
+const KINDS = [
+  ["freeze", /freeze|blackout|moratorium/i],
+  ["cab", /\bcab\b|advisory board/i],
+  ["window", /window|maintenance/i],
+  ["holiday", /holiday/i]
+];
+
+const BYDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// ---------------------------------------------
+// PARSING
+// ---------------------------------------------
+/**
+ * Content lines of an ICS file, with folded lines joined back together.
+ * Each line: { name, params: { TZID?, VALUE? }, value }.
+ */
+function contentLines(text) {
+  return text
+    .replace(/\r\n/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter(line => line.trim())
+    .map(line => {
+      const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+      const head = line.slice(0, colon).split(";");
+      const params = {};
+      for (const p of head.slice(1)) {
+        const [key, val] = p.split("=");
+        params[key.toUpperCase()] = (val || "").replace(/^"|"$/g, "");
+      }
+      return { name: head[0].toUpperCase(), params, value: line.slice(colon + 1) };
+    });
+}
+
+// ICS text escapes (\n, \, \; \\)
+function unescapeText(value) {
+  return value.replace(/\\([nN,;\\])/g, (m, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+/**
+ * Wall-clock time of a DATE or DATE-TIME value in the zone it was written in.
+ * Returns { t, allDay, zone } or null when the value is malformed; 'zone' is the value's
+ * own time zone ("UTC" for "Z" times, its TZID) or null for calendar-local values.
+ * Recurrences are expanded in that zone so they follow its daylight saving changes.
+ */
+function parseDateValue(value, params, timeZone) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return null;
+  const t = local(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0));
+  if (!m[4]) return { t, allDay: true, zone: null };
+  const zone = m[7] ? "UTC" : params.TZID;
+  return { t, allDay: false, zone: zone && zone !== timeZone && knownZone(zone) ? zone : null };
+}
+
+// Unknown TZIDs (e.g. Windows zone names) are read as calendar-local time
+function knownZone(zone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * A value in 'zone' as a local time of 'timeZone'.
+ */
+function convert(t, zone, timeZone) {
+  return zone ? toLocal(fromLocal(t, zone), timeZone) : t;
+}
+
+// ISO 8601 duration (P1D, PT3H30M, P1W) in milliseconds
+function parseDuration(value) {
+  const m = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const ms = ((+(m[2] || 0) * 7 + +(m[3] || 0)) * 24 * 60 + +(m[4] || 0) * 60 + +(m[5] || 0)) * 60000 + +(m[6] || 0) * 1000;
+  return m[1] === "-" ? -ms : ms;
+}
+
+// Parsed date value as a local time of 'timeZone' (undefined when malformed)
+function asLocal(value, timeZone) {
+  return value ? convert(value.t, value.zone, timeZone) : undefined;
+}
+
+function parseRule(value, timeZone) {
+  const rule = {};
+  for (const part of value.split(";")) {
+    const [key, val] = part.split("=");
+    rule[key.toUpperCase()] = val;
+  }
+  return {
+    freq: (rule.FREQ || "").toUpperCase(),
+    interval: Math.max(1, parseInt(rule.INTERVAL, 10) || 1),
+    count: parseInt(rule.COUNT, 10) || 0,
+    until: rule.UNTIL ? asLocal(parseDateValue(rule.UNTIL, {}, timeZone), timeZone) : undefined,
+    byDay: rule.BYDAY ? rule.BYDAY.split(",").map(d => {
+      const m = d.trim().toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+      return m && { nth: m[1] ? parseInt(m[1], 10) : 0, day: BYDAY_CODES.indexOf(m[2]) };
+    }).filter(Boolean) : [],
+    byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(",").map(Number).filter(Boolean) : []
+  };
+}
+
+function eventKind(categories, summary) {
+  for (const text of [categories, summary]) {
+    const kind = KINDS.find(([, re]) => re.test(text || ""));
+    if (kind) return kind[0];
+  }
+  return null;
+}
+
+/**
+ * Parse ICS text into { events: [{ kind, summary, description, start, zone, timeZone, duration, allDay, rule?, exdates }] }.
+ * 'start' is in the event's own zone (see parseDateValue); 'exdates' and the rule's 'until' are
+ * already local times of 'timeZone'. Events of no known kind or without a usable DTSTART are skipped.
+ */
+function parseCalendar(text, timeZone) {
+  const events = [];
+  let current = null;
+  for (const line of contentLines(text)) {
+    if (line.name === "BEGIN" && line.value.toUpperCase() === "VEVENT") {
+      current = { exdates: [] };
+    } else if (line.name === "END" && line.value.toUpperCase() === "VEVENT") {
+      if (current) {
+        const event = finishEvent(current, timeZone);
+        if (event) events.push(event);
+      }
+      current = null;
+    } else if (current) {
+      switch (line.name) {
+        case "SUMMARY": current.summary = unescapeText(line.value).trim(); break;
+        case "DESCRIPTION": current.description = unescapeText(line.value).trim(); break;
+        case "CATEGORIES": current.categories = unescapeText(line.value); break;
+        case "DTSTART": current.start = parseDateValue(line.value, line.params, timeZone); break;
+        case "DTEND": current.end = parseDateValue(line.value, line.params, timeZone); break;
+        case "DURATION": current.duration = parseDuration(line.value); break;
+        case "RRULE": current.rule = parseRule(line.value, timeZone); break;
+        case "EXDATE":
+          for (const v of line.value.split(",")) {
+            const ex = parseDateValue(v.trim(), line.params, timeZone);
+            if (ex) current.exdates.push(asLocal(ex, timeZone));
+          }
+          break;
+      }
+    }
+  }
+  return { events };
+}
+
+function finishEvent(raw, timeZone) {
+  const kind = eventKind(raw.categories, raw.summary);
+  if (!kind || !raw.start) return null;
+  let duration = raw.end ? asLocal(raw.end, timeZone) - asLocal(raw.start, timeZone) : raw.duration;
+  if (!(duration > 0)) duration = raw.start.allDay ? DAY : 0;
+  return {
+    kind,
+    summary: raw.summary || kind,
+    description: raw.description || "",
+    start: raw.start.t,
+    zone: raw.start.zone,
+    timeZone,
+    duration,
+    allDay: raw.start.allDay,
+    rule: raw.rule && ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(raw.rule.freq) ? raw.rule : undefined,
+    exdates: raw.exdates
+  };
+}
+
+/**
+ * Read and parse a calendar file. Throws if the file is unreadable.
+ */
+function loadCalendar(file, timeZone) {
+  return parseCalendar(fs.readFileSync(file, "utf8"), timeZone);
+}
+
+// ---------------------------------------------
+// RECURRENCE
+// ---------------------------------------------
+function daysInMonth(y, m) {
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+// Days of month (y, m) matching a BYDAY list like 1WE or -1FR (no ordinal = every such weekday)
+function monthDaysByWeekday(y, m, byDay) {
+  const days = [];
+  const count = daysInMonth(y, m);
+  for (const { nth, day } of byDay) {
+    const matches = [];
+    for (let d = 1; d <= count; d++) if (weekday(local(y, m, d)) === day) matches.push(d);
+    if (!nth) days.push(...matches);
+    else {
+      const d = nth > 0 ? matches[nth - 1] : matches[matches.length + nth];
+      if (d) days.push(d);
+    }
+  }
+  return days.sort((x, y2) => x - y2);
+}
+
+/**
+ * Candidate start times of one recurrence period (the n-th day/week/month/year after DTSTART).
+ */
+function periodStarts(event, n) {
+  const { rule, start } = event;
+  const time = start - Math.floor(start / DAY) * DAY;
+  const d0 = new Date(start);
+  const y = d0.getUTCFullYear();
+  const m = d0.getUTCMonth() + 1;
+  const step = n * rule.interval;
+
+  if (rule.freq === "DAILY") return [addDays(start, step)];
+  if (rule.freq === "WEEKLY") {
+    if (!rule.byDay.length) return [addDays(start, step * 7)];
+    // Weeks start on Monday (the iCalendar default)
+    const monday = addDays(start - time, -((weekday(start) + 6) % 7) + step * 7);
+    return rule.byDay
+      .map(({ day }) => addDays(monday, (day + 6) % 7) + time)
+      .sort((x, y2) => x - y2);
+  }
+  if (rule.freq === "MONTHLY") {
+    const first = new Date(Date.UTC(y, m - 1 + step, 1));
+    const py = first.getUTCFullYear();
+    const pm = first.getUTCMonth() + 1;
+    const days = rule.byDay.length ? monthDaysByWeekday(py, pm, rule.byDay)
+      : (rule.byMonthDay.length ? rule.byMonthDay : [d0.getUTCDate()])
+        .map(d => (d < 0 ? daysInMonth(py, pm) + d + 1 : d))
+        .filter(d => d >= 1 && d <= daysInMonth(py, pm));
+    return days.map(d => local(py, pm, d) + time);
+  }
+  // YEARLY: same month and day (29 Feb only in leap years)
+  const day = d0.getUTCDate();
+  return day <= daysInMonth(y + step, m) ? [local(y + step, m, day) + time] : [];
+}
+
+/**
+ * Occurrences of one event overlapping [from, to), each { kind, summary, description, start, end, allDay }.
+ */
+function expand(event, from, to) {
+  const out = [];
+  const push = start => {
+    if (start + event.duration > from && !event.exdates.includes(start)) {
+      out.push({
+        kind: event.kind, summary: event.summary, description: event.description,
+        start, end: start + event.duration, allDay: event.allDay
+      });
+    }
+  };
+  const toCalendar = t => convert(t, event.zone, event.timeZone);
+  if (!event.rule) {
+    if (toCalendar(event.start) < to) push(toCalendar(event.start));
+    return out;
+  }
+
+  // Periods are generated in the event's own zone, then converted
+  const { count, until } = event.rule;
+  let emitted = 0;
+  for (let n = 0; n < MAX_ITERATIONS; n++) {
+    for (const wall of periodStarts(event, n)) {
+      if (wall < event.start) continue;
+      const start = toCalendar(wall);
+      if ((until !== undefined && start > until) || start >= to || (count && emitted >= count)) return out;
+      emitted++;
+      push(start);
+    }
+  }
+  return out;
+}
+
+// ---------------------------------------------
+// QUERIES
+// ---------------------------------------------
+/**
+ * Every occurrence overlapping [from, to), by start time; optionally of one kind only.
+ */
+function occurrences(calendar, from, to, kind) {
+  return calendar.events
+    .filter(e => !kind || e.kind === kind)
+    .flatMap(e => expand(e, from, to))
+    .sort((x, y) => x.start - y.start || x.end - y.end);
+}
+
+/**
+ * Occurrences of any kind touching the day that starts at local midnight 'day'.
+ */
+function onDay(calendar, day, kind) {
+  return occurrences(calendar, day, addDays(day, 1), kind);
+}
+
+/**
+ * The first occurrence of 'kind' still running or starting after 'from', or null within the horizon.
+ * 'accept' can reject candidates (e.g. windows that fall in a freeze).
+ */
+function next(calendar, kind, from, accept = () => true) {
+  return occurrences(calendar, from, addDays(from, HORIZON_DAYS), kind).find(accept) || null;
+}
+
+/**
+ * Freezes overlapping an occurrence (or any [start, end) span).
+ */
+function freezesDuring(calendar, span) {
+  return occurrences(calendar, span.start, span.end, "freeze");
+}
+
+// ---------------------------------------------
+// FORMATTING
+// ---------------------------------------------
+/**
+ * Human-readable span of an occurrence, e.g.
+ * "Tuesday 20 October 2026, 20:00–23:00" or "Thursday 10 December 2026 – Sunday 10 January 2027".
+ * All-day events end on their last day (DTEND is exclusive).
+ */
+function formatOccurrence(occ) {
+  if (occ.allDay) {
+    const last = occ.end - DAY;
+    return last > occ.start ? formatDay(occ.start) + " – " + formatDay(last) : formatDay(occ.start);
+  }
+  if (Math.floor(occ.start / DAY) === Math.floor((occ.end - 1) / DAY)) {
+    return formatDay(occ.start) + ", " + formatTime(occ.start) + "–" + formatTime(occ.end);
+  }
+  return formatDay(occ.start) + " " + formatTime(occ.start) + " – " + formatDay(occ.end) + " " + formatTime(occ.end);
+}
+
+module.exports = {
+  parseCalendar, loadCalendar, occurrences, onDay, next, freezesDuring, formatOccurrence
+};
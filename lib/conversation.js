@@ -0,0 +1,94 @@
+/**
+ * Conversation context for follow-up questions.
+ *
+ * Each session keeps a small 'chat' object:
+ *   {
+ *     topic: { keywords, q } | null,    // keywords of the last standalone question that got an answer
+ *     turns: [{ question, resolved, matched, score, at }]  // most recent last
+ *   }
+ * A short follow-up ("what about emergency ones?") is answered by prefixing the
+ * topic keywords ("lead times") before scoring. Only messages that name something the KB knows
+ * about, or only point back ("and those?"), count as follow-ups: "pizza" or "asdfgh" must not
+ * borrow the topic's confident answer (and so go unlogged as a miss).
+ */
+
+const { analyzeTokens } = require('./text');
+
+const MAX_TURNS = 10;                        // Recent turns remembered per session
+const FOLLOW_UP_MAX_TERMS = 3;               // Questions with more content terms stand on their own
+
+// Phrases that only make sense relative to the previous question
+const FOLLOW_UP_CUES = /^(?:and|also|but|so|then)\b|^(?:what|how) about\b|^what if\b|\b(?:those|these|them|that one|ones|it|they|same)\b/i;
+const CUE_WORDS = new RegExp(FOLLOW_UP_CUES.source, "gi");
+
+/**
+ * Fresh per-session conversation state.
+ */
+function newConversation() {
+  return { topic: null, turns: [] };
+}
+
+/**
+ * Is this question short enough to lean on the previous topic? 'vocabulary' holds the KB's
+ * analyzed terms (anything with has(term), such as the search index's postings).
+ * Returns 'cue' when it reads like a follow-up ("and emergency?", "what about those?"), 'short'
+ * when it is merely brief, and null when it should be answered on its own:
+ * - more than FOLLOW_UP_MAX_TERMS content terms
+ * - no content term the KB uses ("pizza", "asdfgh qwerty"), unless it is a cue and nothing else
+ * - no content terms at all ("?????", control characters) and no cue
+ */
+function followUpKind(question, vocabulary) {
+  if (analyzeTokens(question).length > FOLLOW_UP_MAX_TERMS) return null;
+  // What is left once the cue words are gone ("those", "ones" say nothing about the subject)
+  const terms = analyzeTokens(question.trim().replace(CUE_WORDS, " "));
+  const known = terms.some(t => vocabulary.has(t.term));
+  if (FOLLOW_UP_CUES.test(question.trim()) && (known || !terms.length)) return "cue";
+  return known ? "short" : null;
+}
+
+/**
+ * Build the question actually scored for a follow-up: topic keywords + the new question.
+ * Returns null when there is no topic or the question stands on its own (see followUpKind).
+ */
+function resolveFollowUp(question, chat, vocabulary) {
+  if (!chat || !chat.topic || !followUpKind(question, vocabulary)) return null;
+  return chat.topic.keywords + " " + question;
+}
+
+/**
+ * Decide between the standalone and the context-resolved ranking.
+ * - An explicit follow-up cue prefers the resolved ranking when it is confident
+ * - Otherwise the resolved ranking only wins when the standalone one is low confidence
+ * Returns { ranked, followUp } where followUp tells whether the context was used.
+ */
+function chooseRanking(question, standalone, resolved, vocabulary) {
+  if (!resolved || resolved.lowConfidence) return { ranked: standalone, followUp: false };
+  if (followUpKind(question, vocabulary) === "cue" || standalone.lowConfidence) return { ranked: resolved, followUp: true };
+  return { ranked: standalone, followUp: false };
+}
+
+/**
+ * Remember a turn. Standalone questions that got a confident, unambiguous answer become the new topic;
+ * follow-ups keep the existing topic so a chain of them stays anchored to the same subject.
+ */
+function recordTurn(chat, question, resolvedQuestion, ranked, followUp) {
+  const top = ranked.lowConfidence || ranked.clarify ? null : ranked.results[0];
+
+  if (top && !followUp) {
+    chat.topic = {
+      keywords: [...new Set(analyzeTokens(question).map(t => t.word))].join(" "),
+      q: top.q
+    };
+  }
+
+  chat.turns.push({
+    question,
+    resolved: followUp ? resolvedQuestion : undefined,
+    matched: top ? top.q : null,
+    score: top ? top.score : 0,
+    at: new Date().toISOString()
+  });
+  if (chat.turns.length > MAX_TURNS) chat.turns.splice(0, chat.turns.length - MAX_TURNS);
+}
+
+module.exports = { newConversation, resolveFollowUp, chooseRanking, recordTurn };
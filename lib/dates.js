@@ -0,0 +1,159 @@
+/**
+ * Dates for the calendar and lead-time answers.
+ *
+ * Everything is computed in "local time" of one configured time zone. A local time
+ * is a number of milliseconds whose UTC fields are the wall-clock fields in that zone
+ * (local(2026, 12, 24, 14, 0) is 24 Dec 2026 14:00 wall time), so day arithmetic never
+ * has to think about offsets; conversion only happens at the edges (now, "Z" times).
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july",
+  "august", "september", "october", "november", "december"];
+
+// ---------------------------------------------
+// LOCAL TIME
+// ---------------------------------------------
+/**
+ * Local time from wall-clock fields (month is 1–12).
+ */
+function local(y, m, d, h = 0, min = 0) {
+  return Date.UTC(y, m - 1, d, h, min);
+}
+
+/**
+ * Wall-clock time in 'timeZone' at a real instant (ms since the epoch).
+ */
+function toLocal(instant, timeZone) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23",
+    year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric"
+  });
+  for (const p of fmt.formatToParts(new Date(instant))) parts[p.type] = Number(p.value);
+  return local(parts.year, parts.month, parts.day, parts.hour, parts.minute);
+}
+
+/**
+ * Real instant of a wall-clock time in 'timeZone' (inverse of toLocal).
+ */
+function fromLocal(localTime, timeZone) {
+  let guess = localTime;
+  for (let i = 0; i < 2; i++) guess += localTime - toLocal(guess, timeZone);
+  return guess;
+}
+
+// Midnight of the day a local time falls on
+function startOfDay(t) {
+  return Math.floor(t / DAY) * DAY;
+}
+
+function addDays(t, n) {
+  return t + n * DAY;
+}
+
+// 0 = Sunday … 6 = Saturday
+function weekday(t) {
+  return new Date(t).getUTCDay();
+}
+
+// ---------------------------------------------
+// FORMATTING
+// ---------------------------------------------
+function formatDay(t) {
+  const d = new Date(t);
+  const name = WEEKDAYS[d.getUTCDay()];
+  const month = MONTHS[d.getUTCMonth()];
+  return name[0].toUpperCase() + name.slice(1) + " " + d.getUTCDate() + " " +
+    month[0].toUpperCase() + month.slice(1) + " " + d.getUTCFullYear();
+}
+
+function formatTime(t) {
+  const d = new Date(t);
+  return String(d.getUTCHours()).padStart(2, "0") + ":" + String(d.getUTCMinutes()).padStart(2, "0");
+}
+
+// ---------------------------------------------
+// PARSING
+// ---------------------------------------------
+// Month name or 3+ letter abbreviation → 1–12
+function monthNumber(word) {
+  const w = word.toLowerCase();
+  const i = MONTHS.findIndex(m => m.startsWith(w.slice(0, 3)) && m.startsWith(w));
+  return i >= 0 ? i + 1 : 0;
+}
+
+const LEAP_DAY_YEARS = 8;                    // 29 Feb comes back within 8 years (2096 → 2104 skips 2100)
+
+const MONTH_RE = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const ORD = "(?:st|nd|rd|th)?";
+
+/**
+ * Find a date in free text, relative to 'today' (a local midnight).
+ * Returns { day, text } (day = local midnight, text = the words matched) or null.
+ * Understands:
+ * - "today", "tonight", "now", "tomorrow", "day after tomorrow"
+ * - weekdays: "Friday" / "this Friday" = the next one on or after today, "next Friday" = a week later
+ * - "2026-12-15", "15/12/2026", "15/12" (day first)
+ * - "Dec 15", "December 15th 2026", "15 Dec", "15th of December"
+ * - "the 30th" = the next 30th of a month, this month or next
+ * Dates without a year are the next such date (this year or next; for 29 Feb the next leap year).
+ */
+function parseDate(text, today) {
+  const s = text.toLowerCase();
+  const y0 = new Date(today).getUTCFullYear();
+  let m;
+
+  if ((m = s.match(/\bday after tomorrow\b/))) return { day: addDays(today, 2), text: m[0] };
+  if ((m = s.match(/\b(today|tonight|now|this (?:morning|afternoon|evening))\b/))) return { day: today, text: m[0] };
+  if ((m = s.match(/\btomorrow\b/))) return { day: addDays(today, 1), text: m[0] };
+
+  if ((m = s.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+    return valid(local(+m[1], +m[2], +m[3]), +m[2], +m[3], m[0]);
+  }
+  if ((m = s.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+    return withYear(+m[1], +m[2], m[3], m[0]);
+  }
+  if ((m = s.match(new RegExp("\\b" + MONTH_RE + "\\.? (\\d{1,2})" + ORD + "(?:,? (\\d{4}))?\\b")))) {
+    return withYear(+m[2], monthNumber(m[1]), m[3], m[0]);
+  }
+  if ((m = s.match(new RegExp("\\b(\\d{1,2})" + ORD + " (?:of )?" + MONTH_RE + "\\.?(?:,? (\\d{4}))?\\b")))) {
+    return withYear(+m[1], monthNumber(m[2]), m[3], m[0]);
+  }
+  if ((m = s.match(/\b(this |next )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/))) {
+    const ahead = (WEEKDAYS.indexOf(m[2]) - weekday(today) + 7) % 7;
+    return { day: addDays(today, ahead + (m[1] === "next " ? 7 : 0)), text: m[0] };
+  }
+  if ((m = s.match(/\bthe (\d{1,2})(?:st|nd|rd|th)\b/))) {
+    const d = new Date(today);
+    let day = local(d.getUTCFullYear(), d.getUTCMonth() + 1, +m[1]);
+    if (day < today || new Date(day).getUTCDate() !== +m[1]) day = local(d.getUTCFullYear(), d.getUTCMonth() + 2, +m[1]);
+    return new Date(day).getUTCDate() === +m[1] ? { day, text: m[0] } : null;
+  }
+  return null;
+
+  // Day/month with an optional year; without one, the next such date
+  function withYear(d, mo, year, matched) {
+    if (!mo) return null;
+    if (year) return valid(local(year.length === 2 ? 2000 + +year : +year, mo, d), mo, d, matched);
+    for (let y = y0; y <= y0 + LEAP_DAY_YEARS; y++) {
+      const found = valid(local(y, mo, d), mo, d, matched);
+      if (found && found.day >= today) return found;
+      if (!found && !(mo === 2 && d === 29)) return null;    // 31/02 never exists
+    }
+    return null;
+  }
+
+  // Rejects dates like 31/02 that Date.UTC would roll over
+  function valid(day, mo, d, matched) {
+    const check = new Date(day);
+    return check.getUTCMonth() + 1 === mo && check.getUTCDate() === d ? { day, text: matched } : null;
+  }
+}
+
+module.exports = {
+  DAY, local, toLocal, fromLocal, startOfDay, addDays, weekday,
+  formatDay, formatTime, parseDate
+};
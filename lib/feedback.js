@@ -0,0 +1,80 @@
+/**
+ * Answer feedback (thumbs up/down) in an append-only JSONL file.
+ *
+ * One JSON object per line:
+ *   { at, verdict: "up"|"down", question, matched: { q, file } | null, score, comment? }
+ * Nothing is ever rewritten, so the file doubles as an audit trail; the report
+ * is recomputed from it on demand.
+ */
+
+const { readRecords } = require('./jsonl');
+
+const VERDICTS = ["up", "down"];
+const MAX_TEXT = 500;                        // Longest question/comment stored (characters)
+
+/**
+ * Validate and normalize a feedback submission.
+ * Returns { record } or { error } with a message suitable for a 400 response.
+ */
+function buildRecord(body) {
+  if (!body || !VERDICTS.includes(body.verdict)) {
+    return { error: "'verdict' must be \"up\" or \"down\"" };
+  }
+  const question = typeof body.question === "string" ? body.question.trim().slice(0, MAX_TEXT) : "";
+  if (!question) return { error: "Body must include the 'question' that was answered" };
+
+  const matchedQ = typeof body.matchedQ === "string" ? body.matchedQ.trim() : "";
+  const record = {
+    at: new Date().toISOString(),
+    verdict: body.verdict,
+    question,
+    matched: matchedQ ? { q: matchedQ, file: typeof body.file === "string" ? body.file : null } : null,
+    score: Number.isFinite(body.score) ? body.score : null
+  };
+  if (typeof body.comment === "string" && body.comment.trim()) {
+    record.comment = body.comment.trim().slice(0, MAX_TEXT);
+  }
+  return { record };
+}
+
+/**
+ * Summarize feedback per KB entry, worst first.
+ * - Entries are identified by question text + source file
+ * - Answers that matched nothing are grouped under matched: null
+ * - Sorted by thumbs-down count, then by share of thumbs-down
+ *
+ * Returns { totals: { up, down }, entries: [{ matched, up, down, downRate, avgScore, recentComplaints }] }
+ */
+async function feedbackReport(file, limit = 20) {
+  const records = await readRecords(file);
+  const groups = new Map();
+  const totals = { up: 0, down: 0 };
+
+  for (const r of records) {
+    if (!VERDICTS.includes(r.verdict)) continue;
+    totals[r.verdict]++;
+
+    const key = r.matched ? (r.matched.file || "") + "::" + r.matched.q : "(no match)";
+    if (!groups.has(key)) groups.set(key, { matched: r.matched || null, up: 0, down: 0, scores: [], complaints: [] });
+    const g = groups.get(key);
+    g[r.verdict]++;
+    if (typeof r.score === "number") g.scores.push(r.score);
+    if (r.verdict === "down") g.complaints.push({ at: r.at, question: r.question, comment: r.comment });
+  }
+
+  const entries = [...groups.values()]
+    .map(g => ({
+      matched: g.matched,
+      up: g.up,
+      down: g.down,
+      downRate: Number((g.down / (g.up + g.down)).toFixed(2)),
+      avgScore: g.scores.length ? Number((g.scores.reduce((a, b) => a + b, 0) / g.scores.length).toFixed(2)) : null,
+      recentComplaints: g.complaints.slice(-3).reverse()
+    }))
+    .sort((x, y) => y.down - x.down || y.downRate - x.downRate)
+    .slice(0, limit);
+
+  return { totals, entries };
+}
+
+module.exports = { buildRecord, feedbackReport };
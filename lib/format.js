@@ -0,0 +1,164 @@
+/**
+ * Answer formatting: extracted text → the small Markdown subset answers are stored in.
+ *
+ *   Paragraphs          separated by a blank line; wrapped lines are joined
+ *   - item              bullet lists ("•", "▪", "–", "*" … bullets in the document)
+ *   1. step             numbered steps ("1)", "(1)", "Step 1:" in the document); numbers are kept
+ *   | a | b |           simple tables: a header row, a "| --- |" separator, then the rows
+ *   **bold**, [label](url), bare http(s)/www. URLs and e-mail addresses
+ *
+ * Nothing else is special, and the chat UI builds the result with DOM APIs (never as HTML),
+ * so a document cannot inject markup. PDF text often runs a list into one line
+ * ("Steps: 1. Log in 2. Open the RFC 3. Submit"); such runs are split into items as well.
+ */
+
+const BULLET = /^\s*(?:[•●▪◦‣∙]|[-*–])\s+(.*)$/;
+const NUMBERED = /^\s*(?:step\s+(\d{1,2})\s*[:.)-]|\(?(\d{1,2})[.)])\s+(.*)$/i;
+// Bullet glyphs that only ever mean "list item" (unlike "-" or "*"), for splitting run-on lines
+const INLINE_BULLET = /\s*[•●▪◦]\s+/;
+// A step number inside a line: "… include: 1. Log in 2. Open …"
+const INLINE_STEP = /(^|[\s:;,])(?:(?:step\s+)(\d{1,2})\s*[:.)-]|\(?(\d{1,2})[.)])\s+/gi;
+const SENTENCE_END = /[.!?:;]["')\]]*$/;
+
+// ---------------------------------------------
+// LINES
+// ---------------------------------------------
+// Table cells of a line: "|"-separated, or columns kept apart by tabs or 3+ spaces; null if fewer than two
+function tableCells(line) {
+  let cells;
+  if (/^\s*\|.*\|\s*$/.test(line)) cells = line.trim().slice(1, -1).split(/(?<!\\)\|/).map(c => c.replace(/\\\|/g, "|"));
+  else if (line.includes("\t")) cells = line.split(/\t+/);
+  else cells = line.trim().split(/\s{3,}/);
+  cells = cells.map(c => c.trim());
+  return cells.length >= 2 && cells.some(Boolean) ? cells : null;
+}
+
+// "| --- | :---: |" (the separator of a Markdown table)
+function isSeparator(line) {
+  return /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+}
+
+// { type: "ul" | "ol", n?, text } for a list item line, else null
+function listItem(line) {
+  const numbered = line.match(NUMBERED);
+  if (numbered) return { type: "ol", n: Number(numbered[1] || numbered[2]), text: numbered[3].trim() };
+  const bullet = line.match(BULLET);
+  if (bullet && bullet[1].trim()) return { type: "ul", text: bullet[1].trim() };
+  return null;
+}
+
+/**
+ * One line of extracted text as one or more lines: a run-on list is split into an intro line
+ * plus one line per item. Numbers only split a line when they count up from 1 (at least "1 … 2 …"),
+ * so "version 2. Then" or "5) business days" stay as they are.
+ */
+function splitInline(line) {
+  const bullets = line.split(INLINE_BULLET);
+  if (bullets.length > 2 || (bullets.length === 2 && !bullets[0].trim())) {
+    return [bullets[0]].filter(s => s.trim()).concat(bullets.slice(1).filter(s => s.trim()).map(s => "- " + s.trim()));
+  }
+
+  const steps = [];
+  let m;
+  INLINE_STEP.lastIndex = 0;
+  while ((m = INLINE_STEP.exec(line)) !== null) {
+    const n = Number(m[2] || m[3]);
+    if (n === steps.length + 1) steps.push({ n, start: m.index + m[1].length, end: INLINE_STEP.lastIndex });
+  }
+  if (steps.length < 2) return [line];
+  const out = [];
+  const intro = line.slice(0, steps[0].start).trim();
+  if (intro) out.push(intro);
+  steps.forEach((s, i) => {
+    const text = line.slice(s.end, i + 1 < steps.length ? steps[i + 1].start : line.length).trim();
+    out.push(s.n + ". " + text);
+  });
+  return out;
+}
+
+// ---------------------------------------------
+// BLOCKS
+// ---------------------------------------------
+// Escape what would end a table cell
+function cell(text) {
+  return text.replace(/\|/g, "\\|");
+}
+
+function renderBlock(block) {
+  if (block.type === "p") return block.text;
+  if (block.type === "ul") return block.items.map(it => "- " + it.text).join("\n");
+  if (block.type === "ol") return block.items.map(it => it.n + ". " + it.text).join("\n");
+  const width = block.rows[0].length;
+  const row = cells => "| " + cells.map(cell).join(" | ") + " |";
+  return [row(block.rows[0]), row(Array(width).fill("---"))].concat(block.rows.slice(1).map(row)).join("\n");
+}
+
+/**
+ * Extracted answer text → Markdown subset (see the top of this file).
+ * - Two or more consecutive lines with the same number (≥ 2) of columns become a table
+ * - A line that does not start a new item continues the previous item when it is indented,
+ *   starts in lower case or the item has no closing punctuation yet (wrapped PDF lines)
+ * - Other lines are joined into paragraphs; blank lines end paragraphs, lists and tables
+ * Already-formatted text comes back unchanged.
+ */
+function structureText(text) {
+  const lines = [];
+  for (const raw of String(text).replace(/\r\n?/g, "\n").split("\n")) lines.push(...splitInline(raw.replace(/\s+$/, "")));
+
+  const blocks = [];
+  let current = null;
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      current = null;
+      i++;
+      continue;
+    }
+
+    // Table: a run of lines with the same column count (a Markdown separator row is skipped)
+    const first = listItem(line) ? null : tableCells(line);
+    if (first) {
+      const rows = [first];
+      let j = i + 1;
+      for (; j < lines.length; j++) {
+        if (isSeparator(lines[j])) continue;
+        const cells = lines[j].trim() && !listItem(lines[j]) ? tableCells(lines[j]) : null;
+        if (!cells || cells.length !== first.length) break;
+        rows.push(cells);
+      }
+      if (rows.length >= 2) {
+        blocks.push({ type: "table", rows });
+        current = null;
+        i = j;
+        continue;
+      }
+    }
+
+    const text = line.replace(/\t+/g, " ").replace(/\s{2,}/g, " ").trim();
+    const item = listItem(line);
+    if (item) {
+      if (!current || current.type !== item.type) blocks.push(current = { type: item.type, items: [] });
+      current.items.push(item);
+    } else if (current && current.type !== "p") {
+      const last = current.items[current.items.length - 1];
+      if (/^\s/.test(line) || /^[a-z]/.test(text) || !SENTENCE_END.test(last.text)) last.text += " " + text;
+      else blocks.push(current = { type: "p", text });
+    } else if (current) {
+      current.text += " " + text;
+    } else {
+      blocks.push(current = { type: "p", text });
+    }
+    i++;
+  }
+  return blocks.map(renderBlock).join("\n\n");
+}
+
+/**
+ * Does the text have lists or tables (so it should not be cut into sentences)?
+ */
+function hasBlocks(text) {
+  return /^(?:- |\d{1,2}\. |\| )/m.test(text);
+}
+
+module.exports = { structureText, hasBlocks };
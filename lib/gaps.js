@@ -0,0 +1,111 @@
+/**
+ * Unanswered-question log and gap analysis.
+ *
+ * Every low-confidence question is appended to a JSONL log:
+ *   { at, question, resolvedQuestion?, nearMiss: { q, file, score } | null }
+ * gapReport() clusters those misses by shared keywords so the change manager can
+ * see which topics the knowledge base is missing.
+ */
+
+const { analyzeTokens } = require('./text');
+const { readRecords } = require('./jsonl');
+
+const CLUSTER_SIMILARITY = 0.5;              // Share of a question's keywords a cluster must already have
+const MAX_EXAMPLES = 5;                      // Distinct example questions kept per cluster
+
+/**
+ * Build the log record for a low-confidence answer from the /ask ranking.
+ */
+function missRecord(question, ranked, resolvedQuestion) {
+  const best = ranked.results[0];
+  const record = {
+    at: new Date().toISOString(),
+    question,
+    nearMiss: best ? { q: best.q, file: best.citation ? best.citation.file : null, score: best.score } : null
+  };
+  if (resolvedQuestion) record.resolvedQuestion = resolvedQuestion;
+  return record;
+}
+
+// Overlap coefficient of two term sets: shared terms relative to the smaller set,
+// so a two-word question can still join a cluster that has collected many keywords
+function similarity(a, b) {
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (Math.min(a.size, b.size) || 1);
+}
+
+/**
+ * Cluster logged misses by shared keywords (greedy, single pass, most recent first).
+ * - A miss joins the most similar cluster when at least CLUSTER_SIMILARITY of its
+ *   keywords are already in the cluster, otherwise it starts a new one
+ * - Questions with no content words at all are grouped under "(no keywords)"
+ * - nearMiss is the entry that most often came closest, among those 'canSee' accepts
+ * Returns { total, clusters: [{ keywords, count, examples, nearMiss, firstSeen, lastSeen }] }
+ * sorted by count, biggest gap first.
+ */
+async function gapReport(file, limit = 20, canSee = () => true) {
+  const records = await readRecords(file);
+  const clusters = [];
+
+  for (const r of records.slice().reverse()) {
+    if (typeof r.question !== "string") continue;
+    const tokens = analyzeTokens(r.question);
+    const terms = new Set(tokens.map(t => t.term));
+
+    let target = null;
+    let bestSim = 0;
+    for (const c of clusters) {
+      const sim = terms.size ? similarity(terms, c.terms) : (c.terms.size ? 0 : 1);
+      if (sim > bestSim) { bestSim = sim; target = c; }
+    }
+    if (!target || bestSim < CLUSTER_SIMILARITY) {
+      target = { terms: new Set(), termCounts: new Map(), words: new Map(), records: [] };
+      clusters.push(target);
+    }
+
+    for (const { term, word } of tokens) {
+      target.terms.add(term);
+      target.termCounts.set(term, (target.termCounts.get(term) || 0) + 1);
+      if (!target.words.has(term)) target.words.set(term, word);
+    }
+    target.records.push(r);
+  }
+
+  const summaries = clusters.map(c => {
+    // Keywords: the cluster's most frequent terms, shown as the words users typed
+    const keywords = [...c.termCounts.entries()]
+      .sort((x, y) => y[1] - x[1])
+      .slice(0, 5)
+      .map(([term]) => c.words.get(term));
+
+    // Near miss: the KB entry that most often came closest, with its average score
+    const near = new Map();
+    for (const r of c.records) {
+      if (!r.nearMiss || !canSee(r.nearMiss)) continue;
+      const key = (r.nearMiss.file || "") + "::" + r.nearMiss.q;
+      if (!near.has(key)) near.set(key, { q: r.nearMiss.q, file: r.nearMiss.file, scores: [] });
+      near.get(key).scores.push(r.nearMiss.score || 0);
+    }
+    const top = [...near.values()].sort((x, y) => y.scores.length - x.scores.length)[0];
+
+    const times = c.records.map(r => r.at).filter(Boolean).sort();
+    return {
+      keywords: keywords.length ? keywords : ["(no keywords)"],
+      count: c.records.length,
+      examples: [...new Set(c.records.map(r => r.question))].slice(0, MAX_EXAMPLES),
+      nearMiss: top ? {
+        q: top.q,
+        file: top.file,
+        avgScore: Number((top.scores.reduce((a, b) => a + b, 0) / top.scores.length).toFixed(2))
+      } : null,
+      firstSeen: times[0] || null,
+      lastSeen: times[times.length - 1] || null
+    };
+  });
+
+  summaries.sort((x, y) => y.count - x.count || (y.lastSeen || "").localeCompare(x.lastSeen || ""));
+  return { total: records.length, clusters: summaries.slice(0, limit) };
+}
+
+module.exports = { missRecord, gapReport };
@@ -0,0 +1,298 @@
+/**
+ * Intents: questions answered by computing something rather than by looking up a KB entry,
+ * e.g. "can I deploy on Friday?" or "when is the next CAB?".
+ *
+ * An intent is an object with a name, the sources it answers from and an answer():
+ *
+ *   intent.answer(question, context) → text | { text, choices } | null
+ *
+ * - 'sources' are [{ id, q, citation }], shown under the reply like KB citations
+ * - 'context' is { calendar, leadTimes, now, timeZone, state }: the parsed change calendar and
+ *   lead-time rules (each null when not configured), the current local time and its zone
+ *   (see lib/dates.js), and a per-conversation object an intent can use to remember what it
+ *   asked for ("which type of change is it?") until the next question
+ * - 'choices' are the likely replies to a question the intent asks back, shown as quick replies
+ * - null means the intent does not apply, and the next one is tried
+ * Intents are tried in registration order; when none applies the KB answers as usual.
+ * They should only claim questions that clearly ask about dates, so definitions
+ * ("what is a change freeze?") still come from the KB.
+ */
+
+const { analyze } = require('./text');
+const { startOfDay, parseDate, formatDay, formatTime } = require('./dates');
+const { occurrences, onDay, next, freezesDuring, formatOccurrence } = require('./calendar');
+const { changeTypeIn, latestSubmission, explainLeadTime, describeRule } = require('./lead-times');
+
+const NEXT = /\b(next|upcoming|coming)\b/i;
+const WHEN = /\bwhen (is|are|does|do|will)\b/i;
+
+const CALENDAR_SOURCE = { id: "calendar", q: "Change calendar", citation: { label: "Change calendar", url: null } };
+const LEAD_TIMES_SOURCE = { id: "lead-times", q: "Lead-time rules", citation: { label: "Lead-time rules", url: null } };
+
+// ---------------------------------------------
+// CALENDAR HELPERS
+// ---------------------------------------------
+function notFrozen(calendar) {
+  return occ => !freezesDuring(calendar, occ).length;
+}
+
+// "Weeknight change window, Tuesday 20 October 2026, 20:00–23:00"
+function describe(occ) {
+  return occ.summary + ", " + formatOccurrence(occ);
+}
+
+// Sentence with the event's description, if it has one
+function withDescription(text, occ) {
+  return occ.description ? text + " " + occ.description : text;
+}
+
+// "20:00–23:00", or "22:00–04:00 next day" for windows running past midnight
+function timeRange(occ) {
+  return formatTime(occ.start) + "–" + formatTime(occ.end) +
+    (startOfDay(occ.end - 1) > startOfDay(occ.start) ? " next day" : "");
+}
+
+function zoneNote(context) {
+  return "(Times in " + context.timeZone + ".)";
+}
+
+function today(context) {
+  return startOfDay(context.now);
+}
+
+/**
+ * Can changes go in on 'day'? Freeze first, then that day's windows (or the next one),
+ * plus a note when the day is a holiday.
+ */
+function dayReport(context, day) {
+  const { calendar, now } = context;
+  const when = formatDay(day);
+  if (day < today(context)) return when + " has already passed.";
+
+  const parts = [];
+  const freeze = onDay(calendar, day, "freeze")[0];
+  if (freeze) {
+    parts.push(withDescription("No: " + when + " falls in the " + freeze.summary + " (" + formatOccurrence(freeze) + ").", freeze));
+    const after = next(calendar, "window", freeze.end, notFrozen(calendar));
+    if (after) parts.push("The first change window after it is the " + describe(after) + ".");
+  } else {
+    const windows = onDay(calendar, day, "window")
+      .filter(w => w.end > now && w.start >= day && notFrozen(calendar)(w));
+    const open = windows.find(w => w.start <= now);
+    if (open) {
+      parts.push("Yes: the " + open.summary + " is open now, until " + formatTime(open.end) + ".");
+    } else if (windows.length) {
+      parts.push("Yes: " + when + " is outside any change freeze. Change windows that day: " +
+        windows.map(w => w.summary + " " + timeRange(w)).join("; ") + ".");
+    } else {
+      const upcoming = next(calendar, "window", Math.max(day, now), notFrozen(calendar));
+      parts.push(when + " is outside any change freeze, but there is no change window that day." +
+        (upcoming ? " The next one is the " + describe(upcoming) + "." : ""));
+    }
+  }
+  const holidays = onDay(calendar, day, "holiday");
+  if (holidays.length) parts.push("Note: " + when + " is a holiday (" + holidays.map(h => h.summary).join(", ") + ").");
+  parts.push(zoneNote(context));
+  return parts.join(" ");
+}
+
+// ---------------------------------------------
+// CALENDAR INTENTS
+// ---------------------------------------------
+/**
+ * "Can I deploy on Friday?", "Is it OK to release on 15 Dec?", "Can we make a change tonight?"
+ */
+const deployCheck = {
+  name: "deploy-check",
+  sources: [CALENDAR_SOURCE],
+  answer(question, context) {
+    if (!context.calendar) return null;
+    if (!/\b(deploy\w*|releas\w*|implement\w*|go(?:ing)? live|roll(?:ing)? ?out|push|patch\w*|upgrad\w*|chang(?:e|es|ing))\b/i.test(question)) return null;
+    if (!/\b(can|could|may|allowed|ok|okay|possible|able)\b/i.test(question)) return null;
+    const date = parseDate(question, today(context));
+    return date ? dayReport(context, date.day) : null;
+  }
+};
+
+/**
+ * "Is there a freeze on 20 December?", "Are we in a change freeze now?", "When is the next blackout?"
+ */
+const freezeStatus = {
+  name: "freeze-status",
+  sources: [CALENDAR_SOURCE],
+  answer(question, context) {
+    const { calendar, now } = context;
+    if (!calendar || !/\b(freeze|freezes|frozen|blackout|moratorium)\b/i.test(question)) return null;
+    const date = parseDate(question, today(context));
+
+    if (date) {
+      const when = formatDay(date.day);
+      const freeze = onDay(calendar, date.day, "freeze")[0];
+      if (freeze) return withDescription("Yes: " + when + " falls in the " + freeze.summary + " (" + formatOccurrence(freeze) + ").", freeze);
+      const upcoming = next(calendar, "freeze", date.day);
+      return "No: there is no change freeze on " + when + "." +
+        (upcoming ? " The next one is the " + describe(upcoming) + "." : "");
+    }
+    const current = /\b(currently|right now|active|in effect|in place|are we in)\b/i.test(question);
+    if (!current && !NEXT.test(question) && !WHEN.test(question)) return null;
+
+    const upcoming = next(calendar, "freeze", now);
+    if (upcoming && upcoming.start <= now) {
+      return withDescription((current ? "Yes: the " : "The ") + upcoming.summary + " is in effect now (" + formatOccurrence(upcoming) + ").", upcoming);
+    }
+    const prefix = current ? "No change freeze is in effect now. " : "";
+    if (!upcoming) return prefix + "There is no change freeze in the calendar for the coming year.";
+    return prefix + withDescription("The next change freeze is the " + describe(upcoming) + ".", upcoming);
+  }
+};
+
+/**
+ * "When is the next CAB?", "When does CAB meet?", "Is there a CAB on Wednesday?"
+ * (e-CAB meets on demand, so it is left to the KB.)
+ */
+const nextCab = {
+  name: "next-cab",
+  sources: [CALENDAR_SOURCE],
+  answer(question, context) {
+    const { calendar, now } = context;
+    if (!calendar || !/\b(cab|change advisory board)\b/i.test(question) || /\be-?cab\b|emergency cab/i.test(question)) return null;
+    const date = parseDate(question, today(context));
+    if (!date && !NEXT.test(question) && !/\bwhen\b.*\b(meet|meets|meeting|sit|sits|held)\b/i.test(question)) return null;
+
+    if (date && !NEXT.test(question)) {
+      const meetings = onDay(calendar, date.day, "cab");
+      if (meetings.length) {
+        return "Yes: " + meetings.map(describe).join("; ") + ". " + zoneNote(context);
+      }
+      const upcoming = next(calendar, "cab", Math.max(date.day, now));
+      return "No: there is no CAB meeting on " + formatDay(date.day) + "." +
+        (upcoming ? " The next one is " + formatOccurrence(upcoming) + ". " + zoneNote(context) : "");
+    }
+
+    const upcoming = next(calendar, "cab", now);
+    if (!upcoming) return "There is no CAB meeting in the calendar for the coming year.";
+    const text = upcoming.start <= now
+      ? "CAB is meeting now, until " + formatTime(upcoming.end) + "."
+      : "The next CAB meeting is " + formatOccurrence(upcoming) + ".";
+    return withDescription(text, upcoming) + " " + zoneNote(context);
+  }
+};
+
+/**
+ * "When is the next change window?", "Is there a maintenance window on Saturday?"
+ * Windows that fall in a freeze are skipped.
+ */
+const nextWindow = {
+  name: "next-window",
+  sources: [CALENDAR_SOURCE],
+  answer(question, context) {
+    const { calendar, now } = context;
+    if (!calendar || !/\bwindows?\b/i.test(question)) return null;
+    const date = parseDate(question, today(context));
+    if (date && !NEXT.test(question)) return dayReport(context, date.day);
+    if (!NEXT.test(question) && !WHEN.test(question)) return null;
+
+    const upcoming = next(calendar, "window", now, notFrozen(calendar));
+    if (!upcoming) return "There is no change window outside a freeze in the calendar for the coming year.";
+    const text = upcoming.start <= now
+      ? "The " + upcoming.summary + " is open now, until " + formatTime(upcoming.end) + "."
+      : "The next change window is the " + describe(upcoming) + ".";
+    const frozen = occurrences(calendar, now, upcoming.start, "freeze")[0];
+    return text + (frozen ? " Windows before then fall in the " + frozen.summary + "." : "") + " " + zoneNote(context);
+  }
+};
+
+// ---------------------------------------------
+// LEAD-TIME CALCULATOR
+// ---------------------------------------------
+const LEAD = /\b(lead ?times?|notice|in advance|deadline|latest|by when|how (early|soon|far ahead))\b/i;
+const SUBMIT = /\b(submit|raise|log|book)(s|ed|ing)?\b/i;
+const QUESTION_WORD = /\b(what|when|why|how|who|which|where)\b/i;
+// Words a bare reply may have besides the value itself ("a normal change", "go-live is the 30th")
+const REPLY_FILLER = new Set(analyze("change type one date day go live going ok yes please"));
+
+/**
+ * Whether 'question' only gives one of 'values' (e.g. "normal change", "the 30th"), rather than
+ * asking something of its own that happens to name it ("what is a normal change?").
+ */
+function onlyGives(question, values) {
+  if (QUESTION_WORD.test(question)) return false;
+  const words = text => " " + text.toLowerCase().replace(/[^a-z0-9-]+/g, " ").trim() + " ";
+  let rest = words(question);
+  for (const value of values) rest = rest.split(words(value)).join("  ");
+  return analyze(rest).every(term => REPLY_FILLER.has(term));
+}
+
+/**
+ * "How much notice for a normal change going live on the 30th?", "When must I submit a major change for 3 Nov?"
+ * Needs a change type and a go-live date. When only one is given it asks for the other and
+ * remembers the first in context.state, so a reply like "normal" or "the 30th" completes it.
+ * Only a reply that gives nothing but what was asked for, or another lead-time question, continues
+ * the calculation; "what is a normal change?" after "which type of change is it?" goes to the KB.
+ */
+const leadTime = {
+  name: "lead-time",
+  sources: [LEAD_TIMES_SOURCE, CALENDAR_SOURCE],
+  answer(question, context) {
+    const { leadTimes, calendar, state } = context;
+    if (!leadTimes) return null;
+    const pending = state.leadTime;
+    delete state.leadTime;
+
+    const date = parseDate(question, today(context));
+    const type = changeTypeIn(leadTimes, question);
+    const replied = pending && (pending.key
+      ? date && onlyGives(question, [date.text])
+      : type && onlyGives(question, [type, leadTimes.types[type].label].concat(leadTimes.types[type].aliases)));
+    const lead = LEAD.test(question);
+    if (!replied && !(lead && (type || date || pending)) && !(SUBMIT.test(question) && date)) return null;
+
+    const earlier = replied || lead ? pending || {} : {};
+    const key = type || earlier.key;
+    const day = date ? date.day : earlier.day;
+    if (key && day !== undefined) {
+      return explainLeadTime(leadTimes, calendar, latestSubmission(leadTimes, calendar, key, day), today(context));
+    }
+    if (key) {
+      state.leadTime = { key };
+      return describeRule(leadTimes, key) + " What is the go-live date? I can work out the latest submission date.";
+    }
+    state.leadTime = { day };
+    const labels = Object.values(leadTimes.types).map(t => t.label);
+    return {
+      text: "Which type of change is it: " + labels.slice(0, -1).join(", ") + " or " + labels[labels.length - 1] + "?",
+      choices: labels
+    };
+  }
+};
+
+// ---------------------------------------------
+// REGISTRY
+// ---------------------------------------------
+// Tried in order; the first intent that answers wins. Extend with registerIntent().
+// The lead-time calculator goes first: "can I still submit a normal change for Friday?" is about notice, not the calendar.
+const INTENTS = [leadTime, deployCheck, freezeStatus, nextCab, nextWindow];
+
+/**
+ * Register (or replace) an intent under its name. New intents are tried after the built-in ones.
+ */
+function registerIntent(intent) {
+  const i = INTENTS.findIndex(x => x.name === intent.name);
+  if (i >= 0) INTENTS[i] = intent;
+  else INTENTS.push(intent);
+}
+
+/**
+ * The first intent that answers the question, as { name, text, sources, choices? }, or null.
+ */
+function answerIntent(question, context) {
+  for (const intent of INTENTS) {
+    const reply = intent.answer(question, context);
+    if (!reply) continue;
+    const { text, choices } = typeof reply === "string" ? { text: reply } : reply;
+    return { name: intent.name, text, sources: intent.sources || [], ...(choices && { choices }) };
+  }
+  return null;
+}
+
+module.exports = { registerIntent, answerIntent };
@@ -0,0 +1,208 @@
+/**
+ * ITSM connectors: read change records from the change management system.
+ *
+ * A connector is an object with a name and three async lookups:
+ *
+ *   connector.getChange(id)                  → Promise<change | null>
+ *   connector.openChanges(user)              → Promise<[change]>   open changes requested by or assigned to 'user'
+ *   connector.upcomingChanges(service, from) → Promise<[change]>   changes to a service planned to start after 'from' (a Date)
+ *
+ * Every connector returns changes in one shape:
+ *   { id, title, state, type, risk, services: [name], requestedBy, assignedTo,
+ *     plannedStart, plannedEnd, approvals: [{ approver, state }], url }
+ * - Dates are ISO 8601 strings (or null); missing text fields are ""
+ * - 'url' links to the record in the ITSM tool, or null
+ * Lookups throw when the system cannot be reached; the caller says so instead of answering.
+ */
+
+const fs = require('fs');
+const { toLocal, formatDay, formatTime } = require('./dates');
+const { formatOccurrence } = require('./calendar');
+
+const OPEN_STATES = /^(new|draft|assess|authori[sz]e|scheduled|implement|review|pending|open|in progress)/i;
+const MAX_RESULTS = 10;                      // Changes returned by a list lookup
+
+// One change in the common shape, from a partial record
+function normalize(c) {
+  return {
+    id: String(c.id || ""),
+    title: c.title || "",
+    state: c.state || "",
+    type: c.type || "",
+    risk: c.risk || "",
+    services: Array.isArray(c.services) ? c.services.map(String) : c.services ? [String(c.services)] : [],
+    requestedBy: c.requestedBy || "",
+    assignedTo: c.assignedTo || "",
+    plannedStart: c.plannedStart || null,
+    plannedEnd: c.plannedEnd || null,
+    approvals: (c.approvals || []).map(a => ({ approver: a.approver || "", state: a.state || "" })),
+    url: c.url || null
+  };
+}
+
+function sameText(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// ---------------------------------------------
+// FILE (local development)
+// ---------------------------------------------
+/**
+ * Connector over a JSON file of change records, for development and demos:
+ *   { "changes": [{ id, title, state, type, risk, services, requestedBy, assignedTo,
+ *                   plannedStart, plannedEnd, approvals, url? }] }
+ * The file is read on every lookup, so edits show up straight away.
+ * Options: { file }
+ */
+function createFileConnector({ file }) {
+  async function all() {
+    const data = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    return (data.changes || []).map(normalize);
+  }
+  return {
+    name: "file",
+    async getChange(id) {
+      return (await all()).find(c => sameText(c.id, id)) || null;
+    },
+    async openChanges(user) {
+      return (await all())
+        .filter(c => OPEN_STATES.test(c.state) && (sameText(c.requestedBy, user) || sameText(c.assignedTo, user)))
+        .slice(0, MAX_RESULTS);
+    },
+    async upcomingChanges(service, from) {
+      const name = service.toLowerCase();
+      return (await all())
+        .filter(c => c.plannedStart && Date.parse(c.plannedStart) >= from.getTime() && OPEN_STATES.test(c.state))
+        .filter(c => c.services.some(s => s.toLowerCase().includes(name)))
+        .sort((a, b) => Date.parse(a.plannedStart) - Date.parse(b.plannedStart))
+        .slice(0, MAX_RESULTS);
+    }
+  };
+}
+
+// ---------------------------------------------
+// REST (ServiceNow Table API style)
+// ---------------------------------------------
+// Reference fields come back as { display_value, link } with sysparm_display_value=true
+function display(value) {
+  if (value && typeof value === "object") return value.display_value || "";
+  return value || "";
+}
+
+// "2026-10-27 17:00:00" (ServiceNow, UTC) → "2026-10-27T17:00:00Z"
+function isoDate(value) {
+  const text = display(value);
+  if (!text) return null;
+  return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(text) ? text.replace(" ", "T") + "Z" : text;
+}
+
+/**
+ * Connector for a ServiceNow-style REST API (or a local stub that answers the same way):
+ *   GET {url}/api/now/table/change_request?sysparm_query=…   → { result: [record] }
+ *   GET {url}/api/now/table/sysapproval_approver?sysparm_query=sysapproval.number=<id> → { result: [approval] }
+ * Records use the Table API field names (number, short_description, state, type, risk, cmdb_ci,
+ * requested_by, assigned_to, start_date, end_date); approvals use approver and state.
+ * Options: { url, user?, password?, token?, timeoutMs? } — Basic auth with user/password, or a bearer token.
+ */
+function createRestConnector({ url, user, password, token, timeoutMs = 10000 }) {
+  const base = url.replace(/\/+$/, "");
+  const headers = { "Accept": "application/json" };
+  if (token) headers["Authorization"] = "Bearer " + token;
+  else if (user) headers["Authorization"] = "Basic " + Buffer.from(user + ":" + (password || "")).toString("base64");
+
+  async function table(name, query, limit) {
+    const params = new URLSearchParams({ sysparm_query: query, sysparm_display_value: "true", sysparm_limit: String(limit) });
+    const res = await fetch(base + "/api/now/table/" + name + "?" + params, { headers, signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) throw new Error("ITSM endpoint answered HTTP " + res.status);
+    const data = await res.json();
+    return Array.isArray(data.result) ? data.result : [];
+  }
+
+  function toChange(r, approvals = []) {
+    return normalize({
+      id: display(r.number),
+      title: display(r.short_description),
+      state: display(r.state),
+      type: display(r.type),
+      risk: display(r.risk),
+      services: [display(r.cmdb_ci) || display(r.business_service)].filter(Boolean),
+      requestedBy: display(r.requested_by),
+      assignedTo: display(r.assigned_to),
+      plannedStart: isoDate(r.start_date),
+      plannedEnd: isoDate(r.end_date),
+      approvals: approvals.map(a => ({ approver: display(a.approver), state: display(a.state) })),
+      url: r.sys_id ? base + "/change_request.do?sys_id=" + encodeURIComponent(display(r.sys_id)) : null
+    });
+  }
+
+  // Encoded queries use ^ as AND; strip it from values so a name cannot add conditions
+  const value = text => String(text).replace(/[\^=]/g, " ").trim();
+
+  return {
+    name: "rest",
+    async getChange(id) {
+      const [record] = await table("change_request", "number=" + value(id), 1);
+      if (!record) return null;
+      return toChange(record, await table("sysapproval_approver", "sysapproval.number=" + value(id), 50));
+    },
+    async openChanges(who) {
+      const records = await table("change_request",
+        "active=true^requested_by.user_name=" + value(who) + "^NQactive=true^assigned_to.user_name=" + value(who) + "^ORDERBYstart_date", MAX_RESULTS);
+      return records.map(r => toChange(r));
+    },
+    async upcomingChanges(service, from) {
+      const start = from.toISOString().slice(0, 19).replace("T", " ");
+      const records = await table("change_request",
+        "active=true^cmdb_ci.nameLIKE" + value(service) + "^start_date>=" + start + "^ORDERBYstart_date", MAX_RESULTS);
+      return records.map(r => toChange(r));
+    }
+  };
+}
+
+// ---------------------------------------------
+// CHAT
+// ---------------------------------------------
+/**
+ * Ticket IDs in a message, upper-cased and without repeats ("chg0012345" → "CHG0012345").
+ * 'pattern' is a RegExp with the g flag.
+ */
+function ticketIds(text, pattern) {
+  return [...new Set((text.match(pattern) || []).map(id => id.toUpperCase()))];
+}
+
+// "Tuesday 27 October 2026, 20:00–23:00" in 'timeZone', or "not scheduled yet"
+function plannedWindow(change, timeZone) {
+  if (!change.plannedStart) return "not scheduled yet";
+  const start = toLocal(Date.parse(change.plannedStart), timeZone);
+  if (!change.plannedEnd) return formatDay(start) + " from " + formatTime(start);
+  return formatOccurrence({ start, end: toLocal(Date.parse(change.plannedEnd), timeZone), allDay: false });
+}
+
+/**
+ * One change in a few sentences: status, type and risk, window, approvers and owners.
+ */
+function describeChange(change, timeZone) {
+  const parts = [change.id + (change.title ? ": " + change.title + "." : ".")];
+  parts.push("Status: " + (change.state || "unknown") + ".");
+  const kind = [change.type && change.type + " change", change.risk && "risk " + change.risk].filter(Boolean).join(", ");
+  if (kind || change.services.length) {
+    parts.push((kind ? kind.charAt(0).toUpperCase() + kind.slice(1) : "Affects") +
+      (change.services.length ? (kind ? ", affecting " : " ") + change.services.join(", ") : "") + ".");
+  }
+  parts.push("Window: " + plannedWindow(change, timeZone) + (change.plannedStart ? " (" + timeZone + ")" : "") + ".");
+  parts.push(change.approvals.length
+    ? "Approvers: " + change.approvals.map(a => a.approver + (a.state ? " (" + a.state + ")" : "")).join(", ") + "."
+    : "No approvals recorded yet.");
+  const owners = [change.requestedBy && "Requested by " + change.requestedBy, change.assignedTo && "assigned to " + change.assignedTo];
+  if (owners.some(Boolean)) parts.push(owners.filter(Boolean).join(", ") + ".");
+  return parts.join(" ");
+}
+
+/**
+ * A list of changes, one short line each: "CHG0012345 Upgrade payments database (Scheduled, Tuesday 27 October 2026, 20:00–23:00)".
+ */
+function listChanges(changes, timeZone) {
+  return changes.map(c => c.id + (c.title ? " " + c.title : "") + " (" + (c.state || "unknown") + ", " + plannedWindow(c, timeZone) + ")").join("; ");
+}
+
+module.exports = { createFileConnector, createRestConnector, ticketIds, describeChange, listChanges };
@@ -0,0 +1,36 @@
+/**
+ * Append-only JSON Lines files (one JSON object per line).
+ * Used for the feedback and unanswered-question logs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append one record, creating the folder/file on first use.
+ */
+async function appendRecord(file, record) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, JSON.stringify(record) + "\n", "utf8");
+}
+
+/**
+ * Read every record. A missing file is an empty log; malformed lines are skipped.
+ */
+async function readRecords(file) {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const records = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try { records.push(JSON.parse(line)); } catch (err) { /* skip partial/corrupt line */ }
+  }
+  return records;
+}
+
+module.exports = { appendRecord, readRecords };
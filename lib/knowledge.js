@@ -0,0 +1,378 @@
+/**
+ * Knowledge base construction: source files → [{ id, q, a, patterns, source, audience? }].
+ *
+ * Each file is read by its format loader (lib/sources.js) and the resulting text
+ * goes through the same pipeline the single-PDF version always used:
+ *  1) Structured Q/A parsing (parseStructuredQA)
+ *  2) Fallback to heading-aware section chunking (parseUnstructured)
+ *
+ * Answer text is stored in a small Markdown subset (lists, numbered steps, tables, links; see lib/format.js).
+ * A line "Audience: cab, release-manager" in an answer (or under a heading, for the whole
+ * section and its subsections) restricts the entry to those roles (see lib/auth.js).
+ */
+
+const path = require('path');                // Relative source names for citations
+const crypto = require('crypto');            // Stable entry ids
+const { analyze } = require('./text');       // Stemming + synonym analysis pipeline
+const { loaderFor } = require('./sources');  // Per-format text extraction
+const { parseRoles } = require('./auth');    // Known role names for "Audience:" lines
+const { structureText } = require('./format'); // Lists, steps, tables and links → Markdown subset
+
+// Chunking of unstructured documents (overridable per load, see loadKnowledge)
+const DEFAULT_CHUNKING = {
+  size: 1200,                                // Longest chunk in characters (a longer sentence becomes its own chunk)
+  overlap: 200,                              // Trailing text repeated at the start of the next chunk of a section
+  maxChunks: 0                               // Cap on chunks per document (0 = no cap)
+};
+const MAX_CHUNK_KEYWORDS = 24;               // Keywords kept as patterns for one chunk
+
+const AUDIENCE_LINE = /^[ \t]*audience:[ \t]*(.*)$/im;
+const PUBLIC_AUDIENCE = ["everyone", "all", "public"];
+
+/**
+ * Take the first "Audience: …" line out of a block of text. Returns { text, audience, unknown }:
+ * - 'audience' is undefined without a line, [] for "everyone"/"all"/"public", else the known roles named
+ * - A line naming no known role fails closed: only admins see the entry ("CAB members" is not a role)
+ * - 'unknown' lists the names that are not roles (reported by the linter)
+ */
+function takeAudience(text) {
+  const m = text.match(AUDIENCE_LINE);
+  if (!m) return { text, audience: undefined, unknown: [] };
+  const rest = (text.slice(0, m.index) + text.slice(m.index + m[0].length)).replace(/\n{3,}/g, "\n\n").trim();
+  const names = m[1].split(/[,;]/).map(n => n.trim().toLowerCase()).filter(Boolean);
+  if (!names.length || names.some(n => PUBLIC_AUDIENCE.includes(n))) return { text: rest, audience: [], unknown: [] };
+  const roles = parseRoles(names);
+  return { text: rest, audience: roles.length ? roles : ["admin"], unknown: names.filter(n => !roles.includes(n)) };
+}
+
+// ---------------------------------------------
+// Pattern helpers
+// ---------------------------------------------
+/**
+ * Given a raw question string, build an array of patterns used for fuzzy-ish matching.
+ * - Runs the question through analyze() (normalize, stem, synonym/acronym canonicalization)
+ * - Short acronyms such as CAB, RFC or CI are kept; only stopwords and single letters are dropped
+ * - Returns original question + up to 8 unique keywords as patterns
+ */
+function buildPatternsFromQuestion(q) {
+  return [q].concat([...new Set(analyze(q))].slice(0,8));
+}
+
+/**
+ * Patterns for an unstructured chunk: its title plus the most frequent keywords
+ * of the whole chunk (title included), not just of its first sentence.
+ */
+function buildPatternsFromChunk(title, text) {
+  const counts = new Map();
+  for (const term of analyze(title + "\n" + text)) counts.set(term, (counts.get(term) || 0) + 1);
+  const keywords = [...counts.keys()].sort((x, y) => counts.get(y) - counts.get(x)).slice(0, MAX_CHUNK_KEYWORDS);
+  return [title].concat(keywords);
+}
+
+/**
+ * Patterns for any KB entry (chunks and Q/A entries are built differently).
+ * Used when entries are rebuilt outside the parsers (overrides, stored versions).
+ */
+function patternsFor(entry) {
+  return entry.chunk ? buildPatternsFromChunk(entry.q, entry.a) : buildPatternsFromQuestion(entry.q);
+}
+
+/**
+ * Attempt to parse a *structured* Q/A style document from extracted text.
+ * Expected format:
+ *   Q: Your question ...
+ *   A: Your answer ...
+ * Repeats for multiple Q/A blocks.
+ *
+ * An "Audience:" line inside the answer is removed and becomes the entry's 'audience';
+ * the rest is formatted with structureText (lists, steps, tables).
+ *
+ * Returns an array of objects: [{ q, a, patterns, offset, audience? }]
+ * ('offset' is where the block starts in 'text', used to look up its page/section)
+ */
+function parseStructuredQA(text) {
+  const result = [];
+  // Regex finds blocks beginning with Q: ... then A: ... up to next Q: or end of text.
+  const regex = /(?:^|\n)\s*Q:\s*(.+?)\s*\nA:\s*([\s\S]*?)(?=\nQ:|$)/gi;
+
+  let m;
+  while ((m = regex.exec(text)) !== null) {
+    const q = m[1].trim();
+    const { text, audience } = takeAudience(m[2].trim());
+    const a = structureText(text);
+    result.push({
+      q,
+      a,
+      patterns: buildPatternsFromQuestion(q),
+      offset: m.index + m[0].search(/Q:/i),
+      ...(audience && audience.length && { audience })
+    });
+  }
+  return result;
+}
+
+// ---------------------------------------------
+// Unstructured documents
+// ---------------------------------------------
+/**
+ * Is this line a heading? Returns its level (1 = top) or 0.
+ * - Markdown ("## Title") → number of #'s
+ * - Numbered ("3. Approvals", "3.2 CAB Review") → depth of the numbering, when the title is short
+ *   (≤ 8 words), in title or upper case, and the next non-blank line ('following') is body text or a
+ *   subsection rather than the next item at the same level; otherwise it is a step ("1. Raise the RFC")
+ * - ALL CAPS lines ("EMERGENCY CHANGES") → 1
+ * - Short title lines (≤ 8 words, capitalized, no closing punctuation) that follow
+ *   a blank line and are followed by text → 2
+ * Headings are at most 80 characters and do not end in punctuation.
+ */
+function headingLevel(line, prevBlank, nextText, following = "") {
+  const t = line.trim();
+  if (!t || t.length > 80) return 0;
+  const md = t.match(/^(#{1,6})\s+\S/);
+  if (md) return md[1].length;
+  if (/[.,;:]$/.test(t)) return 0;
+  const numbered = t.match(/^(\d+(?:\.\d+)*)[.)]?\s+([A-Za-z].*)$/);
+  if (numbered) {
+    const level = numbered[1].split(".").length;
+    const next = following.trim().match(/^(\d+(?:\.\d+)*)[.)]?\s/);
+    const sibling = next && next[1].split(".").length <= level;
+    const title = numbered[2].split(/\s+/).length <= 8 && !/[!?]$/.test(t) && isTitleCase(numbered[2]);
+    return title && following.trim() && !sibling ? level : 0;
+  }
+  if (/[A-Z]{2}/.test(t) && !/[a-z]/.test(t)) return 1;
+  if (prevBlank && nextText && /^[A-Z]/.test(t) && t.split(/\s+/).length <= 8 && !/[!?]$/.test(t)) return 2;
+  return 0;
+}
+
+// Short words title case leaves in lower case ("Roles and Responsibilities")
+const MINOR_WORDS = new Set(["a","an","and","as","at","by","for","from","in","into","of","on","or","per","the","to","via","vs","with"]);
+
+// "Approval Workflow", "CAB REVIEW": every word capitalized except MINOR_WORDS after the first
+function isTitleCase(text) {
+  const words = text.split(/\s+/).filter(w => /^[A-Za-z]/.test(w));
+  return words.length > 0 && /^[A-Z]/.test(words[0]) &&
+    words.every(w => /^[A-Z]/.test(w) || MINOR_WORDS.has(w.toLowerCase()));
+}
+
+// Heading text without Markdown #'s
+function headingTitle(line) {
+  return line.trim().replace(/^#{1,6}\s+/, "").replace(/\s+#*$/, "");
+}
+
+/**
+ * Split a section body into sentence-like units [{ start, end }] (absolute offsets in 'text').
+ * A unit ends at . ! or ? followed by whitespace, or at a blank line; a unit longer than
+ * 'size' is cut at the last space before the limit.
+ */
+function sentenceUnits(text, from, to, size) {
+  const units = [];
+  const re = /\S[\s\S]*?(?:[.!?](?=\s)|(?=\n[ \t]*\n)|$)/g;
+  const body = text.slice(from, to);
+  let m;
+  while ((m = re.exec(body)) !== null) {
+    let start = from + m.index;
+    const end = from + m.index + m[0].length;
+    while (end - start > size) {
+      const cut = text.lastIndexOf(" ", start + size);
+      const stop = cut > start ? cut : start + size;
+      units.push({ start, end: stop });
+      start = stop;
+      while (/\s/.test(text[start])) start++;
+    }
+    if (end > start) units.push({ start, end });
+  }
+  return units;
+}
+
+/**
+ * Pack consecutive units into chunks of at most 'size' characters; each chunk after
+ * the first starts with the last units of the previous one (up to 'overlap' characters).
+ * Returns [{ start, end }].
+ */
+function packUnits(units, size, overlap) {
+  const chunks = [];
+  let i = 0;
+  while (i < units.length) {
+    let j = i;
+    while (j + 1 < units.length && units[j + 1].end - units[i].start <= size) j++;
+    chunks.push({ start: units[i].start, end: units[j].end });
+    if (j + 1 >= units.length) break;
+
+    let k = j + 1;
+    while (k - 1 > i && units[j].end - units[k - 1].start <= overlap) k--;
+    i = k;
+  }
+  return chunks;
+}
+
+/**
+ * If the document is not structured as explicit Q/A, fall back to section chunks.
+ * - Headings (see headingLevel) split the text into sections and form a heading path,
+ *   e.g. "3 Approvals › 3.2 CAB", which becomes each chunk's title ('q')
+ * - Each section is cut into chunks of at most 'size' characters at sentence boundaries,
+ *   overlapping by up to 'overlap' characters (at most half a chunk); later chunks get " (part N)"
+ * - Text before the first heading is titled with its first sentence
+ * - Patterns come from the whole chunk, and entries are flagged 'chunk: true'
+ * - Chunk text is formatted with structureText like structured answers
+ * - An "Audience:" line in a section applies to its chunks and those of its subsections
+ *   (unless a subsection has its own); the line itself is left out of the chunk text
+ *
+ * Returns [{ q, a, patterns, offset, chunk, audience? }], at most 'maxChunks' of them (0 = all).
+ */
+function parseUnstructured(text, options = {}) {
+  const { size, maxChunks, ...rest } = { ...DEFAULT_CHUNKING, ...options };
+  const overlap = Math.min(rest.overlap, size / 2);   // Keep every chunk at least half new text
+
+  // Find headings and the sections between them
+  const lines = [];
+  let offset = 0;
+  for (const line of text.split("\n")) {
+    lines.push({ line, offset });
+    offset += line.length + 1;
+  }
+  // The next non-blank line after each line (numbered headings are told from steps by it)
+  let following = "";
+  for (let i = lines.length - 1; i >= 0; i--) {
+    lines[i].following = following;
+    if (lines[i].line.trim()) following = lines[i].line;
+  }
+  const sections = [];
+  let section = { path: [], start: 0, stack: [] };
+  const stack = [];                          // [{ level, title, section }] of the current heading path
+  lines.forEach(({ line, offset }, i) => {
+    const prevBlank = i === 0 || !lines[i - 1].line.trim();
+    const nextText = i + 1 < lines.length && !!lines[i + 1].line.trim();
+    const level = headingLevel(line, prevBlank, nextText, lines[i].following);
+    if (!level) return;
+    section.end = offset;
+    sections.push(section);
+    while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+    section = { start: offset + line.length, stack: stack.slice() };
+    stack.push({ level, title: headingTitle(line), section });
+    section.path = stack.map(h => h.title);
+  });
+  section.end = text.length;
+  sections.push(section);
+
+  // Audience: the section's own line, else the nearest enclosing section's
+  for (const sec of sections) {
+    const own = takeAudience(text.slice(sec.start, sec.end)).audience;
+    const parent = sec.stack.slice().reverse().find(h => h.section.audience !== undefined);
+    sec.audience = own !== undefined ? own : parent ? parent.section.audience : undefined;
+  }
+
+  // Chunk every section
+  const result = [];
+  for (const sec of sections) {
+    const chunks = packUnits(sentenceUnits(text, sec.start, sec.end, size), size, overlap);
+    chunks.forEach((c, n) => {
+      const a = structureText(takeAudience(text.slice(c.start, c.end).trim()).text);
+      let q = sec.path.join(" › ");
+      if (!q) {
+        const first = (a.match(/(.+?[\.\?!])\s/) || [null, a])[1];
+        q = first.length > 120 ? first.slice(0, 117) + "…" : first;
+      } else if (n > 0) q += " (part " + (n + 1) + ")";
+      result.push({
+        q, a, patterns: buildPatternsFromChunk(q, a), offset: c.start, chunk: true,
+        ...(sec.audience && sec.audience.length && { audience: sec.audience })
+      });
+    });
+  }
+  return maxChunks > 0 ? result.slice(0, maxChunks) : result;
+}
+
+/**
+ * Attach { file, page?, section? } to each entry from the loader's markers:
+ * the last page marker and the last section marker at or before the entry's offset.
+ * The temporary 'offset' field is removed.
+ *
+ * Each entry also gets an 'id' derived from its file and question text (plus a
+ * counter for repeated questions), so it stays the same across reloads as long
+ * as the question wording does — admin overrides are keyed on it.
+ */
+function tagSources(entries, markers, file) {
+  const seen = new Map();
+  return entries.map(({ offset, ...entry }) => {
+    const source = { file, ...locationAt(markers, offset) };
+    const n = seen.get(entry.q) || 0;
+    seen.set(entry.q, n + 1);
+    return { id: entryId(file, entry.q, n), ...entry, source };
+  });
+}
+
+/**
+ * { page?, section? } in effect at 'offset': the last page and section markers at or before it.
+ */
+function locationAt(markers, offset) {
+  const location = {};
+  for (const marker of markers) {
+    if (marker.offset > offset) break;
+    if (marker.page) location.page = marker.page;
+    if (marker.section) location.section = marker.section;
+  }
+  return location;
+}
+
+// Short, stable id for the n-th entry with question 'q' in 'file'
+function entryId(file, q, n) {
+  return crypto.createHash("sha1").update(file + "\n" + q + "\n" + n).digest("hex").slice(0, 12);
+}
+
+// ---------------------------------------------
+// LOAD FILES → KB
+// ---------------------------------------------
+/**
+ * Read one source file and turn it into KB entries.
+ * Robust to empty/unreadable files: logs the problem and returns [].
+ */
+async function loadDocument(file, root, chunking) {
+  const name = path.relative(root, file) || path.basename(file);
+  const loader = loaderFor(file);
+  if (!loader) {
+    console.log("[KB] Unsupported file skipped:", name);
+    return [];
+  }
+
+  try {
+    const { text, markers } = await loader(file);
+    if (!text.trim()) {
+      console.log("[KB] No extractable text in", name);
+      return [];
+    }
+
+    // Try structured Q/A format first
+    const structured = parseStructuredQA(text);
+    if (structured.length) {
+      console.log("[KB] Loaded structured KB:", structured.length, "from", name);
+      return tagSources(structured, markers, name);
+    }
+
+    // Fallback: heading-aware section chunks
+    const unstructured = parseUnstructured(text, chunking);
+    console.log("[KB] Loaded fallback KB:", unstructured.length, "from", name);
+    return tagSources(unstructured, markers, name);
+
+  } catch (err) {
+    // Handle parsing errors without crashing the server
+    console.error("[KB] Parsing failed for", name + ":", err);
+    return [];
+  }
+}
+
+/**
+ * Load every file into one KB, in the order given.
+ * Source names are reported relative to 'root'; 'chunking' overrides DEFAULT_CHUNKING
+ * ({ size, overlap, maxChunks }) for unstructured documents.
+ */
+async function loadKnowledge(files, root, chunking) {
+  const kb = [];
+  for (const file of files) {
+    kb.push(...await loadDocument(file, root, chunking));
+  }
+  return kb;
+}
+
+module.exports = {
+  loadKnowledge, loadDocument, parseStructuredQA, parseUnstructured, buildPatternsFromQuestion,
+  patternsFor, locationAt, takeAudience, DEFAULT_CHUNKING
+};
@@ -0,0 +1,239 @@
+/**
+ * Lead-time rules: how far ahead of go-live each change type must be submitted.
+ *
+ * Rules file (config/lead-times.json):
+ *   {
+ *     "businessDays": ["MO", "TU", "WE", "TH", "FR"],   // working days (default Monday–Friday)
+ *     "cabCutoffBusinessDays": 1,                        // CAB agenda closes this many business days before the meeting
+ *     "types": {
+ *       "<key>": { label, aliases?, minBusinessDays, approvers, cab, allowedInFreeze, note? }
+ *     }
+ *   }
+ * Business days are counted back from the go-live date and skip non-working days,
+ * holidays and freeze days from the change calendar. Types with 'cab' must also make
+ * the agenda of the last CAB meeting before go-live; whichever deadline is earlier applies.
+ */
+
+const fs = require('fs');
+const { addDays, startOfDay, weekday, formatDay, formatTime } = require('./dates');
+const { onDay, occurrences } = require('./calendar');
+
+const DAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const MAX_SCAN_DAYS = 366;                   // Give up counting business days after this many calendar days
+const CAB_LOOKBACK_DAYS = 60;                // How far before go-live to look for the approving CAB
+const EARLIEST_LOOKAHEAD_DAYS = 120;         // How far ahead to look for the earliest possible go-live
+
+// ---------------------------------------------
+// RULES
+// ---------------------------------------------
+/**
+ * Read and check a rules file. Throws with a readable message when it is invalid,
+ * so a broken edit never replaces working rules.
+ */
+function loadLeadTimes(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const types = data && data.types;
+  if (!types || typeof types !== "object" || !Object.keys(types).length) {
+    throw new Error("'types' must list at least one change type");
+  }
+  for (const [key, type] of Object.entries(types)) {
+    if (!Number.isInteger(type.minBusinessDays) || type.minBusinessDays < 0) {
+      throw new Error("'" + key + "': minBusinessDays must be a whole number of days");
+    }
+  }
+  const days = (data.businessDays || DAY_CODES.slice(1, 6)).map(d => DAY_CODES.indexOf(String(d).toUpperCase()));
+  if (!days.length || days.includes(-1)) throw new Error("'businessDays' must use day codes like \"MO\"");
+
+  return {
+    businessDays: new Set(days),
+    cabCutoffBusinessDays: Number(data.cabCutoffBusinessDays) || 0,
+    types: Object.fromEntries(Object.entries(types).map(([key, type]) => [key, {
+      label: type.label || key,
+      aliases: type.aliases || [],
+      minBusinessDays: type.minBusinessDays,
+      approvers: type.approvers || [],
+      cab: !!type.cab,
+      allowedInFreeze: !!type.allowedInFreeze,
+      note: type.note || ""
+    }]))
+  };
+}
+
+/**
+ * The change type named in 'text' (its key, label or an alias), or null.
+ */
+function changeTypeIn(rules, text) {
+  const s = " " + text.toLowerCase().replace(/[^a-z0-9-]+/g, " ") + " ";
+  for (const [key, type] of Object.entries(rules.types)) {
+    for (const name of [key, type.label].concat(type.aliases)) {
+      if (s.includes(" " + name.toLowerCase() + " ")) return key;
+    }
+  }
+  return null;
+}
+
+// ---------------------------------------------
+// BUSINESS DAYS
+// ---------------------------------------------
+/**
+ * Why 'day' is not a business day ({ reason: "weekend"|"holiday"|"freeze", name? }), or null when it is one.
+ */
+function nonBusinessDay(rules, calendar, day, skipFreeze) {
+  if (!rules.businessDays.has(weekday(day))) return { reason: "weekend" };
+  if (!calendar) return null;
+  const holiday = onDay(calendar, day, "holiday")[0];
+  if (holiday) return { reason: "holiday", name: holiday.summary };
+  const freeze = skipFreeze && onDay(calendar, day, "freeze")[0];
+  if (freeze) return { reason: "freeze", name: freeze.summary };
+  return null;
+}
+
+/**
+ * The n-th business day before 'from' (n = 0 → 'from' itself), with the days skipped on the way:
+ *   { day, skipped: { weekend, holidays: [name], freeze } }
+ * Freeze days only count as non-business days for lead times ('skipFreeze'); CAB still sits during a freeze.
+ */
+function businessDaysBefore(rules, calendar, from, n, skipFreeze = true) {
+  const skipped = { weekend: 0, holidays: [], freeze: 0 };
+  let day = from;
+  for (let counted = 0, scanned = 0; counted < n && scanned < MAX_SCAN_DAYS; scanned++) {
+    day = addDays(day, -1);
+    const off = nonBusinessDay(rules, calendar, day, skipFreeze);
+    if (!off) counted++;
+    else if (off.reason === "holiday") skipped.holidays.push(off.name);
+    else skipped[off.reason]++;
+  }
+  return { day, skipped };
+}
+
+// ---------------------------------------------
+// CALCULATOR
+// ---------------------------------------------
+/**
+ * Latest submission date for a change of type 'key' going live on 'target' (local midnight).
+ *   { key, type, target, latest, rule: "lead-time"|"cab", skipped, cab?: { meeting, cutoff }, frozen? }
+ * - 'frozen' is the freeze the go-live date falls in, when the type may not go live in one
+ * - 'cab' is the last CAB meeting before go-live and its agenda cutoff (types that need CAB)
+ * - 'rule' says which deadline was the binding one
+ */
+function latestSubmission(rules, calendar, key, target) {
+  const type = rules.types[key];
+  const lead = businessDaysBefore(rules, calendar, target, type.minBusinessDays);
+  const result = { key, type, target, latest: lead.day, rule: "lead-time", skipped: lead.skipped };
+
+  if (calendar && !type.allowedInFreeze) {
+    const freeze = onDay(calendar, target, "freeze")[0];
+    if (freeze) result.frozen = freeze;
+  }
+  if (calendar && type.cab) {
+    const meeting = occurrences(calendar, addDays(target, -CAB_LOOKBACK_DAYS), target, "cab").pop();
+    if (meeting) {
+      const cutoff = businessDaysBefore(rules, calendar, startOfDay(meeting.start), rules.cabCutoffBusinessDays, false).day;
+      result.cab = { meeting, cutoff };
+      if (cutoff < result.latest) {
+        result.latest = cutoff;
+        result.rule = "cab";
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * First go-live date from 'today' on that a change of type 'key' submitted today can still make
+ * (not frozen, deadline not passed), or null within EARLIEST_LOOKAHEAD_DAYS.
+ */
+function earliestGoLive(rules, calendar, key, today) {
+  for (let i = 0; i <= EARLIEST_LOOKAHEAD_DAYS; i++) {
+    const r = latestSubmission(rules, calendar, key, addDays(today, i));
+    if (!r.frozen && r.latest >= today) return r.target;
+  }
+  return null;
+}
+
+// "a, b and c"
+function list(items) {
+  return items.length > 1 ? items.slice(0, -1).join(", ") + " and " + items[items.length - 1] : items.join("");
+}
+
+function plural(n, word) {
+  return n + " " + word + (n === 1 ? "" : "s");
+}
+
+// "1 business day's notice", "5 business days' notice"
+function notice(n) {
+  return plural(n, "business day") + (n === 1 ? "'s" : "'") + " notice";
+}
+
+/**
+ * Explain a latestSubmission() result in a few sentences: the deadline, the rule that set it,
+ * the days not counted, the approvals needed and the type's note. 'today' catches deadlines
+ * that have already passed.
+ */
+function explainLeadTime(rules, calendar, result, today) {
+  const { type, target } = result;
+  const article = /^[aeiou]/i.test(type.label) ? "An " : "A ";
+  const change = type.label + " change";
+  const parts = [];
+
+  if (result.frozen) {
+    const { summary, end, allDay } = result.frozen;
+    parts.push(formatDay(target) + " falls in the " + summary + ", so " + article.toLowerCase() + change + " cannot go live then. " +
+      (allDay ? "The first day after it is " + formatDay(end) : "It ends " + formatDay(end) + " " + formatTime(end)) + ".");
+    return parts.concat(approvals(type)).join(" ");
+  }
+  if (target < today) return formatDay(target) + " has already passed.";
+
+  if (result.latest < today) {
+    const earliest = earliestGoLive(rules, calendar, result.key, today);
+    parts.push("It is too late for " + article.toLowerCase() + change + " going live on " + formatDay(target) +
+      ": it had to be submitted by " + formatDay(result.latest) + "." +
+      (earliest ? " Submitted today, the earliest go-live is " + formatDay(earliest) + "." : ""));
+  } else if (!type.minBusinessDays && result.rule === "lead-time") {
+    parts.push(article + change + " going live on " + formatDay(target) + " can be submitted up to that day.");
+  } else {
+    parts.push(article + change + " going live on " + formatDay(target) + " must be submitted by " + formatDay(result.latest) + ".");
+  }
+
+  const lead = type.minBusinessDays
+    ? type.label + " changes need " + notice(type.minBusinessDays)
+    : type.label + " changes have no minimum notice";
+  const cab = result.cab && "the " + formatDay(result.cab.meeting.start) + " CAB, whose agenda closes " + formatDay(result.cab.cutoff);
+  if (result.rule === "cab") {
+    parts.push("Rule applied: CAB approval. The change must be on the agenda of " + cab +
+      "; that is earlier than the " + notice(type.minBusinessDays) + " " + type.label + " changes need.");
+  } else {
+    parts.push("Rule applied: " + lead + "." + (cab ? " It also needs " + cab + "." : ""));
+  }
+
+  const { weekend, holidays, freeze } = result.skipped;
+  const notCounted = [];
+  if (weekend) notCounted.push(plural(weekend, "non-working day"));
+  if (holidays.length) notCounted.push(holidays.join(", "));
+  if (freeze) notCounted.push(plural(freeze, "freeze day"));
+  if (notCounted.length) parts.push("Not counted: " + list(notCounted) + ".");
+
+  return parts.concat(approvals(type)).join(" ");
+}
+
+/**
+ * The rule for one change type in a sentence, e.g. "Normal changes need 5 business days' notice,
+ * not counting weekends, holidays and freeze days, and must make the agenda of the last CAB before go-live."
+ */
+function describeRule(rules, key) {
+  const type = rules.types[key];
+  if (!type.minBusinessDays) return type.label + " changes have no minimum notice." + (type.note ? " " + type.note : "");
+  return type.label + " changes need " + notice(type.minBusinessDays) + ", not counting non-working days, holidays and freeze days" +
+    (type.cab ? ", and must make the agenda of the last CAB before go-live" : "") + ".";
+}
+
+// Approver requirements and the type's note
+function approvals(type) {
+  const out = [];
+  const approvers = type.approvers.concat(type.cab ? ["CAB"] : []);
+  if (approvers.length) out.push("Approvals: " + list(approvers) + ".");
+  if (type.note) out.push(type.note);
+  return out;
+}
+
+module.exports = { loadLeadTimes, changeTypeIn, latestSubmission, explainLeadTime, describeRule };
@@ -0,0 +1,293 @@
+/**
+ * KB lint: checks a knowledge document the way the loader will read it and reports
+ * what would be dropped, merged or confusing, before the document goes live.
+ *
+ *   lintDocument(file, name?, chunking?) → Promise<{ file, mode, entries, errors, warnings, issues }>
+ *   issue: { severity: "error"|"warning", code, message, line, page?, section?, question? }
+ *
+ * 'line' counts lines of the extracted text, from the start of the page for PDFs
+ * and from the start of the file otherwise.
+ */
+
+const path = require('path');
+const { normalize, analyze } = require('./text');
+const { loaderFor } = require('./sources');
+const { parseStructuredQA, parseUnstructured, locationAt, takeAudience } = require('./knowledge');
+const { ROLES } = require('./auth');
+
+const MAX_ANSWER_CHARS = 1000;               // Longer answers are usually two blocks merged together
+const NEAR_DUPLICATE = 0.8;                  // Keyword overlap (Jaccard) at which two questions count as near-duplicates
+const SHORT_QUESTION = 3;                    // Questions with fewer keywords need all of them and the same question word
+
+const Q_LINE = /^\s*Q:/i;
+const A_LINE = /^\s*A:/i;
+const INDENTED_A_LINE = /^\s+A:/i;
+const AUDIENCE_LINE = /^\s*audience:/i;
+
+/**
+ * Split text into lines, keeping each line's character offset.
+ */
+function splitLines(text) {
+  const lines = [];
+  let offset = 0;
+  for (const line of text.split("\n")) {
+    lines.push({ text: line, offset });
+    offset += line.length + 1;
+  }
+  return lines;
+}
+
+/**
+ * Build the locator for one document: offset → { line, page?, section? }.
+ */
+function locator(text, markers) {
+  const pageStarts = markers.filter(m => m.page);
+  return offset => {
+    let start = 0;
+    for (const m of pageStarts) {
+      if (m.offset > offset) break;
+      start = m.offset;
+    }
+    const line = text.slice(start, offset).split("\n").length;
+    return { line, ...locationAt(markers, offset) };
+  };
+}
+
+// Human-readable position, e.g. "p. 3 line 12" or "line 40"
+function describe(loc) {
+  return (loc.page ? "p. " + loc.page + " " : "") + "line " + loc.line;
+}
+
+/**
+ * Why a "Q:" line at lines[i] did not become an entry.
+ * 'swallowedBy' is the parsed entry whose answer contains the line, if any; when that answer
+ * is otherwise empty the empty "A:" is the cause (reported as empty-answer on that entry).
+ * Returns { code, message }.
+ */
+function diagnoseQuestion(lines, i, swallowedBy) {
+  const line = lines[i].text;
+  if (!line.replace(Q_LINE, "").trim()) {
+    return { code: "empty-question", message: "\"Q:\" has no question text; the block is dropped" };
+  }
+  if (swallowedBy) {
+    let prev = i - 1;
+    while (prev >= 0 && !lines[prev].text.trim()) prev--;
+    const afterEmptyAnswer = prev >= 0 && /^A:\s*$/i.test(lines[prev].text);
+    return {
+      code: "merged-question",
+      message: "Read as " + (afterEmptyAnswer ? "the answer to \"" + swallowedBy.q + "\", whose \"A:\" is empty"
+        : "part of the answer to \"" + swallowedBy.q + "\"") +
+        (/^\s+Q:/i.test(line) ? "; start the line with \"Q:\"" : "")
+    };
+  }
+
+  // Look at what follows, up to the next question
+  let next = i + 1;
+  while (next < lines.length && !lines[next].text.trim()) next++;
+  if (next >= lines.length || Q_LINE.test(lines[next].text)) {
+    return { code: "missing-answer", message: "Question has no \"A:\" line; the block is dropped" };
+  }
+  if (INDENTED_A_LINE.test(lines[next].text)) {
+    return { code: "indented-answer", message: "\"A:\" must start the line; the block is dropped" };
+  }
+  for (let j = next + 1; j < lines.length && !Q_LINE.test(lines[j].text); j++) {
+    if (A_LINE.test(lines[j].text)) {
+      return { code: "wrapped-question", message: "Question continues over " + (j - i) + " lines; keep it on the \"Q:\" line or the block is dropped" };
+    }
+  }
+  return { code: "missing-answer", message: "Question has no \"A:\" line; the block is dropped" };
+}
+
+/**
+ * Walk the Q:/A: marker lines and report every one the structured parser
+ * did not use as intended (dropped or swallowed questions, stray or extra answers).
+ */
+function checkMarkers(text, entries, locate, issues) {
+  const lines = splitLines(text);
+  const parsed = new Set(entries.map(e => e.offset));
+  // Where each parsed answer sits in the text, read the way parseStructuredQA reads it: after "A:"
+  // and any whitespace, up to the next line starting with "Q:" (the stored answer is reformatted,
+  // so it cannot be searched for)
+  const answers = entries.map(e => {
+    const marker = /\nA:\s*/gi;
+    marker.lastIndex = e.offset;
+    const a = marker.exec(text);
+    const start = a ? a.index + a[0].length : e.offset;
+    const nextQ = /\nQ:/gi;
+    nextQ.lastIndex = start;
+    const q = nextQ.exec(text);
+    return { entry: e, start, end: q ? q.index : text.length };
+  });
+  let current = null;                        // { parsed, answered } for the latest "Q:" line
+
+  lines.forEach((line, i) => {
+    if (Q_LINE.test(line.text)) {
+      const qOffset = line.offset + line.text.search(/Q:/i);
+      if (parsed.has(qOffset)) {
+        current = { parsed: true, answered: false };
+        return;
+      }
+      const container = answers.find(x => x.start <= qOffset && qOffset < x.end);
+      const { code, message } = diagnoseQuestion(lines, i, container && container.entry);
+      issues.push({ severity: "error", code, message, ...locate(qOffset), question: line.text.replace(Q_LINE, "").trim() });
+      current = { parsed: false };
+    } else if (A_LINE.test(line.text)) {
+      if (current && current.parsed && !current.answered) current.answered = true;
+      else if (current && current.parsed) {
+        issues.push({ severity: "warning", code: "extra-answer", message: "Second \"A:\" in one block is merged into the answer above", ...locate(line.offset) });
+      } else if (!current) {
+        issues.push({ severity: "warning", code: "answer-without-question", message: "\"A:\" before any question is ignored", ...locate(line.offset) });
+      }
+    }
+  });
+}
+
+/**
+ * Empty and overly long answers, duplicate and near-duplicate questions.
+ */
+function checkEntries(entries, locate, issues) {
+  const seen = [];                           // { key, terms, asks, loc, q } of earlier questions
+  for (const entry of entries) {
+    const loc = locate(entry.offset);
+    if (!entry.a) {
+      issues.push({ severity: "error", code: "empty-answer", message: "Answer is empty", ...loc, question: entry.q });
+    } else if (/^Q:/i.test(entry.a)) {
+      // The parser skips blank lines after "A:", so the next block becomes this answer
+      issues.push({ severity: "error", code: "empty-answer", message: "Answer is empty, so the next block is read as this answer", ...loc, question: entry.q });
+    } else if (entry.a.length > MAX_ANSWER_CHARS) {
+      issues.push({
+        severity: "warning", code: "long-answer",
+        message: "Answer is " + entry.a.length + " characters (over " + MAX_ANSWER_CHARS + "); check for a missing \"Q:\"",
+        ...loc, question: entry.q
+      });
+    }
+
+    const key = normalize(entry.q);
+    const question = { key, terms: new Set(analyze(entry.q)), asks: key.split(" ")[0], loc, q: entry.q };
+    const duplicate = seen.find(s => s.key === key);
+    const near = !duplicate && seen.find(s => nearDuplicate(s, question));
+    if (duplicate) {
+      issues.push({
+        severity: "warning", code: "duplicate-question",
+        message: "Same question as " + describe(duplicate.loc) + "; users may get either answer",
+        ...loc, question: entry.q
+      });
+    } else if (near) {
+      issues.push({
+        severity: "warning", code: "near-duplicate",
+        message: "Very similar to \"" + near.q + "\" (" + describe(near.loc) + "); consider merging them",
+        ...loc, question: entry.q
+      });
+    }
+    seen.push(question);
+  }
+}
+
+/**
+ * "Audience:" lines that name something other than a role. With no known role left
+ * the entry is only shown to admins, which is rarely what the author meant.
+ */
+function checkAudiences(text, locate, issues) {
+  for (const line of splitLines(text)) {
+    if (!AUDIENCE_LINE.test(line.text)) continue;
+    const { audience, unknown } = takeAudience(line.text);
+    if (!unknown.length) continue;
+    const onlyAdmins = audience.length === 1 && audience[0] === "admin" && !unknown.includes("admin");
+    issues.push({
+      severity: "warning", code: "unknown-audience",
+      message: "Not a role: " + unknown.join(", ") + " (roles are " + ROLES.join(", ") + ")" +
+        (onlyAdmins ? "; only admins will see this" : ""),
+      ...locate(line.offset)
+    });
+  }
+}
+
+// Jaccard similarity of two keyword sets (0 when either is empty)
+function similarity(x, y) {
+  if (!x.size || !y.size) return 0;
+  let shared = 0;
+  for (const t of x) if (y.has(t)) shared++;
+  return shared / (x.size + y.size - shared);
+}
+
+// Near-duplicates share NEAR_DUPLICATE of their keywords. A short question has too few for that
+// to mean much ("What is CAB?" and "When is CAB?" share their only one), so it needs the same
+// keywords and the same question word
+function nearDuplicate(x, y) {
+  if (Math.min(x.terms.size, y.terms.size) < SHORT_QUESTION) {
+    return x.asks === y.asks && similarity(x.terms, y.terms) === 1;
+  }
+  return similarity(x.terms, y.terms) >= NEAR_DUPLICATE;
+}
+
+/**
+ * Lint one document. 'name' is how the file is reported (defaults to its base name);
+ * 'chunking' is passed to parseUnstructured() to count fallback chunks.
+ * - mode "structured": Q:/A: blocks were found; dropped, merged and duplicate blocks are reported
+ * - mode "fallback": no block parsed, so the document would be split into paragraphs
+ * - mode "empty" / "unsupported" / "unreadable": nothing would be loaded at all
+ */
+async function lintDocument(file, name = path.basename(file), chunking) {
+  const report = { file: name, mode: "structured", entries: 0, errors: 0, warnings: 0, issues: [] };
+  const loader = loaderFor(file);
+  if (!loader) {
+    report.mode = "unsupported";
+    report.issues.push({ severity: "error", code: "unsupported-format", message: "No loader for " + (path.extname(file) || "files without an extension") });
+  } else {
+    let extracted;
+    try {
+      extracted = await loader(file);
+    } catch (err) {
+      report.mode = "unreadable";
+      report.issues.push({ severity: "error", code: "unreadable", message: "The file could not be read: " + err.message });
+    }
+    if (extracted) lintText(extracted, report, chunking);
+  }
+
+  report.issues.sort((x, y) => (x.page || 0) - (y.page || 0) || (x.line || 0) - (y.line || 0));
+  report.errors = report.issues.filter(i => i.severity === "error").length;
+  report.warnings = report.issues.length - report.errors;
+  return report;
+}
+
+// Mode, entry count and issues for extracted text (fills in 'report')
+function lintText({ text, markers }, report, chunking) {
+  const locate = locator(text, markers);
+  const entries = parseStructuredQA(text);
+
+  if (!text.trim()) {
+    report.mode = "empty";
+    report.issues.push({ severity: "error", code: "no-text", message: "No extractable text (scanned PDF or empty file?)" });
+  } else if (!entries.length) {
+    report.mode = "fallback";
+    report.entries = parseUnstructured(text, chunking).length;
+    report.issues.push({
+      severity: "warning", code: "fallback-mode",
+      message: "No Q:/A: blocks found; the document will be split into " + report.entries + " section chunks",
+      line: 1
+    });
+    checkMarkers(text, entries, locate, report.issues);
+    checkAudiences(text, locate, report.issues);
+  } else {
+    report.entries = entries.length;
+    checkMarkers(text, entries, locate, report.issues);
+    checkEntries(entries, locate, report.issues);
+    checkAudiences(text, locate, report.issues);
+  }
+}
+
+/**
+ * Plain-text rendering of a report for the command line.
+ */
+function formatReport(report) {
+  const out = [report.file + " — " + report.mode + ", " + report.entries + " entries, " +
+    report.errors + " error(s), " + report.warnings + " warning(s)"];
+  for (const issue of report.issues) {
+    const where = issue.line ? describe(issue) : "";
+    out.push("  " + issue.severity.padEnd(8) + where.padEnd(16) + issue.code.padEnd(24) + issue.message +
+      (issue.question ? "\n" + " ".repeat(50) + "Q: " + issue.question : ""));
+  }
+  return out.join("\n");
+}
+
+module.exports = { lintDocument, formatReport };
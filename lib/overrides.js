@@ -0,0 +1,195 @@
+/**
+ * Admin overrides for KB entries, persisted to a local JSON file.
+ *
+ * Store shape:
+ *   {
+ *     "entries": {
+ *       "<id>": { q?, a?, disabled?, added?, audience?, updatedAt, updatedBy }
+ *     }
+ *   }
+ * - An override for an extracted entry replaces its q/a and/or hides it (disabled)
+ * - Entries created in the admin console have 'added: true' and an id starting with "custom-"
+ * - 'audience' replaces the roles the document gave the entry ([] makes it public, see lib/auth.js)
+ * Overrides are merged on top of whatever the source documents yield on every reload,
+ * so small wording fixes survive until someone edits them away.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { buildPatternsFromQuestion, patternsFor } = require('./knowledge');
+const { ROLES, parseRoles } = require('./auth');
+
+const MAX_FIELD = 5000;                      // Longest question/answer accepted from the console
+
+/**
+ * Read the store. A missing file is an empty store; a corrupt one throws so it is never overwritten blindly.
+ */
+function loadOverrides(file) {
+  if (!fs.existsSync(file)) return { entries: {} };
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { entries: (data && data.entries) || {} };
+}
+
+/**
+ * Write the store atomically (temp file + rename) so a crash never leaves half a JSON file.
+ */
+function saveOverrides(file, store) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = file + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2) + "\n", "utf8");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Merge overrides into freshly extracted entries.
+ * - Disabled entries are dropped
+ * - Edited entries keep their id and source, get the new q/a/audience and rebuilt patterns
+ * - Added entries are appended with source { admin: true }
+ */
+function applyOverrides(entries, store) {
+  const result = [];
+  for (const entry of entries) {
+    const ov = store.entries[entry.id];
+    if (!ov) { result.push(entry); continue; }
+    if (ov.disabled) continue;
+    const edited = withAudience({ ...entry, q: ov.q || entry.q, a: ov.a || entry.a, overridden: true }, ov.audience);
+    result.push({ ...edited, patterns: patternsFor(edited) });
+  }
+  for (const [id, ov] of Object.entries(store.entries)) {
+    if (!ov.added || ov.disabled) continue;
+    result.push(withAudience({ id, q: ov.q, a: ov.a, patterns: buildPatternsFromQuestion(ov.q), source: { admin: true } }, ov.audience));
+  }
+  return result;
+}
+
+// 'entry' with its audience replaced by an override's (unchanged when the override sets none)
+function withAudience(entry, audience) {
+  if (!audience) return entry;
+  const { audience: _, ...rest } = entry;
+  return audience.length ? { ...rest, audience } : rest;
+}
+
+/**
+ * Everything the admin console lists: extracted entries with their override state,
+ * admin-added entries, and overrides whose target no longer exists in the documents.
+ *   [{ id, q, a, audience, source, status: "extracted"|"edited"|"disabled"|"added"|"orphaned", original? }]
+ * ('audience' is [] for public entries)
+ */
+function listForAdmin(entries, store) {
+  const known = new Set();
+  const rows = entries.map(entry => {
+    known.add(entry.id);
+    const ov = store.entries[entry.id];
+    const audience = entry.audience || [];
+    if (!ov) return { id: entry.id, q: entry.q, a: entry.a, audience, source: entry.source, status: "extracted" };
+    return {
+      id: entry.id,
+      q: ov.q || entry.q,
+      a: ov.a || entry.a,
+      audience: ov.audience || audience,
+      source: entry.source,
+      status: ov.disabled ? "disabled" : "edited",
+      original: { q: entry.q, a: entry.a, audience },
+      updatedAt: ov.updatedAt,
+      updatedBy: ov.updatedBy
+    };
+  });
+  for (const [id, ov] of Object.entries(store.entries)) {
+    if (known.has(id)) continue;
+    rows.push({
+      id,
+      q: ov.q || "",
+      a: ov.a || "",
+      audience: ov.audience || [],
+      source: ov.added ? { admin: true } : null,
+      status: ov.added ? (ov.disabled ? "disabled" : "added") : "orphaned",
+      updatedAt: ov.updatedAt,
+      updatedBy: ov.updatedBy
+    });
+  }
+  return rows;
+}
+
+// Trimmed string field, or undefined when absent/blank
+function text(value) {
+  return typeof value === "string" && value.trim() ? value.trim().slice(0, MAX_FIELD) : undefined;
+}
+
+/**
+ * Roles from an 'audience' field: a list or a comma-separated string of role names.
+ * Returns { audience } ([] = public) or { error } when a name is not a role.
+ */
+function audienceField(value) {
+  const names = (Array.isArray(value) ? value : String(value).split(/[,;]/)).map(n => String(n).trim().toLowerCase()).filter(Boolean);
+  const unknown = names.filter(n => !ROLES.includes(n));
+  if (unknown.length) return { error: "Unknown role(s): " + unknown.join(", ") + ". Roles are " + ROLES.join(", ") };
+  return { audience: parseRoles(names) };
+}
+
+/**
+ * Create a new admin entry. Body: { q, a, audience? }. Returns { id } or { error }.
+ */
+function addEntry(store, body, user) {
+  const q = text(body && body.q);
+  const a = text(body && body.a);
+  if (!q || !a) return { error: "Both 'q' and 'a' are required" };
+  const roles = body.audience === undefined ? { audience: [] } : audienceField(body.audience);
+  if (roles.error) return { error: roles.error };
+  const id = "custom-" + crypto.randomBytes(6).toString("hex");
+  store.entries[id] = {
+    added: true, q, a, ...(roles.audience.length && { audience: roles.audience }),
+    updatedAt: new Date().toISOString(), updatedBy: user
+  };
+  return { id };
+}
+
+/**
+ * Edit and/or enable/disable an entry. 'exists' says whether the id is a current extracted entry.
+ * Body: { q?, a?, disabled?, audience? } — 'audience' null goes back to the document's roles.
+ * Returns { id } or { error, status }.
+ */
+function updateEntry(store, id, body, user, exists) {
+  const current = store.entries[id];
+  if (!current && !exists) return { error: "Unknown entry id", status: 404 };
+
+  const next = { ...(current || {}) };
+  const q = text(body && body.q);
+  const a = text(body && body.a);
+  if (q) next.q = q;
+  if (a) next.a = a;
+  if (body && typeof body.disabled === "boolean") {
+    if (body.disabled) next.disabled = true;
+    else delete next.disabled;
+  }
+  const hasAudience = !!body && body.audience !== undefined;
+  if (hasAudience && body.audience === null) delete next.audience;
+  else if (hasAudience) {
+    const roles = audienceField(body.audience);
+    if (roles.error) return { error: roles.error, status: 400 };
+    next.audience = roles.audience;
+  }
+  if (!q && !a && !(body && typeof body.disabled === "boolean") && !hasAudience) {
+    return { error: "Nothing to change: send 'q', 'a', 'disabled' or 'audience'", status: 400 };
+  }
+
+  next.updatedAt = new Date().toISOString();
+  next.updatedBy = user;
+  store.entries[id] = next;
+  return { id };
+}
+
+/**
+ * Drop the override for an id: extracted entries revert to the document text,
+ * admin-added entries are deleted. Returns { id } or { error, status }.
+ */
+function removeOverride(store, id) {
+  if (!store.entries[id]) return { error: "No override for this id", status: 404 };
+  delete store.entries[id];
+  return { id };
+}
+
+module.exports = {
+  loadOverrides, saveOverrides, applyOverrides, listForAdmin,
+  addEntry, updateEntry, removeOverride
+};
@@ -0,0 +1,289 @@
+/**
+ * RFC drafting wizard: walks a user through the fields of a configurable RFC template,
+ * one question per chat turn, and renders the result as Markdown or JSON.
+ *
+ * Template file (config/rfc-template.json):
+ *   { title, fields: [{ id, label, prompt, type?, choices?, required?, minLength?, section? }] }
+ * - type: "text" (default), "choice" (one of 'choices'), "list" (comma-separated) or "date"
+ * - section: rendered as its own Markdown section instead of a table row (long free text)
+ *
+ * A draft is a plain object kept in the caller's session, so it survives page reloads:
+ *   { step, values: { <field id>: value }, active, createdAt, updatedAt }
+ * - 'step' is the index of the field being asked; 'active' means chat input goes to the wizard
+ * - Values are validated on the way in; a draft is complete when every required field has one
+ */
+
+const fs = require('fs');
+const { parseDate, formatDay } = require('./dates');
+
+const MAX_FIELD = 2000;                      // Longest value accepted for one field
+const FIELD_TYPES = ["text", "choice", "list", "date"];
+
+// "draft an RFC", "help me write a change request", "I want to create a new RFC"
+const START = /^\s*(?:please\s+|can you\s+|could you\s+|help me\s+|i (?:want|need|would like) to\s+|let'?s\s+)*(?:draft|write|create|start|prepare)\s+(?:an?\s+|my\s+|the\s+)?(?:new\s+)?(?:rfc|change request)\b/i;
+
+const COMMANDS = {
+  cancel: /^\s*(cancel|stop|quit|exit|discard)\s*[.!]?\s*$/i,
+  back: /^\s*(back|go back|previous|undo)\s*[.!]?\s*$/i,
+  skip: /^\s*(skip|none|n\/a|na|-)\s*[.!]?\s*$/i
+};
+
+// ---------------------------------------------
+// TEMPLATE
+// ---------------------------------------------
+/**
+ * Read and check a template file. Throws with a readable message when it is invalid.
+ */
+function loadTemplate(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!data || !Array.isArray(data.fields) || !data.fields.length) throw new Error("'fields' must list at least one field");
+  const seen = new Set();
+  const fields = data.fields.map((f, i) => {
+    if (!f || typeof f.id !== "string" || !f.id) throw new Error("Field " + (i + 1) + " has no 'id'");
+    if (seen.has(f.id)) throw new Error("Duplicate field id '" + f.id + "'");
+    seen.add(f.id);
+    const type = f.type || "text";
+    if (!FIELD_TYPES.includes(type)) throw new Error("'" + f.id + "': unknown type '" + type + "'");
+    if (type === "choice" && !(Array.isArray(f.choices) && f.choices.length)) throw new Error("'" + f.id + "': choice fields need 'choices'");
+    return {
+      id: f.id,
+      label: f.label || f.id,
+      prompt: f.prompt || "What is the " + (f.label || f.id).toLowerCase() + "?",
+      type,
+      choices: type === "choice" ? f.choices.map(String) : undefined,
+      required: !!f.required,
+      minLength: Number(f.minLength) || 0,
+      section: !!f.section
+    };
+  });
+  return { title: data.title || "Request for Change", fields };
+}
+
+// ---------------------------------------------
+// DRAFTS
+// ---------------------------------------------
+/**
+ * Does this chat message start the wizard?
+ */
+function isStartCommand(text) {
+  return START.test(text);
+}
+
+/**
+ * A new, empty draft with chat input going to the wizard.
+ */
+function newDraft() {
+  const now = new Date().toISOString();
+  return { step: 0, values: {}, active: true, createdAt: now, updatedAt: now };
+}
+
+/**
+ * Validate and normalize one value for a field. 'today' (a local midnight) resolves
+ * relative dates such as "next Tuesday". Returns { value } or { error }; a blank value
+ * returns { value: undefined } (clears the field).
+ */
+function parseValue(field, raw, today) {
+  if (raw === undefined || raw === null) return { value: undefined };
+  if (field.type === "list") {
+    const items = (Array.isArray(raw) ? raw : String(raw).split(/[,;\n]/))
+      .map(s => String(s).trim().slice(0, MAX_FIELD))
+      .filter(Boolean);
+    return { value: items.length ? items : undefined };
+  }
+
+  const text = String(raw).trim();
+  if (!text) return { value: undefined };
+  if (text.length > MAX_FIELD) return { error: field.label + " is too long (at most " + MAX_FIELD + " characters)" };
+
+  if (field.type === "choice") {
+    const lower = text.toLowerCase();
+    const exact = field.choices.find(c => c.toLowerCase() === lower);
+    const prefix = field.choices.filter(c => c.toLowerCase().startsWith(lower));
+    const words = " " + lower.replace(/[^a-z0-9]+/g, " ") + " ";
+    const found = exact || (prefix.length === 1 ? prefix[0] : field.choices.find(c => words.includes(" " + c.toLowerCase() + " ")));
+    return found ? { value: found } : { error: field.label + " must be one of: " + field.choices.join(", ") };
+  }
+  if (field.type === "date") {
+    const found = parseDate(text, today);
+    if (!found) return { error: field.label + " must be a date, e.g. 2026-11-03 or \"next Tuesday\"" };
+    if (found.day < today) return { error: field.label + " is in the past" };
+    return { value: new Date(found.day).toISOString().slice(0, 10) };
+  }
+  if (text.length < field.minLength) {
+    return { error: field.label + " needs a bit more detail (at least " + field.minLength + " characters)" };
+  }
+  return { value: text };
+}
+
+/**
+ * Set several fields at once (API clients). Unknown ids are rejected; all values are checked
+ * before any is stored. Returns {} or { errors: { <id>: message } }.
+ */
+function setValues(template, draft, values, today) {
+  const errors = {};
+  const parsed = {};
+  for (const [id, raw] of Object.entries(values || {})) {
+    const field = template.fields.find(f => f.id === id);
+    if (!field) { errors[id] = "Unknown field"; continue; }
+    const result = parseValue(field, raw, today);
+    if (result.error) errors[id] = result.error;
+    else parsed[id] = result.value;
+  }
+  if (Object.keys(errors).length) return { errors };
+  for (const [id, value] of Object.entries(parsed)) {
+    if (value === undefined) delete draft.values[id];
+    else draft.values[id] = value;
+  }
+  draft.updatedAt = new Date().toISOString();
+  advance(template, draft);
+  return {};
+}
+
+/**
+ * Required fields that have no value yet (ids, in template order).
+ */
+function missingFields(template, draft) {
+  return template.fields.filter(f => f.required && draft.values[f.id] === undefined).map(f => f.id);
+}
+
+// Move past fields that already have a value; at the end, go back to the first missing one
+function advance(template, draft) {
+  while (draft.step < template.fields.length && draft.values[template.fields[draft.step].id] !== undefined) draft.step++;
+  if (draft.step >= template.fields.length) {
+    const missing = missingFields(template, draft);
+    draft.step = missing.length ? template.fields.findIndex(f => f.id === missing[0]) : template.fields.length;
+  }
+  if (draft.step >= template.fields.length) draft.active = false;
+}
+
+/**
+ * The question for the current step, e.g. "Step 2 of 9 — Change type: Which type of change is it? (Standard, Normal, …)".
+ */
+function promptFor(template, draft) {
+  const field = template.fields[draft.step];
+  if (!field) return null;
+  let text = "Step " + (draft.step + 1) + " of " + template.fields.length + " — " + field.label + ": " + field.prompt;
+  if (field.choices) text += " (" + field.choices.join(", ") + ")";
+  if (!field.required) text += " Optional: say \"skip\" to leave it out.";
+  return text;
+}
+
+/**
+ * Public view of a draft for the API and the chat UI:
+ *   { active, complete, step: { id, label, prompt, choices?, required, index, total } | null,
+ *     values, missing, createdAt, updatedAt }
+ */
+function draftStatus(template, draft) {
+  const field = template.fields[draft.step];
+  const missing = missingFields(template, draft);
+  return {
+    active: draft.active,
+    complete: !missing.length,
+    step: field ? {
+      id: field.id, label: field.label, prompt: promptFor(template, draft),
+      ...(field.choices && { choices: field.choices }),
+      required: field.required, index: draft.step + 1, total: template.fields.length
+    } : null,
+    values: draft.values,
+    missing,
+    createdAt: draft.createdAt,
+    updatedAt: draft.updatedAt
+  };
+}
+
+/**
+ * One chat turn of the wizard. Mutates 'draft' and returns { reply, cancelled? }.
+ * Besides answers, the user can say "back", "skip" (optional fields) or "cancel".
+ */
+function chatTurn(template, draft, text, today) {
+  if (COMMANDS.cancel.test(text)) {
+    draft.active = false;
+    return { reply: "RFC draft discarded.", cancelled: true };
+  }
+  const field = template.fields[draft.step];
+  if (!field) {
+    draft.active = false;
+    return { reply: summary(template, draft) };
+  }
+
+  if (COMMANDS.back.test(text)) {
+    draft.step = Math.max(0, draft.step - 1);
+    return { reply: promptFor(template, draft) };
+  }
+  if (COMMANDS.skip.test(text)) {
+    if (field.required) return { reply: field.label + " is required. " + promptFor(template, draft) };
+    delete draft.values[field.id];
+    draft.step++;
+  } else {
+    const result = parseValue(field, text, today);
+    if (result.error) return { reply: result.error + ". " + promptFor(template, draft) };
+    draft.values[field.id] = result.value;
+    draft.step++;
+  }
+  draft.updatedAt = new Date().toISOString();
+  advance(template, draft);
+  return { reply: draft.active ? promptFor(template, draft) : summary(template, draft) };
+}
+
+// Closing message once every step has been answered
+function summary(template, draft) {
+  return "Your RFC draft \"" + (draft.values.title || template.title) + "\" is complete. " +
+    "Download it as Markdown or JSON below, or start over with \"draft an RFC\".";
+}
+
+// ---------------------------------------------
+// RENDERING
+// ---------------------------------------------
+// Display form of a value ("a, b" for lists, "Tuesday 3 November 2026" for dates)
+function display(field, value) {
+  if (value === undefined) return "";
+  if (field.type === "list") return value.join(", ");
+  if (field.type === "date") return formatDay(Date.parse(value));
+  return value;
+}
+
+// Table cells cannot hold pipes or line breaks
+function cell(text) {
+  return text.replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+}
+
+/**
+ * The draft as a Markdown document: short fields in a table, 'section' fields as headed sections.
+ */
+function toMarkdown(template, draft) {
+  const title = draft.values.title || "Untitled";
+  const out = ["# " + template.title + ": " + title, "", "| Field | Value |", "| --- | --- |"];
+  for (const field of template.fields) {
+    if (field.section || field.id === "title") continue;
+    out.push("| " + cell(field.label) + " | " + cell(display(field, draft.values[field.id]) || "—") + " |");
+  }
+  for (const field of template.fields.filter(f => f.section)) {
+    out.push("", "## " + field.label, "", display(field, draft.values[field.id]) || "_Not provided_");
+  }
+  const missing = missingFields(template, draft);
+  out.push("", "---", "", "_Drafted " + draft.updatedAt.slice(0, 10) +
+    (missing.length ? ". Missing required fields: " + missing.join(", ") : "") + "._", "");
+  return out.join("\n");
+}
+
+/**
+ * The draft as a JSON document for other tools.
+ */
+function toJson(template, draft) {
+  const missing = missingFields(template, draft);
+  return {
+    template: template.title,
+    complete: !missing.length,
+    missing,
+    createdAt: draft.createdAt,
+    updatedAt: draft.updatedAt,
+    fields: template.fields
+      .filter(f => draft.values[f.id] !== undefined)
+      .map(f => ({ id: f.id, label: f.label, value: draft.values[f.id] }))
+  };
+}
+
+module.exports = {
+  loadTemplate, isStartCommand, newDraft, setValues, missingFields, draftStatus, chatTurn,
+  toMarkdown, toJson
+};
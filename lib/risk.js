@@ -0,0 +1,237 @@
+/**
+ * Change risk questionnaire: a few multiple-choice questions asked one per chat turn,
+ * scored with weights from a data file the CAB can tune.
+ *
+ * Model file (config/risk-model.json):
+ *   {
+ *     "questions": [{ id, label, prompt, weight, options: [{ label, aliases?, score, minLevel? }] }],
+ *     "levels": [{ level, upTo, category, approval, guidance }]
+ *   }
+ * - Each answer scores weight × option score; the total is scaled to 0–100 against the highest possible
+ * - The first level whose 'upTo' the score does not exceed applies; an option's 'minLevel' raises it
+ *   to at least that level whatever the score (e.g. no rollback plan is never Low risk)
+ * - 'category' is the implied change type (a key of config/lead-times.json), 'approval' the approval
+ *   path and 'guidance' the search that finds the matching KB entries
+ *
+ * An assessment is a plain object kept in the caller's session:
+ *   { step, answers: { <question id>: option label }, active, createdAt }
+ */
+
+const fs = require('fs');
+const { describeRule } = require('./lead-times');
+
+// "is my change high risk?", "assess the risk of my change", "risk assessment"
+const START = /\b(?:(?:is|how risky is) (?:my|our|this|the) change\b.*\brisk|how risky is (?:my|our|this)|(?:assess|evaluate|score|rate|work out|calculate)\b.*\brisk\b|risk (?:assessment|questionnaire|score) (?:for|of) (?:my|our|this)|^\s*risk (?:assessment|questionnaire)\s*[?.!]?\s*$)/i;
+
+const COMMANDS = {
+  cancel: /^\s*(cancel|stop|quit|exit)\s*[.!]?\s*$/i,
+  back: /^\s*(back|go back|previous|undo)\s*[.!]?\s*$/i
+};
+
+// ---------------------------------------------
+// MODEL
+// ---------------------------------------------
+/**
+ * Read and check a model file. Throws with a readable message when it is invalid,
+ * so a broken edit never replaces a working model.
+ */
+function loadRiskModel(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!data || !Array.isArray(data.questions) || !data.questions.length) throw new Error("'questions' must list at least one question");
+  if (!Array.isArray(data.levels) || !data.levels.length) throw new Error("'levels' must list at least one level");
+
+  const levels = data.levels.map((l, i) => {
+    if (!l || typeof l.level !== "string" || typeof l.upTo !== "number") throw new Error("Level " + (i + 1) + " needs 'level' and a numeric 'upTo'");
+    return { level: l.level, upTo: l.upTo, category: l.category || "", approval: l.approval || "", guidance: l.guidance || "" };
+  }).sort((a, b) => a.upTo - b.upTo);
+  const names = levels.map(l => l.level);
+
+  const seen = new Set();
+  const questions = data.questions.map((q, i) => {
+    if (!q || typeof q.id !== "string" || !q.id) throw new Error("Question " + (i + 1) + " has no 'id'");
+    if (seen.has(q.id)) throw new Error("Duplicate question id '" + q.id + "'");
+    seen.add(q.id);
+    if (!Array.isArray(q.options) || q.options.length < 2) throw new Error("'" + q.id + "' needs at least two options");
+    const weight = q.weight === undefined ? 1 : q.weight;
+    if (typeof weight !== "number" || weight < 0) throw new Error("'" + q.id + "': weight must be a number ≥ 0");
+    return {
+      id: q.id,
+      label: q.label || q.id,
+      prompt: q.prompt || q.label || q.id,
+      weight,
+      options: q.options.map(o => {
+        if (!o || typeof o.label !== "string" || typeof o.score !== "number") throw new Error("'" + q.id + "': each option needs a 'label' and a numeric 'score'");
+        if (o.minLevel && !names.includes(o.minLevel)) throw new Error("'" + q.id + "': unknown minLevel '" + o.minLevel + "'");
+        return { label: o.label, aliases: o.aliases || [], score: o.score, minLevel: o.minLevel || null };
+      })
+    };
+  });
+  return { questions, levels };
+}
+
+// ---------------------------------------------
+// ASSESSMENTS
+// ---------------------------------------------
+/**
+ * Does this chat message ask for a risk assessment?
+ */
+function isStartCommand(text) {
+  return START.test(text);
+}
+
+/**
+ * A new assessment with chat input going to the questionnaire.
+ */
+function newAssessment() {
+  return { step: 0, answers: {}, active: true, createdAt: new Date().toISOString() };
+}
+
+// Lowercase words separated by single spaces, padded so " word " finds whole words
+function words(text) {
+  return " " + String(text).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim() + " ";
+}
+
+/**
+ * The option a reply picks: its number ("2"), its label or an alias, a unique prefix of a label,
+ * or else the longest label/alias the reply contains ("it has not been tested" → "Untested"). Null if none.
+ */
+function matchOption(question, text) {
+  const reply = words(text);
+  const n = parseInt(text, 10);
+  if (/^\s*\d+\s*[.)]?\s*$/.test(text) && n >= 1 && n <= question.options.length) return question.options[n - 1];
+
+  const names = [];
+  for (const option of question.options) {
+    for (const name of [option.label].concat(option.aliases)) names.push({ option, name: words(name) });
+  }
+  const exact = names.find(x => x.name === reply);
+  if (exact) return exact.option;
+  const prefix = question.options.filter(o => words(o.label).startsWith(reply.trimEnd()));
+  if (reply.trim() && prefix.length === 1) return prefix[0];
+  const contained = names.filter(x => reply.includes(x.name)).sort((a, b) => b.name.length - a.name.length)[0];
+  return contained ? contained.option : null;
+}
+
+/**
+ * The question for the current step, e.g. "Question 3 of 6 — Rollback: Is there a rollback plan…? (Tested, Untested, No rollback)".
+ */
+function promptFor(model, assessment) {
+  const question = model.questions[assessment.step];
+  if (!question) return null;
+  return "Question " + (assessment.step + 1) + " of " + model.questions.length + " — " + question.label + ": " +
+    question.prompt + " (" + question.options.map(o => o.label).join(", ") + ")";
+}
+
+/**
+ * Score a finished assessment:
+ *   { score, level, category, approval, guidance, raisedBy: [label], factors: [{ id, label, answer, points, max }] }
+ * - 'score' is 0–100; 'factors' are sorted with the biggest contributors first
+ * - 'raisedBy' lists the answers whose minLevel lifted the level above what the score gave
+ */
+function scoreAssessment(model, answers) {
+  let total = 0;
+  let max = 0;
+  let floor = 0;
+  const floors = [];
+  const factors = [];
+  const rank = name => model.levels.findIndex(l => l.level === name);
+
+  for (const question of model.questions) {
+    const option = question.options.find(o => o.label === answers[question.id]);
+    const best = Math.max(...question.options.map(o => o.score)) * question.weight;
+    max += best;
+    if (!option) continue;
+    const points = option.score * question.weight;
+    total += points;
+    factors.push({ id: question.id, label: question.label, answer: option.label, points, max: best });
+    if (option.minLevel) {
+      floor = Math.max(floor, rank(option.minLevel));
+      floors.push({ label: question.label + ": " + option.label, rank: rank(option.minLevel) });
+    }
+  }
+
+  const score = max ? Math.round(total / max * 100) : 0;
+  let index = model.levels.findIndex(l => score <= l.upTo);
+  if (index < 0) index = model.levels.length - 1;
+  const raised = floor > index;
+  const level = model.levels[Math.max(index, floor)];
+  return {
+    score,
+    level: level.level,
+    category: level.category,
+    approval: level.approval,
+    guidance: level.guidance,
+    raisedBy: raised ? floors.filter(f => f.rank === floor).map(f => f.label) : [],
+    factors: factors.sort((a, b) => b.points - a.points)
+  };
+}
+
+/**
+ * Public view of an assessment for the chat UI:
+ *   { active, step: { id, label, prompt, choices, index, total } | null, answers, result? }
+ */
+function assessmentStatus(model, assessment) {
+  const question = model.questions[assessment.step];
+  return {
+    active: assessment.active,
+    step: question ? {
+      id: question.id, label: question.label, prompt: promptFor(model, assessment),
+      choices: question.options.map(o => o.label), index: assessment.step + 1, total: model.questions.length
+    } : null,
+    answers: assessment.answers,
+    ...(!assessment.active && { result: scoreAssessment(model, assessment.answers) })
+  };
+}
+
+/**
+ * One chat turn of the questionnaire. Mutates 'assessment' and returns { reply, cancelled?, result? };
+ * 'result' (see scoreAssessment) comes with the turn that answers the last question.
+ * Besides answers, the user can say "back" or "cancel".
+ */
+function chatTurn(model, assessment, text) {
+  if (COMMANDS.cancel.test(text)) {
+    assessment.active = false;
+    return { reply: "Risk assessment cancelled.", cancelled: true };
+  }
+  if (COMMANDS.back.test(text)) {
+    assessment.step = Math.max(0, assessment.step - 1);
+    return { reply: promptFor(model, assessment) };
+  }
+
+  const question = model.questions[assessment.step];
+  const option = matchOption(question, text);
+  if (!option) return { reply: "Please pick one of the options. " + promptFor(model, assessment) };
+  assessment.answers[question.id] = option.label;
+  assessment.step++;
+  if (assessment.step < model.questions.length) return { reply: promptFor(model, assessment) };
+
+  assessment.active = false;
+  return { reply: "", result: scoreAssessment(model, assessment.answers) };
+}
+
+// ---------------------------------------------
+// OUTCOME
+// ---------------------------------------------
+/**
+ * The outcome in a few sentences: level and score, the answers that drove it, the implied
+ * change category and its notice rule ('leadTimes' may be null), and the approval path.
+ */
+function explainAssessment(result, leadTimes) {
+  const parts = ["Risk level: " + result.level + " (score " + result.score + " out of 100)."];
+
+  const drivers = result.factors.filter(f => f.points > 0).slice(0, 3);
+  if (drivers.length) parts.push("Biggest factors: " + drivers.map(f => f.label + " (" + f.answer + ")").join(", ") + ".");
+  if (result.raisedBy.length) parts.push("Raised to " + result.level + " because of " + result.raisedBy.join(", ") + ".");
+
+  const type = leadTimes && leadTimes.types[result.category];
+  if (result.category) {
+    const label = type ? type.label : result.category.charAt(0).toUpperCase() + result.category.slice(1);
+    parts.push("Implied change category: " + label + "." + (type ? " " + describeRule(leadTimes, result.category) : ""));
+  }
+  if (result.approval) parts.push("Approval path: " + result.approval);
+  return parts.join(" ");
+}
+
+module.exports = {
+  loadRiskModel, isStartCommand, newAssessment, assessmentStatus, chatTurn, scoreAssessment, explainAssessment
+};
@@ -0,0 +1,249 @@
+/**
+ * BM25 inverted index over KB entries.
+ *
+ * Each entry is indexed on two fields — its question ('q') and its answer ('a') —
+ * and scored with BM25F: per-field term frequencies are length-normalized, weighted
+ * and summed before the usual BM25 saturation, so a hit in a short question counts
+ * for more than the same word buried in a long answer.
+ *
+ * Terms are produced by analyze() (stemmed, synonyms canonicalized), so the index
+ * must be rebuilt whenever the synonym dictionary changes.
+ *
+ * Query words that are not in the KB vocabulary are corrected to the nearest
+ * KB word by edit distance, so "aproval" and "emergancy" still match.
+ */
+
+const { STOPWORDS, analyzeTokens, editDistance } = require('./text');
+
+// ---------------------------------------------
+// TUNING
+// ---------------------------------------------
+const K1 = 1.2;                              // Term-frequency saturation (higher = repeated words count for longer)
+const B = 0.75;                              // Length normalization strength (0 = none, 1 = full)
+const FIELD_WEIGHTS = { q: 3, a: 1 };        // A question hit is worth three answer hits
+const FIELDS = Object.keys(FIELD_WEIGHTS);
+const FUZZY_PENALTY = 0.8;                   // A corrected term scores 80% of an exact hit
+const UNKNOWN_WEIGHT = 0.25;                 // Share of the ideal score held back for a word the KB never uses
+const FUZZY_MIN_LENGTH = 5;                  // Shorter words (mostly acronyms) are never corrected to KB words
+
+/**
+ * Count term occurrences in a token list → Map(term → count).
+ */
+function termFrequencies(tokens) {
+  const tf = new Map();
+  for (const t of tokens) tf.set(t.term, (tf.get(t.term) || 0) + 1);
+  return tf;
+}
+
+/**
+ * Build the inverted index for an array of KB entries ({ q, a, ... }).
+ * Called once per KB load; the result is immutable and safe to swap atomically.
+ *
+ * Shape:
+ *   {
+ *     size,                        // number of entries
+ *     avgLength: { q, a },         // average field length in tokens
+ *     lengths:   [{ q, a }],       // per-entry field lengths
+ *     postings:  Map(term → [{ doc, tf: { q, a } }]),
+ *     surface:   Map(term → most common original word),
+ *     words:     Map(original word → term)   // vocabulary for typo correction
+ *   }
+ */
+function buildIndex(entries) {
+  const postings = new Map();
+  const lengths = [];
+  const totals = { q: 0, a: 0 };
+  const wordCounts = new Map();              // term → Map(word → count)
+
+  entries.forEach((entry, doc) => {
+    const perField = {};
+    const len = {};
+    for (const f of FIELDS) {
+      const tokens = analyzeTokens(entry[f] || "");
+      perField[f] = termFrequencies(tokens);
+      for (const { term, word } of tokens) {
+        if (!wordCounts.has(term)) wordCounts.set(term, new Map());
+        const counts = wordCounts.get(term);
+        counts.set(word, (counts.get(word) || 0) + 1);
+      }
+      len[f] = tokens.length;
+      totals[f] += tokens.length;
+    }
+    lengths.push(len);
+
+    // Merge the per-field counts into one posting per (term, entry)
+    const terms = new Set(FIELDS.flatMap(f => [...perField[f].keys()]));
+    for (const term of terms) {
+      const tf = {};
+      for (const f of FIELDS) tf[f] = perField[f].get(term) || 0;
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push({ doc, tf });
+    }
+  });
+
+  const size = entries.length;
+  const avgLength = {};
+  for (const f of FIELDS) avgLength[f] = size ? (totals[f] / size) || 1 : 1;
+
+  // Remember the most frequent spelling of each term for "Did you mean…?" suggestions
+  const surface = new Map();
+  const words = new Map();
+  for (const [term, counts] of wordCounts) {
+    surface.set(term, [...counts.entries()].sort((x, y) => y[1] - x[1])[0][0]);
+    for (const word of counts.keys()) words.set(word, term);
+  }
+
+  return { size, avgLength, lengths, postings, surface, words };
+}
+
+/**
+ * BM25 inverse document frequency. Terms missing from the KB get the
+ * highest possible IDF so that unknown words lower the confidence of a match.
+ */
+function idf(index, term) {
+  const df = (index.postings.get(term) || []).length;
+  return Math.log(1 + (index.size - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * Allowed edit distance for a word of the given length:
+ * none below FUZZY_MIN_LENGTH, one typo up to 8 letters, two from 9 letters on.
+ */
+function maxEdits(length) {
+  if (length < FUZZY_MIN_LENGTH) return 0;
+  return length < 9 ? 1 : 2;
+}
+
+/**
+ * Find the KB word closest to an unknown query word.
+ * - Candidates must start with the same letter (first-letter typos are rare,
+ *   and this stops "gives" turning into "lives")
+ * - Closest edit distance wins; ties go to the term found in more entries
+ * Returns { word, term, distance } or null when nothing is within maxEdits().
+ */
+function correctWord(index, word) {
+  const max = maxEdits(word.length);
+  if (!max) return null;
+
+  let best = null;
+  for (const [candidate, term] of index.words) {
+    if (candidate[0] !== word[0]) continue;
+    const d = editDistance(word, candidate, max);
+    if (d > max) continue;
+    const df = index.postings.get(term).length;
+    if (!best || d < best.distance || (d === best.distance && df > best.df)) {
+      best = { word: candidate, term, distance: d, df };
+    }
+  }
+  return best;
+}
+
+/**
+ * Is an unknown word just a misspelled stopword ("whne", "teh", "waht")?
+ * Same length and one edit away. Such words are dropped instead of counting as unknown.
+ */
+function misspelledStopword(word) {
+  if (word.length < 3) return null;
+  for (const s of STOPWORDS) {
+    if (s.length === word.length && editDistance(word, s, 1) <= 1) return s;
+  }
+  return null;
+}
+
+/**
+ * Score a query against the index.
+ *
+ * Returns { results, corrections }:
+ *   results:     best-first (ties keep KB order) [{ doc, bm25, score, matchedTerms, breakdown? }]
+ *   corrections: [{ from, to, term }] for query words that were swapped for a KB word
+ *                (term is null when the word turned out to be a misspelled stopword)
+ * - bm25:      raw BM25F score
+ * - score:     confidence in [0, 1] — bm25 relative to an entry whose question
+ *              contains every query term once at average length
+ * - breakdown: per-term { term, idf, tf: { q, a }, contribution, fuzzy } (only with opts.explain)
+ *
+ * Pass opts.fuzzy = false to disable typo correction.
+ */
+function search(index, query, opts = {}) {
+  const corrections = [];
+  if (!index.size) return { results: [], corrections };
+
+  // Resolve each unique query term, correcting words that are not in the KB vocabulary
+  const terms = new Map();                   // term → penalty factor (1 = exact, 0 = unknown)
+  for (const { term, word } of analyzeTokens(query)) {
+    if (terms.has(term)) continue;
+    if (index.postings.has(term)) {
+      terms.set(term, 1);
+      continue;
+    }
+    if (opts.fuzzy === false) {
+      terms.set(term, 0);
+      continue;
+    }
+    const stopword = misspelledStopword(word);
+    if (stopword) {
+      corrections.push({ from: word, to: stopword, term: null });
+      continue;
+    }
+    const fix = correctWord(index, word);
+    if (fix && !terms.has(fix.term)) {
+      terms.set(fix.term, FUZZY_PENALTY);
+      corrections.push({ from: word, to: fix.word, term: fix.term });
+    } else if (!fix) {
+      terms.set(term, 0);                    // Unknown word: still lowers confidence through 'ideal'
+    }
+  }
+
+  const hits = new Map();                    // doc → { bm25, matchedTerms, breakdown }
+  let ideal = 0;
+
+  for (const [term, factor] of terms) {
+    const w = idf(index, term);
+    ideal += (factor ? 1 : UNKNOWN_WEIGHT) * w * (FIELD_WEIGHTS.q * (K1 + 1)) / (FIELD_WEIGHTS.q + K1);
+
+    for (const { doc, tf } of index.postings.get(term) || []) {
+      // BM25F: length-normalize each field, weight it, then saturate the sum once
+      let weighted = 0;
+      for (const f of FIELDS) {
+        if (!tf[f]) continue;
+        const norm = 1 - B + B * (index.lengths[doc][f] / index.avgLength[f]);
+        weighted += FIELD_WEIGHTS[f] * tf[f] / norm;
+      }
+      const contribution = factor * w * (weighted * (K1 + 1)) / (weighted + K1);
+
+      if (!hits.has(doc)) hits.set(doc, { bm25: 0, matchedTerms: [], breakdown: [] });
+      const hit = hits.get(doc);
+      hit.bm25 += contribution;
+      hit.matchedTerms.push(term);
+      hit.breakdown.push({
+        term,
+        idf: round(w),
+        tf: { ...tf },
+        contribution: round(contribution),
+        fuzzy: factor < 1
+      });
+    }
+  }
+
+  const results = [...hits.entries()]
+    .map(([doc, hit]) => {
+      const result = {
+        doc,
+        bm25: round(hit.bm25),
+        score: round(Math.min(1, hit.bm25 / ideal)),
+        matchedTerms: hit.matchedTerms
+      };
+      if (opts.explain) result.breakdown = hit.breakdown;
+      return result;
+    })
+    .sort((x, y) => y.bm25 - x.bm25 || x.doc - y.doc);
+
+  return { results, corrections };
+}
+
+// Keep API payloads readable
+function round(n) {
+  return Number(n.toFixed(4));
+}
+
+module.exports = { buildIndex, search, FIELD_WEIGHTS };
@@ -0,0 +1,125 @@
+/**
+ * HTTP hardening: headers sent with every response, a Content-Security-Policy for the
+ * built-in HTML pages, a per-client rate limiter for the API routes and the checks that keep
+ * other sites from making changes through an admin's browser.
+ */
+
+const crypto = require('crypto');
+
+// Sent with every response
+const SECURITY_HEADERS = {
+  "X-Content-Type-Options": "nosniff",       // Never guess a type (a .md source served as HTML, …)
+  "X-Frame-Options": "DENY",                 // No framing (clickjacking); CSP frame-ancestors for newer browsers
+  "Referrer-Policy": "same-origin",
+  "Cross-Origin-Opener-Policy": "same-origin",
+  "Cross-Origin-Resource-Policy": "same-origin",
+  "Permissions-Policy": "camera=(), microphone=(), geolocation=(), payment=()"
+};
+
+// ---------------------------------------------
+// CONTENT SECURITY POLICY
+// ---------------------------------------------
+// 'sha256-…' sources for every inline <tag>…</tag> block of a page
+function inlineHashes(html, tag) {
+  const re = new RegExp("<" + tag + ">([\\s\\S]*?)</" + tag + ">", "g");
+  const hashes = [];
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    hashes.push("'sha256-" + crypto.createHash("sha256").update(m[1], "utf8").digest("base64") + "'");
+  }
+  return hashes.length ? hashes.join(" ") : "'none'";
+}
+
+/**
+ * Content-Security-Policy for one of the built-in pages. Only the page's own inline <script> and
+ * <style> blocks may run (allowed by hash, so markup injected later cannot add any), requests may
+ * only go back to this server, and nothing may frame the page.
+ */
+function pagePolicy(html) {
+  return [
+    "default-src 'none'",
+    "script-src " + inlineHashes(html, "script"),
+    "style-src " + inlineHashes(html, "style"),
+    "connect-src 'self'",
+    "img-src 'self' data:",
+    "form-action 'self'",
+    "base-uri 'none'",
+    "frame-ancestors 'none'"
+  ].join("; ");
+}
+
+// ---------------------------------------------
+// RATE LIMITING
+// ---------------------------------------------
+/**
+ * Fixed-window request counter per key (a client address): at most 'limit' hits per 'windowMs'.
+ *   limiter.hit(key) → { allowed: true } | { allowed: false, retryAfter: <seconds> }
+ * Expired windows are swept once per window, so memory only grows with the clients seen recently.
+ * Options: { limit, windowMs }
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+  let nextSweep = Date.now() + windowMs;
+  return {
+    hit(key) {
+      const now = Date.now();
+      if (now >= nextSweep) {
+        for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+        nextSweep = now + windowMs;
+      }
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + windowMs };
+        windows.set(key, w);
+      }
+      w.count++;
+      if (w.count <= limit) return { allowed: true };
+      return { allowed: false, retryAfter: Math.ceil((w.resetAt - now) / 1000) };
+    }
+  };
+}
+
+/**
+ * The address a request comes from. Behind a reverse proxy ('trustProxy'), that is the last
+ * X-Forwarded-For entry (the one the proxy added); otherwise the socket's peer address.
+ */
+function clientAddress(req, trustProxy) {
+  const forwarded = trustProxy && req.headers["x-forwarded-for"];
+  if (forwarded) return forwarded.split(",").pop().trim();
+  return req.socket.remoteAddress || "unknown";
+}
+
+// ---------------------------------------------
+// CROSS-SITE REQUESTS (CSRF)
+// ---------------------------------------------
+/**
+ * Whether a request was sent by this site's own pages, or by a tool that is no browser at all.
+ * Browsers say where a request comes from: Sec-Fetch-Site, and Origin on every POST/PUT/DELETE;
+ * a request from another site (a form or fetch on a page the admin visits while signed in or with
+ * Basic auth cached) names that site. Requests without either header (curl, scripts) pass.
+ * Behind a trusted proxy the Host it received is taken from X-Forwarded-Host.
+ */
+function sameOrigin(req, trustProxy) {
+  const site = req.headers["sec-fetch-site"];
+  if (site && site !== "same-origin" && site !== "none") return false;
+
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  const forwarded = trustProxy && req.headers["x-forwarded-host"];
+  const host = forwarded ? forwarded.split(",")[0].trim() : req.headers.host;
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;                            // "null" (sandboxed frames, file: pages) or garbage
+  }
+}
+
+/**
+ * Whether the request body is declared as JSON. Browsers cannot send that to another site without
+ * a CORS preflight (which this server never approves), so plain cross-site forms cannot either.
+ */
+function isJson(req) {
+  return (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase() === "application/json";
+}
+
+module.exports = { SECURITY_HEADERS, pagePolicy, createRateLimiter, clientAddress, sameOrigin, isJson };
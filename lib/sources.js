@@ -0,0 +1,277 @@
+/**
+ * Knowledge source loaders.
+ *
+ * Every supported file format has a loader that turns the file into plain text
+ * plus location markers, so the Q/A parsers never need to know where the text came from:
+ *
+ *   loader(file) → Promise<{ text, markers: [{ offset, page? , section? }] }>
+ *
+ * 'offset' is the character position in 'text' where a page or section starts.
+ * New formats can be added at runtime with registerLoader().
+ */
+
+const fs = require('fs');                    // Read source files
+const path = require('path');                // Extension + directory walking
+const pdf = require('pdf-extraction');       // <-- Reliable, Node-safe PDF parser
+const mammoth = require('mammoth');          // DOCX → HTML conversion (keeps headings)
+
+// ---------------------------------------------
+// PDF
+// ---------------------------------------------
+const COLUMN_GAP = 2;                        // A horizontal gap this many font sizes wide separates table columns
+
+/**
+ * Extract PDF text page by page so every offset can be mapped back to a page number.
+ * Uses pdf-extraction with a page renderer that mirrors its default one
+ * (a new line whenever the text baseline changes) but records each page as it goes.
+ * Text on one line with a wide gap before it (a table column) is separated by a tab,
+ * so lib/format.js can rebuild simple tables.
+ */
+async function loadPdf(file) {
+  const pages = [];
+  await pdf(fs.readFileSync(file), {
+    pagerender: pageData => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+      .then(content => {
+        let lastY, lastEnd, text = "";
+        for (const item of content.items) {
+          const [a, b, , , x, y] = item.transform;
+          if (lastY === y || !lastY) {
+            const gap = lastEnd === undefined ? 0 : x - lastEnd;
+            text += (gap > COLUMN_GAP * (Math.hypot(a, b) || item.height || 10) ? "\t" : "") + item.str;
+          } else {
+            text += "\n" + item.str;
+          }
+          lastY = y;
+          lastEnd = x + (item.width || 0);
+        }
+        pages.push(text);
+        return text;
+      })
+  });
+
+  // Join pages the same way pdf-extraction does ("\n\n" before each page)
+  let text = "";
+  const markers = [];
+  pages.forEach((pageText, i) => {
+    text += "\n\n";
+    markers.push({ offset: text.length, page: i + 1 });
+    text += pageText;
+  });
+  return { text, markers };
+}
+
+// ---------------------------------------------
+// DOCX
+// ---------------------------------------------
+// Decode the handful of entities mammoth emits
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": "\"", "&#39;": "'", "&nbsp;": " " };
+
+function htmlToText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(?:amp|lt|gt|quot|#39|nbsp);/g, e => ENTITIES[e]);
+}
+
+/**
+ * Convert a Word document to text, one block per paragraph or heading, with lists and
+ * tables kept in the Markdown subset of lib/format.js: list items as "- " / "1. " lines
+ * (nested lists are flattened) and each table row as a "| a | b |" line under a header row.
+ * Headings (h1–h6) become section markers.
+ */
+async function loadDocx(file) {
+  const { value: html } = await mammoth.convertToHtml({ path: file });
+  const tagRe = /<(\/?)(h[1-6]|p|li|ul|ol|table|tr|td|th)\b[^>]*>/gi;
+
+  let text = "";
+  const markers = [];
+  const lists = [];                          // [{ ordered, n }] of the open lists, innermost last
+  let table = null;                          // { rows } while inside a table
+  let row = null;                            // Cells of the current table row
+  let buffer = "";                           // Text of the paragraph, heading, item or cell being read
+  let lastKind = null;                       // "item" or "row" when the last line written may continue
+
+  function write(line, kind) {
+    if (text) text += kind && kind === lastKind ? "\n" : "\n\n";
+    text += line;
+    lastKind = kind;
+  }
+  function flushItem() {
+    const item = buffer.trim();
+    buffer = "";
+    if (!item || !lists.length) return;
+    const list = lists[lists.length - 1];
+    write((list.ordered ? ++list.n + ". " : "- ") + item, "item");
+  }
+
+  let last = 0;
+  let m;
+  while ((m = tagRe.exec(html)) !== null) {
+    buffer += htmlToText(html.slice(last, m.index));
+    last = tagRe.lastIndex;
+    const [closing, tag] = [m[1] === "/", m[2].toLowerCase()];
+
+    if (tag === "td" || tag === "th") {
+      if (closing && row) row.push(buffer.replace(/\s+/g, " ").trim().replace(/\|/g, "\\|"));
+      buffer = "";
+    } else if (tag === "tr") {
+      if (!closing) row = [];
+      else if (row && table) {
+        write("| " + row.join(" | ") + " |", "row");
+        if (!table.rows++) write("| " + row.map(() => "---").join(" | ") + " |", "row");
+        row = null;
+      }
+    } else if (tag === "table") {
+      table = closing ? null : { rows: 0 };
+    } else if (table) {
+      if (tag === "p" && closing) buffer += " ";
+    } else if (tag === "ul" || tag === "ol") {
+      flushItem();
+      if (closing) lists.pop();
+      else lists.push({ ordered: tag === "ol", n: 0 });
+    } else if (tag === "li") {
+      flushItem();
+    } else if (lists.length) {
+      if (tag === "p" && closing) buffer += " ";
+    } else if (closing) {
+      const block = buffer.trim();
+      buffer = "";
+      if (!block) continue;
+      if (text) text += "\n\n";
+      if (/^h[1-6]$/.test(tag)) markers.push({ offset: text.length, section: block });
+      text += block;
+      lastKind = null;
+    } else {
+      buffer = "";
+    }
+  }
+  return { text, markers };
+}
+
+// ---------------------------------------------
+// MARKDOWN
+// ---------------------------------------------
+/**
+ * Markdown is already text; ATX headings ("# Title", "## Sub") become section markers.
+ */
+async function loadMarkdown(file) {
+  const text = fs.readFileSync(file, "utf8").replace(/\r\n/g, "\n");
+  const markers = [];
+  const headingRe = /^#{1,6}\s+(.+?)\s*#*\s*$/gm;
+  let m;
+  while ((m = headingRe.exec(text)) !== null) {
+    markers.push({ offset: m.index, section: m[1] });
+  }
+  return { text, markers };
+}
+
+// ---------------------------------------------
+// CSV
+// ---------------------------------------------
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, doubled quotes, embedded commas and newlines.
+ * Returns an array of rows (arrays of strings).
+ */
+function parseCsv(src) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === "\"" && src[i + 1] === "\"") { field += "\""; i++; }
+      else if (c === "\"") quoted = false;
+      else field += c;
+    } else if (c === "\"") quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); rows.push(row);
+      row = []; field = "";
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+/**
+ * A CSV of FAQ rows. Columns are found by header name:
+ *   question | q, answer | a, and optional section | topic | category and audience | roles.
+ * Without a recognizable header the first two columns are used as question and answer.
+ * Each row is rewritten as a "Q: … / A: …" block so the structured parser picks it up
+ * (with an "Audience: …" line when the row has one).
+ */
+async function loadCsv(file) {
+  const rows = parseCsv(fs.readFileSync(file, "utf8"));
+  if (!rows.length) return { text: "", markers: [] };
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const find = names => header.findIndex(h => names.includes(h));
+  let qCol = find(["question", "q"]);
+  let aCol = find(["answer", "a"]);
+  const sCol = find(["section", "topic", "category"]);
+  const audCol = find(["audience", "roles"]);
+  let body = rows.slice(1);
+  if (qCol < 0 || aCol < 0) {
+    qCol = 0; aCol = 1; body = rows;
+  }
+
+  let text = "";
+  const markers = [];
+  body.forEach((row, i) => {
+    const q = (row[qCol] || "").replace(/\s+/g, " ").trim();
+    const a = (row[aCol] || "").trim();
+    if (!q || !a) return;
+    const section = sCol >= 0 && row[sCol] ? row[sCol].trim() : "row " + (i + (body === rows ? 1 : 2));
+    markers.push({ offset: text.length, section });
+    const audience = audCol >= 0 && row[audCol] ? row[audCol].replace(/\s+/g, " ").trim() : "";
+    text += "Q: " + q + "\nA: " + a + (audience ? "\nAudience: " + audience : "") + "\n\n";
+  });
+  return { text, markers };
+}
+
+// ---------------------------------------------
+// REGISTRY
+// ---------------------------------------------
+// File extension → loader. Extend with registerLoader().
+const LOADERS = new Map([
+  [".pdf", loadPdf],
+  [".docx", loadDocx],
+  [".md", loadMarkdown],
+  [".markdown", loadMarkdown],
+  [".csv", loadCsv]
+]);
+
+/**
+ * Register (or replace) the loader for a file extension, e.g. registerLoader(".txt", fn).
+ */
+function registerLoader(ext, loader) {
+  LOADERS.set(ext.toLowerCase(), loader);
+}
+
+/**
+ * Loader for a file, or undefined when its format is not supported.
+ */
+function loaderFor(file) {
+  return LOADERS.get(path.extname(file).toLowerCase());
+}
+
+/**
+ * Recursively list every supported file under 'dir', sorted for a stable KB order.
+ * Hidden files/folders and Office lock files ("~$report.docx") are skipped.
+ */
+function listSources(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".") || entry.name.startsWith("~$")) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listSources(full));
+    else if (entry.isFile() && loaderFor(full)) files.push(full);
+  }
+  return files.sort();
+}
+
+module.exports = { registerLoader, loaderFor, listSources };
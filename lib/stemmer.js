@@ -0,0 +1,130 @@
+/**
+ * Porter stemmer (M.F. Porter, 1980), with the Porter2 y → i rule.
+ * Reduces inflected English words to a common stem so that
+ * "rollbacks" / "rollback" and "approved" / "approval" / "approve" index the same.
+ */
+
+// Suffix tables for steps 2–4, tried in order (first match wins)
+const STEP2 = [
+  ["ational","ate"],["tional","tion"],["enci","ence"],["anci","ance"],["izer","ize"],
+  ["bli","ble"],["alli","al"],["entli","ent"],["eli","e"],["ousli","ous"],
+  ["ization","ize"],["ation","ate"],["ator","ate"],["alism","al"],["iveness","ive"],
+  ["fulness","ful"],["ousness","ous"],["aliti","al"],["iviti","ive"],["biliti","ble"],
+  ["logi","log"]
+];
+const STEP3 = [
+  ["icate","ic"],["ative",""],["alize","al"],["iciti","ic"],["ical","ic"],["ful",""],["ness",""]
+];
+const STEP4 = [
+  "al","ance","ence","er","ic","able","ible","ant","ement","ment","ent",
+  "ion","ou","ism","ate","iti","ous","ive","ize"
+];
+
+// Is the letter at position i a consonant? ('y' after a consonant counts as a vowel)
+function isConsonant(w, i) {
+  const c = w[i];
+  if ("aeiou".includes(c)) return false;
+  if (c === "y") return i === 0 || !isConsonant(w, i - 1);
+  return true;
+}
+
+// Measure m: number of vowel→consonant sequences in the word, i.e. [C](VC){m}[V]
+function measure(w) {
+  let m = 0;
+  let i = 0;
+  const n = w.length;
+  while (i < n && isConsonant(w, i)) i++;
+  while (i < n) {
+    while (i < n && !isConsonant(w, i)) i++;
+    if (i >= n) break;
+    while (i < n && isConsonant(w, i)) i++;
+    m++;
+  }
+  return m;
+}
+
+// *v* — the stem contains a vowel
+function hasVowel(w) {
+  for (let i = 0; i < w.length; i++) if (!isConsonant(w, i)) return true;
+  return false;
+}
+
+// *d — the stem ends with a double consonant
+function endsDouble(w) {
+  const n = w.length;
+  return n > 1 && w[n - 1] === w[n - 2] && isConsonant(w, n - 1);
+}
+
+// *o — the stem ends consonant-vowel-consonant, the last not w, x or y
+function endsCvc(w) {
+  const n = w.length;
+  return n > 2 &&
+    isConsonant(w, n - 3) && !isConsonant(w, n - 2) && isConsonant(w, n - 1) &&
+    !"wxy".includes(w[n - 1]);
+}
+
+// Replace the first matching suffix from 'rules' when the remaining stem satisfies minMeasure
+function replaceSuffix(w, rules, minMeasure) {
+  for (const [suffix, repl] of rules) {
+    if (w.endsWith(suffix)) {
+      const stem = w.slice(0, -suffix.length);
+      return measure(stem) > minMeasure ? stem + repl : w;
+    }
+  }
+  return w;
+}
+
+/**
+ * Stem a single lowercase word. Words of two letters or fewer are returned unchanged.
+ */
+function stem(word) {
+  let w = word;
+  if (w.length <= 2) return w;
+
+  // Step 1a: plurals
+  if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("ies")) w = w.slice(0, -2);
+  else if (!w.endsWith("ss") && w.endsWith("s")) w = w.slice(0, -1);
+
+  // Step 1b: -eed, -ed, -ing
+  if (w.endsWith("eed")) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    const suffix = w.endsWith("ed") ? "ed" : w.endsWith("ing") ? "ing" : null;
+    if (suffix && hasVowel(w.slice(0, -suffix.length))) {
+      w = w.slice(0, -suffix.length);
+      if (w.endsWith("at") || w.endsWith("bl") || w.endsWith("iz")) w += "e";
+      else if (endsDouble(w) && !"lsz".includes(w[w.length - 1])) w = w.slice(0, -1);
+      else if (measure(w) === 1 && endsCvc(w)) w += "e";
+    }
+  }
+
+  // Step 1c: terminal y → i after a consonant that is not the first letter
+  // (the Porter2 rule — keeps "deploy" and "deployment" on the same stem)
+  const n = w.length;
+  if (n > 2 && w.endsWith("y") && isConsonant(w, n - 2)) w = w.slice(0, -1) + "i";
+
+  // Steps 2–3: map double and single suffixes to simpler forms
+  w = replaceSuffix(w, STEP2, 0);
+  w = replaceSuffix(w, STEP3, 0);
+
+  // Step 4: drop residual suffixes on longer stems
+  for (const suffix of STEP4) {
+    if (!w.endsWith(suffix)) continue;
+    const s = w.slice(0, -suffix.length);
+    if (measure(s) > 1 && (suffix !== "ion" || /[st]$/.test(s))) w = s;
+    break;
+  }
+
+  // Step 5: tidy a final -e and double -ll
+  if (w.endsWith("e")) {
+    const s = w.slice(0, -1);
+    const m = measure(s);
+    if (m > 1 || (m === 1 && !endsCvc(s))) w = s;
+  }
+  if (measure(w) > 1 && endsDouble(w) && w.endsWith("l")) w = w.slice(0, -1);
+
+  return w;
+}
+
+module.exports = { stem };
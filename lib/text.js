@@ -0,0 +1,162 @@
+/**
+ * Text helpers shared by the KB parsers and the search index.
+ *
+ * analyze() is the single query/document pipeline:
+ *   normalize → stem → synonym/acronym canonicalization → stopword filter
+ * Both KB entries and user questions go through it, so "rollbacks", "back out"
+ * and "rollback" all land on the same index term.
+ */
+
+const fs = require('fs');
+const { stem } = require('./stemmer');
+
+// ---------------------------------------------
+// STOPWORDS
+// ---------------------------------------------
+// Minimal stopword list to reduce noise when building search patterns from questions.
+// This improves simple keyword matching by ignoring common filler words.
+const STOPWORDS = new Set([
+  "the","and","for","with","that","this","from","your","have","will","into","about",
+  "after","before","when","what","how","why","who","are","was","were","is","a","an",
+  "to","of","in","on","at","by","as","it","or","be","we","you","our","their","there",
+  "any","can","do"
+]);
+
+/**
+ * Normalize text for matching:
+ * - Lowercase
+ * - Replace non-alphanumerics with spaces
+ * - Collapse whitespace
+ */
+function normalize(str) {
+  return String(str).toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// ---------------------------------------------
+// SYNONYMS + ACRONYMS
+// ---------------------------------------------
+// Compiled dictionary: Map(first stem → [{ from: [stems], to: [stems], words }]), longest phrase first.
+let SYNONYM_RULES = new Map();
+
+/**
+ * Compile a synonym dictionary into matching rules.
+ * Dictionary format: { "canonical term": ["variant", "multi word variant", ...] }
+ * - Every variant (and the canonical term) is rewritten to the canonical term's stems
+ * - Matching is done on stems, so "change advisory boards" still hits "change advisory board"
+ */
+function setSynonyms(dict) {
+  const rules = new Map();
+  for (const [canonical, variants] of Object.entries(dict || {})) {
+    const words = normalize(canonical).split(" ").filter(Boolean);
+    const to = words.map(stem);
+    if (!to.length) continue;
+    for (const variant of [canonical].concat(variants || [])) {
+      const from = normalize(variant).split(" ").filter(Boolean).map(stem);
+      if (!from.length) continue;
+      if (!rules.has(from[0])) rules.set(from[0], []);
+      rules.get(from[0]).push({ from, to, words });
+    }
+  }
+  for (const list of rules.values()) list.sort((x, y) => y.from.length - x.from.length);
+  SYNONYM_RULES = rules;
+  return [...rules.values()].reduce((n, list) => n + list.length, 0);
+}
+
+/**
+ * Load a JSON synonym dictionary from disk and make it active.
+ * Returns the number of variants compiled. Throws if the file is unreadable or invalid.
+ */
+function loadSynonyms(file) {
+  return setSynonyms(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+/**
+ * Run text through the full analysis pipeline and return index terms with their surface words.
+ * - Stems every word (stopwords included, so phrases like "request for change" still match)
+ * - Rewrites synonym/acronym phrases to their canonical stems, longest match first
+ * - Then drops stopwords and single characters; canonical terms are always kept
+ *
+ * Returns [{ term, word }] where 'word' is the text the term came from
+ * (the canonical word for synonym rewrites), used for "Did you mean…?" suggestions.
+ */
+function analyzeTokens(str) {
+  const words = normalize(str).split(" ").filter(Boolean);
+  const stems = words.map(stem);
+  const tokens = [];
+
+  let i = 0;
+  while (i < words.length) {
+    const rule = (SYNONYM_RULES.get(stems[i]) || [])
+      .find(r => r.from.every((s, k) => stems[i + k] === s));
+    if (rule) {
+      rule.to.forEach((term, k) => tokens.push({ term, word: rule.words[k] }));
+      i += rule.from.length;
+      continue;
+    }
+    if (words[i].length > 1 && !STOPWORDS.has(words[i])) tokens.push({ term: stems[i], word: words[i] });
+    i++;
+  }
+  return tokens;
+}
+
+/**
+ * Index terms only — see analyzeTokens().
+ */
+function analyze(str) {
+  return analyzeTokens(str).map(t => t.term);
+}
+
+/**
+ * Split text into sentences for progressive display. Each piece keeps its trailing
+ * whitespace, so joining them gives back the original text exactly.
+ * A sentence ends at . ! or ? followed by whitespace, or at a blank line;
+ * single line breaks (wrapped PDF lines) and the dot of a step number ("2. ") do not end a sentence.
+ */
+function splitSentences(text) {
+  const pieces = [];
+  const ends = /(?<!^[ \t]*\d{1,2})[.!?](?=\s)|\n[ \t]*\n/gm;
+  let start = 0;
+  let m;
+  while ((m = ends.exec(text)) !== null) {
+    let end = m.index + m[0].length;
+    while (end < text.length && /\s/.test(text[end])) end++;
+    pieces.push(text.slice(start, end));
+    start = ends.lastIndex = end;
+  }
+  if (start < text.length) pieces.push(text.slice(start));
+  return pieces;
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment) between two words.
+ * A swap of adjacent letters ("aproval" / "apporval") counts as one edit.
+ * Gives up early and returns max + 1 once the distance is known to exceed 'max'.
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+module.exports = { STOPWORDS, normalize, analyze, analyzeTokens, splitSentences, editDistance, setSynonyms, loadSynonyms };
@@ -0,0 +1,156 @@
+/**
+ * Topic index: KB entries grouped by topic for browsing ("All FAQs") and starter questions.
+ *
+ * - Entries under a document heading are grouped by their top-level heading
+ *   ("2. Approvals › 2.1 CAB Review" → "Approvals")
+ * - Entries without one (Q/A documents such as the PDF) are grouped by keyword: the content word
+ *   shared by the most of their questions becomes a topic, then the next among those left, …;
+ *   a question that shares none joins "Definitions" when it asks "What is …?", else the topic
+ *   whose keyword its answer uses most (at least twice)
+ * - Whatever is left ends up under "Other"
+ *
+ * buildTopics() returns [{ name, entries, catchAll? }] with entries in KB order, biggest topic first;
+ * "Definitions" and "Other" come last and are marked catchAll.
+ */
+
+const { STOPWORDS, analyze, analyzeTokens } = require('./text');
+
+const MAX_KEYWORD_TOPICS = 20;               // Keyword topics made for entries without a heading
+const MIN_TOPIC_SIZE = 2;                    // Questions a keyword must share to become a topic
+const MIN_ANSWER_USES = 2;                   // Uses of a topic's keyword that place an answer with no shared keyword there
+const MAX_TOPIC_SHARE = 0.3;                 // Keywords in more of the questions than this ("change") are too broad
+const DEFINITIONS = "Definitions";         // "What is X?" questions that fit no keyword topic
+const DEFINITION = /^\s*what\s+(?:is|are)\s+(?:an?\s+|the\s+|our\s+)?[^?]{1,60}\?*\s*$/i;
+const OTHER = "Other";
+// Question words that say nothing about the subject ("What happens if…", "What must my…")
+const FILLER = new Set([
+  "my","me","if","not","does","did","should","must","need","needed","happen","happens","mean","means",
+  "get","make","use","used","include","includes","require","required","requires","difference","different",
+  "example","examples","list","which","where","much","many","way","kind","something","anything"
+]);
+
+// Top-level heading of an entry without its numbering, or "". A chunk's title is its heading path,
+// unless its section had no heading (the title is then its first sentence, see lib/knowledge.js);
+// CSV rows without a section column are cited as "row N", which is no heading either
+function headingOf(entry) {
+  const title = entry.chunk ? entry.q.replace(/ \(part \d+\)$/, "") : "";
+  let heading = title && !/[.?!…]$/.test(title) ? title.split(" › ")[0]
+    : entry.source && entry.source.section || "";
+  if (/^row \d+$/.test(heading)) heading = "";
+  return heading.replace(/^\s*(?:\d+(?:\.\d+)*[.)]?|[A-Z][.)])\s+/, "").trim();
+}
+
+// A keyword as the KB questions write it ("CAB", "Emergency"), capitalized; with the word before it
+// when most of the questions put the same one there ("Change Management")
+function keywordLabel(word, entries) {
+  let written = null;
+  const before = new Map();                  // lower-cased word → { text, count }
+  for (const entry of entries) {
+    const words = entry.q.split(/[^A-Za-z0-9'-]+/);
+    const i = words.findIndex(w => w.toLowerCase() === word);
+    if (i < 0) continue;
+    written = written || words[i];
+    const prev = i > 0 ? words[i - 1] : "";
+    if (prev.length > 1 && !STOPWORDS.has(prev.toLowerCase()) && !FILLER.has(prev.toLowerCase())) {
+      const b = before.get(prev.toLowerCase()) || { text: prev, count: 0 };
+      b.count++;
+      before.set(prev.toLowerCase(), b);
+    }
+  }
+  let label = written || word;
+  const common = [...before.values()].sort((x, y) => y.count - x.count)[0];
+  if (common && common.count > entries.length / 2) label = common.text + " " + label;
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Group entries without a heading by keyword (greedy: the keyword shared by the most questions
+ * still ungrouped goes first). Returns { topics: [{ term, name, entries }], definitions: [entry], rest: [entry] }.
+ */
+function keywordTopics(entries) {
+  const terms = new Map();                   // term → { entries: Set, words: Map(word → count), uses }
+  for (const entry of entries) {
+    for (const { term, word } of analyzeTokens(entry.q)) {
+      if (FILLER.has(word)) continue;
+      if (!terms.has(term)) terms.set(term, { entries: new Set(), words: new Map(), uses: 0 });
+      const t = terms.get(term);
+      t.entries.add(entry);
+      t.words.set(word, (t.words.get(word) || 0) + 1);
+      t.uses++;
+    }
+  }
+  const broad = Math.max(MIN_TOPIC_SIZE, Math.floor(entries.length * MAX_TOPIC_SHARE));
+  for (const [term, t] of terms) if (t.entries.size > broad) terms.delete(term);
+
+  const left = new Set(entries);
+  const topics = [];
+  while (topics.length < MAX_KEYWORD_TOPICS) {
+    // Most questions left; ties go to the keyword used most ("rollback" over "plan"), then alphabetically
+    let best = null;
+    let bestCount = 0;
+    for (const [term, t] of terms) {
+      let count = 0;
+      for (const e of t.entries) if (left.has(e)) count++;
+      const uses = best && terms.get(best).uses;
+      if (count > bestCount || (count === bestCount && best && (t.uses > uses || (t.uses === uses && term < best)))) {
+        best = term;
+        bestCount = count;
+      }
+    }
+    if (!best || bestCount < MIN_TOPIC_SIZE) break;
+
+    const t = terms.get(best);
+    const members = entries.filter(e => left.has(e) && t.entries.has(e));
+    const word = [...t.words.entries()].sort((x, y) => y[1] - x[1])[0][0];
+    topics.push({ term: best, name: keywordLabel(word, members), entries: members });
+    members.forEach(e => left.delete(e));
+    terms.delete(best);
+  }
+
+  // Questions that share no keyword: definitions, then the topic whose keyword their answer uses most
+  const definitions = entries.filter(e => left.has(e) && DEFINITION.test(e.q));
+  definitions.forEach(e => left.delete(e));
+  for (const entry of entries.filter(e => left.has(e))) {
+    const counts = new Map();
+    for (const term of analyze(entry.a)) counts.set(term, (counts.get(term) || 0) + 1);
+    let home = null;
+    for (const topic of topics) {
+      if ((counts.get(topic.term) || 0) > (home ? counts.get(home.term) : MIN_ANSWER_USES - 1)) home = topic;
+    }
+    if (home) {
+      home.entries.push(entry);
+      left.delete(entry);
+    }
+  }
+  return { topics, definitions, rest: entries.filter(e => left.has(e)) };
+}
+
+/**
+ * The topic index of a KB (see the top of this file).
+ */
+function buildTopics(kb) {
+  const byHeading = new Map();
+  const unheaded = [];
+  for (const entry of kb) {
+    const heading = headingOf(entry);
+    if (!heading) unheaded.push(entry);
+    else if (byHeading.has(heading)) byHeading.get(heading).push(entry);
+    else byHeading.set(heading, [entry]);
+  }
+
+  const { topics, definitions, rest } = keywordTopics(unheaded);
+  for (const topic of topics) {
+    // A keyword topic named like a heading joins it
+    if (byHeading.has(topic.name)) byHeading.get(topic.name).push(...topic.entries);
+    else byHeading.set(topic.name, topic.entries);
+  }
+  const order = new Map(kb.map((e, i) => [e, i]));
+  const index = [...byHeading.entries()]
+    .map(([name, entries]) => ({ name, entries: entries.sort((x, y) => order.get(x) - order.get(y)) }))
+    .sort((x, y) => y.entries.length - x.entries.length || x.name.localeCompare(y.name));
+  if (definitions.length) index.push({ name: DEFINITIONS, entries: definitions, catchAll: true });
+  if (rest.length) index.push({ name: OTHER, entries: rest, catchAll: true });
+  return index;
+}
+
+module.exports = { buildTopics };
@@ -0,0 +1,167 @@
+/**
+ * Numbered snapshots of the extracted KB, one JSON file per version.
+ *
+ * File shape (data/kb-versions/v0007.json):
+ *   { version, at, reason, hash, count, entries: [{ id, q, a, source, chunk? }] }
+ * - A version is written for every successful load whose content is not already stored
+ * - Only the entries extracted from the documents are kept; admin overrides live in their own store
+ * - Patterns are not stored: they depend on the synonym dictionary and are rebuilt on restore
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { patternsFor } = require('./knowledge');
+
+const MAX_VERSIONS = 20;                     // Snapshots kept on disk (oldest are pruned)
+const MAX_DROP = 0.5;                        // A reload losing more than this share of entries is rejected
+
+const FILE_RE = /^v(\d+)\.json$/;
+
+function versionFile(dir, version) {
+  return path.join(dir, "v" + String(version).padStart(4, "0") + ".json");
+}
+
+/**
+ * Read every stored version, oldest first. Unreadable files are logged and skipped.
+ */
+function loadVersions(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const versions = [];
+  for (const name of fs.readdirSync(dir)) {
+    if (!FILE_RE.test(name)) continue;
+    try {
+      versions.push(JSON.parse(fs.readFileSync(path.join(dir, name), "utf8")));
+    } catch (err) {
+      console.error("[KB] Skipping unreadable version file", name + ":", err.message);
+    }
+  }
+  return versions.sort((x, y) => x.version - y.version);
+}
+
+// The stored part of an entry (the audience too, so a rollback never widens who sees what)
+function snapshot(entries) {
+  return entries.map(({ id, q, a, source, chunk, audience }) => ({ id, q, a, source, chunk, audience }));
+}
+
+function contentHash(entries) {
+  return crypto.createHash("sha1").update(JSON.stringify(snapshot(entries))).digest("hex");
+}
+
+/**
+ * Sanity checks a freshly extracted KB must pass before it replaces the live one.
+ * 'baseline' is the entry count of the KB it would replace (0 when there is none yet).
+ * Returns null when the candidate is fine, otherwise the reason it was rejected.
+ * - An empty KB is always rejected
+ * - Losing more than MAX_DROP of the entries is rejected unless 'force' is set
+ */
+function checkCandidate(entries, baseline, force) {
+  if (!entries.length) return "No entries could be extracted";
+  if (!force && baseline && entries.length < baseline * (1 - MAX_DROP)) {
+    return "Entry count dropped from " + baseline + " to " + entries.length;
+  }
+  return null;
+}
+
+/**
+ * Does version 'v' hold exactly these entries?
+ */
+function sameContent(v, entries) {
+  return !!v && v.hash === contentHash(entries);
+}
+
+/**
+ * Store 'entries' as the next version (written atomically) and prune old ones.
+ * Mutates 'versions' (oldest first) and returns the new version record.
+ */
+function saveVersion(dir, versions, entries, reason) {
+  const last = versions[versions.length - 1];
+  const record = {
+    version: last ? last.version + 1 : 1,
+    at: new Date().toISOString(),
+    reason,
+    hash: contentHash(entries),
+    count: entries.length,
+    entries: snapshot(entries)
+  };
+
+  fs.mkdirSync(dir, { recursive: true });
+  const file = versionFile(dir, record.version);
+  fs.writeFileSync(file + ".tmp", JSON.stringify(record) + "\n", "utf8");
+  fs.renameSync(file + ".tmp", file);
+  versions.push(record);
+
+  while (versions.length > MAX_VERSIONS) {
+    const old = versions.shift();
+    fs.rmSync(versionFile(dir, old.version), { force: true });
+  }
+  return record;
+}
+
+/**
+ * Turn a stored version back into live KB entries (patterns rebuilt with the current synonyms).
+ */
+function restoreEntries(v) {
+  return v.entries.map(e => ({ ...e, patterns: patternsFor(e) }));
+}
+
+function sameSource(x, y) {
+  return JSON.stringify(x || null) === JSON.stringify(y || null);
+}
+
+function sameAudience(x, y) {
+  return (x || []).join(",") === (y || []).join(",");
+}
+
+// An entry's audience as a field to spread into a diff item (nothing when the entry is public)
+function audienceOf(e) {
+  return e.audience && e.audience.length ? { audience: e.audience } : {};
+}
+
+/**
+ * Entry-level difference between two versions, matched on entry id.
+ * A reworded question changes the id, so it shows up as one removal plus one addition.
+ *   { added: [{ id, q }], removed: [{ id, q }], changed: [{ id, q, before: { a, source }, after: { a, source } }] }
+ * Restricted entries also carry their 'audience' (on changed entries, in 'before' and 'after' as well)
+ * so callers can leave out what a user may not see. A changed audience counts as a change.
+ */
+function diffVersions(before, after) {
+  const old = new Map((before ? before.entries : []).map(e => [e.id, e]));
+  const added = [];
+  const changed = [];
+  for (const e of after.entries) {
+    const prev = old.get(e.id);
+    old.delete(e.id);
+    if (!prev) added.push({ id: e.id, q: e.q, ...audienceOf(e) });
+    else if (prev.a !== e.a || !sameSource(prev.source, e.source) || !sameAudience(prev.audience, e.audience)) {
+      changed.push({
+        id: e.id, q: e.q, ...audienceOf(e),
+        before: { a: prev.a, source: prev.source, ...audienceOf(prev) },
+        after: { a: e.a, source: e.source, ...audienceOf(e) }
+      });
+    }
+  }
+  const removed = [...old.values()].map(e => ({ id: e.id, q: e.q, ...audienceOf(e) }));
+  return { added, removed, changed };
+}
+
+/**
+ * Version list for GET /kb/versions, newest first, each with change counts against its predecessor.
+ */
+function listVersions(versions) {
+  return versions.map((v, i) => {
+    const diff = diffVersions(versions[i - 1], v);
+    return {
+      version: v.version,
+      at: v.at,
+      reason: v.reason,
+      count: v.count,
+      changes: { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length }
+    };
+  }).reverse();
+}
+
+module.exports = {
+  loadVersions, checkCandidate, sameContent, saveVersion, restoreEntries,
+  diffVersions, listVersions
+};
@@ -1,149 +1,517 @@
 /**
  * Change Management Chatbot
- * Loads FAQ knowledge from knowledgebase.pdf using pdf-extraction
+ * Loads FAQ knowledge from knowledgebase.pdf (or a whole directory of PDF, DOCX,
+ * Markdown and CSV files) and answers questions over HTTP.
  */
 
 const http = require('http');                // Built-in HTTP server for serving UI and API
-const fs = require('fs');                    // File system utilities (read PDF, watch for changes)
+const fs = require('fs');                    // File system utilities (read config, watch for changes)
 const path = require('path');                // Safe path utilities across OSes
-const pdf = require('pdf-extraction');       // <-- Reliable, Node-safe PDF parser
+const os = require('os');                    // Temp folder for documents uploaded to the linter
+const crypto = require('crypto');            // Random session secret when none is configured
+const bodyParser = require('body-parser');   // JSON request body parsing for the API routes
+const session = require('express-session');  // Cookie-backed conversation sessions
+const { loadSynonyms, splitSentences, normalize, analyze } = require('./lib/text'); // Stemming + synonym analysis pipeline
+const { buildIndex, search } = require('./lib/search-index'); // BM25 inverted index over KB entries
+const { listSources } = require('./lib/sources'); // Supported knowledge files in a directory
+const { loadKnowledge, DEFAULT_CHUNKING } = require('./lib/knowledge'); // Source files → KB entries
+const conversation = require('./lib/conversation'); // Follow-up question context
+const feedback = require('./lib/feedback');  // Thumbs up/down validation + report
+const { appendRecord } = require('./lib/jsonl'); // Append-only JSONL logs
+const gaps = require('./lib/gaps');          // Unanswered-question log + clustering
+const overrides = require('./lib/overrides'); // Admin edits merged over extracted entries
+const { lintDocument, formatReport } = require('./lib/lint'); // Document checks for KB authors
+const answers = require('./lib/answers');    // Passages → reply text (extractive or local LLM)
+const versions = require('./lib/versions');  // Numbered KB snapshots, sanity checks + diffs
+const { adminHtml, gapsHtml, versionsHtml } = require('./lib/admin-pages'); // Admin console pages
+const { loadCalendar } = require('./lib/calendar'); // Change windows, freezes, CAB dates (.ics)
+const { toLocal, startOfDay, parseDate } = require('./lib/dates'); // Wall-clock time in the calendar's zone
+const intents = require('./lib/intents');    // Date and lead-time questions answered by calculation
+const { loadLeadTimes } = require('./lib/lead-times'); // Notice rules per change type
+const rfc = require('./lib/rfc');            // Guided RFC drafting wizard
+const risk = require('./lib/risk');          // Scored change risk questionnaire
+const itsm = require('./lib/itsm');          // Change records from the ITSM tool (file or REST)
+const auth = require('./lib/auth');          // Sign-in (users file or OIDC), roles and KB audiences
+const security = require('./lib/security');  // Security headers, page CSP and rate limiting
+const topics = require('./lib/topics');      // KB entries grouped by heading or keyword
 
 const PORT = process.env.PORT || 3000;       // Port to run the HTTP server
-const PDF_PATH = path.join(__dirname, "knowledgebase.pdf"); // Absolute path to the knowledge base PDF
+const PDF_PATH = path.join(__dirname, "knowledgebase.pdf"); // Default single-file knowledge base
+const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR ? path.resolve(process.env.KNOWLEDGE_DIR) : null; // Optional directory of sources (replaces PDF_PATH)
+const SYNONYMS_PATH = process.env.SYNONYMS_PATH || path.join(__dirname, "config", "synonyms.json"); // Synonym/acronym dictionary
+const CALENDAR_PATH = process.env.CALENDAR_PATH || path.join(__dirname, "config", "change-calendar.ics"); // Change calendar (iCalendar)
+const LEAD_TIMES_PATH = process.env.LEAD_TIMES_PATH || path.join(__dirname, "config", "lead-times.json"); // Lead-time rules table
+const RFC_TEMPLATE_PATH = process.env.RFC_TEMPLATE_PATH || path.join(__dirname, "config", "rfc-template.json"); // Fields the RFC wizard asks for
+const RISK_MODEL_PATH = process.env.RISK_MODEL_PATH || path.join(__dirname, "config", "risk-model.json"); // Risk questions, weights and levels
+const CALENDAR_TZ = process.env.CALENDAR_TZ || Intl.DateTimeFormat().resolvedOptions().timeZone; // Zone for "today" and calendar times
+const MATCH_THRESHOLD = 0.35;                // Scores at or below this are reported as low confidence
+const DEFAULT_TOP_N = 3;                     // Ranked results returned by /ask unless the caller asks for more
+const CLARIFY_MARGIN = 0.1;                  // A runner-up within 10% of the best match's BM25 is a near-tie
+const WEAK_MATCH = 0.6;                      // Below this best score, a runner-up within twice the margin is also too close
+const MAX_CLARIFY = 3;                       // Entries offered as "Did you mean…?" for an ambiguous question
+const RELATED_TOP_N = 3;                     // Next best entries listed as "Related questions" under an answer
+const RELATED_MIN_SCORE = 0.2;               // Related questions score at least this
+const STARTER_COUNT = 4;                     // Starter questions offered with the greeting
+const MAX_TOP_N = 20;                        // Upper bound on the "topN" a caller may request
+const GUIDANCE_TOP_N = 3;                    // KB entries suggested with a risk assessment outcome
+const STREAM_INTERVAL_MS = 120;              // Pause between sentences streamed by /ask/stream
+const FEEDBACK_PATH = process.env.FEEDBACK_PATH || path.join(__dirname, "data", "feedback.jsonl"); // Append-only answer feedback
+const MISSES_PATH = process.env.MISSES_PATH || path.join(__dirname, "data", "unanswered.jsonl"); // Low-confidence questions for gap analysis
+const VERSIONS_DIR = process.env.VERSIONS_DIR || path.join(__dirname, "data", "kb-versions"); // KB snapshots, one file per version
+const OVERRIDES_PATH = process.env.OVERRIDES_PATH || path.join(__dirname, "data", "kb-overrides.json"); // Admin console edits
+const ADMIN_USER = process.env.ADMIN_USER || "admin"; // Admin console login (HTTP Basic auth)
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || ""; // Admin console is disabled until this is set
+const CHUNKING = {                           // Chunking of unstructured documents (defaults in lib/knowledge.js)
+  size: Number(process.env.CHUNK_SIZE) || DEFAULT_CHUNKING.size,
+  overlap: Number(process.env.CHUNK_OVERLAP) >= 0 ? Number(process.env.CHUNK_OVERLAP) : DEFAULT_CHUNKING.overlap,
+  maxChunks: Number(process.env.MAX_CHUNKS) || DEFAULT_CHUNKING.maxChunks
+};
+const ANSWER_GENERATOR = process.env.ANSWER_GENERATOR || "extractive"; // "extractive" or "llm" (needs LLM_URL)
+const LLM_URL = process.env.LLM_URL || "";  // OpenAI-compatible base URL, e.g. http://localhost:11434/v1 (Ollama)
+const LLM_MODEL = process.env.LLM_MODEL || "llama3.1"; // Model name sent to LLM_URL
+const ITSM_ADAPTER = process.env.ITSM_ADAPTER || ""; // "file" or "rest" (needs ITSM_URL); change records are off when unset
+const ITSM_FILE = process.env.ITSM_FILE || path.join(__dirname, "config", "itsm-changes.json"); // Change records for ITSM_ADAPTER=file
+const ITSM_URL = process.env.ITSM_URL || "";  // ServiceNow-style base URL (or a local stub) for ITSM_ADAPTER=rest
+const ITSM_ID_PATTERN = process.env.ITSM_ID_PATTERN || "\\bCHG\\d{7}\\b"; // Ticket IDs routed to the ITSM lookup
+const MAX_TICKETS = 3;                       // Ticket IDs looked up from one message
+const AUTH_ADAPTER = process.env.AUTH_ADAPTER || ""; // "local" or "oidc" (needs OIDC_ISSUER); sign-in is off when unset
+const AUTH_USERS_PATH = process.env.AUTH_USERS_PATH || path.join(__dirname, "config", "users.json"); // Users and password hashes for AUTH_ADAPTER=local
+const OIDC_ISSUER = process.env.OIDC_ISSUER || ""; // OpenID Connect issuer URL (or a local stub) for AUTH_ADAPTER=oidc
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || "change-chatbot"; // Client the chatbot signs in as
+const OIDC_GROUP_ROLES = process.env.OIDC_GROUP_ROLES || ""; // Provider groups → roles, e.g. "CAB-Members=cab,ITSM-Admins=admin"
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE) || 60; // API requests one client may make per minute
+const LOGIN_ATTEMPTS = 10;                   // Sign-in attempts one client may make per LOGIN_WINDOW_MINUTES
+const LOGIN_WINDOW_MINUTES = 15;
+const TRUST_PROXY = process.env.TRUST_PROXY === "true"; // Take the client address from X-Forwarded-For (behind a reverse proxy)
+const MAX_QUESTION_LENGTH = 1000;            // Longest question /ask and /ask/stream accept (characters)
+const MAX_URL_LENGTH = 4096;                 // Longer request URLs are refused with 414
+const MAX_HEADER_BYTES = 8192;               // Request header size limit (Node's default is 16 KB)
+const REQUEST_TIMEOUT_MS = 30000;            // Time a client has to send its whole request
+const SESSION_TTL_MINUTES = Number(process.env.SESSION_TTL_MINUTES) || 30; // Idle time before a conversation is forgotten
 
 // ---------------------------------------------
-// STOPWORDS + pattern helpers
+// SYNONYMS
 // ---------------------------------------------
-// Minimal stopword list to reduce noise when building search patterns from questions.
-// This improves simple keyword matching by ignoring common filler words.
-const STOPWORDS = new Set([
-  "the","and","for","with","that","this","from","your","have","will","into","about",
-  "after","before","when","what","how","why","who","are","was","were","is","a","an",
-  "to","of","in","on","at","by","as","it","or","be","we","you","our","their","there",
-  "any","can","do"
-]);
-
-/**
- * Given a raw question string, build an array of patterns used for fuzzy-ish matching.
- * - Normalizes to lowercase
- * - Removes non-alphanumerics
- * - Splits to tokens, filters short tokens and stopwords
- * - Returns original question + up to 8 unique keywords as patterns
- */
-function buildPatternsFromQuestion(q) {
-  const w = q.toLowerCase().replace(/[^a-z0-9\s]/g," ")
-      .split(/\s+/)
-      .filter(x => x.length > 3 && !STOPWORDS.has(x));
-  return [q].concat([...new Set(w)].slice(0,8));
-}
-
-/**
- * Attempt to parse a *structured* Q/A style document from extracted PDF text.
- * Expected format:
- *   Q: Your question ...
- *   A: Your answer ...
- * Repeats for multiple Q/A blocks.
- *
- * Returns an array of objects: [{ q, a, patterns }]
- */
-function parseStructuredQA(text) {
-  const result = [];
-  // Regex finds blocks beginning with Q: ... then A: ... up to next Q: or end of text.
-  const regex = /(?:^|\n)\s*Q:\s*(.+?)\s*\nA:\s*([\s\S]*?)(?=\nQ:|$)/gi;
-
-  let m;
-  while ((m = regex.exec(text)) !== null) {
-    const q = m[1].trim();
-    const a = m[2].trim();
-    result.push({
-      q,
-      a,
-      patterns: buildPatternsFromQuestion(q)
-    });
+/**
+ * Load the synonym/acronym dictionary used by analyze().
+ * A missing or broken file is logged and leaves the previous dictionary in place.
+ */
+function loadSynonymDictionary() {
+  if (!fs.existsSync(SYNONYMS_PATH)) {
+    console.log("[KB] No synonym dictionary found");
+    return;
+  }
+  try {
+    console.log("[KB] Loaded synonyms:", loadSynonyms(SYNONYMS_PATH));
+  } catch (err) {
+    console.error("[KB] Synonym dictionary failed to load:", err.message);
   }
-  return result;
 }
 
+// ---------------------------------------------
+// CHANGE CALENDAR + LEAD TIMES
+// ---------------------------------------------
+// Parsed change calendar and lead-time rules, each null when not configured (their intents then stay silent).
+let CALENDAR = null;
+let LEAD_TIMES = null;
+
 /**
- * If the PDF is not structured as explicit Q/A, fall back to chunking by paragraphs.
- * - Splits on double newlines to form paragraphs
- * - Creates a short 'q' summary using the first sentence (or trimmed paragraph)
- * - Builds patterns from that summary to enable matching
+ * Load the change calendar. A missing file disables the calendar answers;
+ * a broken one is logged and leaves the previous calendar in place.
  */
-function parseUnstructured(text) {
-  return text.split(/\n{2,}/)
-    .map(p => p.trim())
-    .filter(Boolean)
-    .map(p => {
-      // Use first sentence-like chunk as the 'question' label (capped length)
-      const first = (p.match(/(.+?[\.\?!])\s/) || [null,p])[1];
-      const q = first.length > 120 ? first.slice(0,117)+"…" : first;
-      return { q, a:p, patterns:buildPatternsFromQuestion(q) };
-    });
+function loadChangeCalendar() {
+  if (!fs.existsSync(CALENDAR_PATH)) {
+    console.log("[Calendar] No change calendar found");
+    CALENDAR = null;
+    return;
+  }
+  try {
+    CALENDAR = loadCalendar(CALENDAR_PATH, CALENDAR_TZ);
+    console.log("[Calendar] Loaded", CALENDAR.events.length, "events (" + CALENDAR_TZ + ")");
+  } catch (err) {
+    console.error("[Calendar] Change calendar failed to load:", err.message);
+  }
+}
+
+/**
+ * Load the lead-time rules table. Same policy as the calendar: missing disables, broken keeps the old rules.
+ */
+function loadLeadTimeRules() {
+  if (!fs.existsSync(LEAD_TIMES_PATH)) {
+    console.log("[Calendar] No lead-time rules found");
+    LEAD_TIMES = null;
+    return;
+  }
+  try {
+    LEAD_TIMES = loadLeadTimes(LEAD_TIMES_PATH);
+    console.log("[Calendar] Loaded lead-time rules:", Object.keys(LEAD_TIMES.types).join(", "));
+  } catch (err) {
+    console.error("[Calendar] Lead-time rules failed to load:", err.message);
+  }
 }
 
 // ---------------------------------------------
-// LOAD PDF → KB
+// LOAD SOURCES → KB
 // ---------------------------------------------
-// In-memory knowledge base (array of {q, a, patterns})
+// In-memory knowledge base (array of {id, q, a, patterns, source}), its search index and topic index.
+// KB = entries extracted from the sources (EXTRACTED) with admin overrides (OVERRIDES) merged on top.
+// Always replaced together through rebuildKnowledge() so they never disagree.
+let EXTRACTED = [];
+let OVERRIDES = { entries: {} };
 let KB = [];
+let INDEX = buildIndex([]);
+let TOPICS = [];
+
+/**
+ * Swap in freshly extracted entries and rebuild the merged KB.
+ */
+function setKnowledge(entries) {
+  EXTRACTED = entries;
+  rebuildKnowledge();
+}
+
+/**
+ * Merge overrides over the extracted entries and rebuild the inverted index and topic index.
+ * Called after every reload and every admin change.
+ */
+function rebuildKnowledge() {
+  const kb = overrides.applyOverrides(EXTRACTED, OVERRIDES);
+  const index = buildIndex(kb);
+  KB = kb;
+  INDEX = index;
+  TOPICS = topics.buildTopics(kb);
+  console.log("[KB] Indexed", INDEX.postings.size, "terms in", TOPICS.length, "topics");
+}
+
+/**
+ * Load the admin overrides store. A corrupt file is logged and ignored
+ * (and left untouched on disk) rather than taking the bot down.
+ */
+function loadOverrideStore() {
+  try {
+    OVERRIDES = overrides.loadOverrides(OVERRIDES_PATH);
+    const count = Object.keys(OVERRIDES.entries).length;
+    if (count) console.log("[KB] Loaded admin overrides:", count);
+  } catch (err) {
+    console.error("[KB] Admin overrides could not be read:", err.message);
+  }
+}
+
+/**
+ * The files that make up the KB:
+ * every supported file under KNOWLEDGE_DIR when it is set, otherwise knowledgebase.pdf.
+ */
+function knowledgeFiles() {
+  if (KNOWLEDGE_DIR) return listSources(KNOWLEDGE_DIR);
+  return fs.existsSync(PDF_PATH) ? [PDF_PATH] : [];
+}
 
 /**
- * Read and extract text from knowledgebase.pdf, then build the KB array.
- * Priority:
- *  1) Structured Q/A parsing (parseStructuredQA)
- *  2) Fallback to paragraph chunking (parseUnstructured)
- * Robust to empty/unreadable PDFs and logs informative messages.
+ * Read every knowledge source and build the KB array (see lib/knowledge.js).
+ * Robust to missing, empty or unreadable files and logs informative messages.
  */
-async function loadPdfKnowledge() {
-  if (!fs.existsSync(PDF_PATH)) {
-    console.log("[KB] No PDF found");
+async function loadAllKnowledge() {
+  const files = knowledgeFiles();
+  if (!files.length) {
+    console.log("[KB] No knowledge sources found");
     return [];
   }
+  return loadKnowledge(files, KNOWLEDGE_DIR || __dirname, CHUNKING);
+}
 
-  try {
-    // Read PDF buffer and extract text with pdf-extraction
-    const data = await pdf(fs.readFileSync(PDF_PATH));
-    const text = (data.text || "").trim();
-    if (!text) {
-      console.log("[KB] PDF contained no extractable text");
-      return [];
+/**
+ * Fingerprint of the current source files (names, sizes, modification times).
+ * Changes whenever a file is added, removed or edited.
+ */
+function sourcesSignature() {
+  return knowledgeFiles().map(f => {
+    const st = fs.statSync(f, { throwIfNoEntry: false });  // File may vanish between listing and stat
+    return st ? f + ":" + st.size + ":" + st.mtimeMs : f;
+  }).join("|");
+}
+
+// ---------------------------------------------
+// VERSIONS + RELOAD
+// ---------------------------------------------
+// Every accepted load is stored as a numbered version (see lib/versions.js).
+// CURRENT_VERSION is the version EXTRACTED came from; LAST_REJECTED describes the
+// most recent load that failed the sanity checks (kept for GET /kb/versions).
+let VERSIONS = [];
+let CURRENT_VERSION = null;
+let LAST_REJECTED = null;
+let reloadQueue = Promise.resolve();
+let lastSignature = "";                      // sourcesSignature() of the last load (see start())
+
+/**
+ * Re-read the sources and swap them in only if they pass the sanity checks.
+ * - Reloads run one at a time (polling, synonym edits and admin reloads can overlap)
+ * - A rejected load leaves the live KB untouched; at startup, with nothing live yet,
+ *   the latest stored version is served instead
+ * - Content identical to a stored version reuses that version instead of storing a copy
+ *   (e.g. a restart, or a synonym edit that only changes patterns)
+ * Resolves to { accepted, version?, problem? }.
+ */
+function reloadKnowledge(reason, force = false) {
+  const run = reloadQueue.then(async () => {
+    const entries = await loadAllKnowledge();
+    const current = VERSIONS.find(v => v.version === CURRENT_VERSION);
+    const latest = VERSIONS[VERSIONS.length - 1];
+    const baseline = current ? current.count : latest ? latest.count : 0;
+
+    const problem = versions.checkCandidate(entries, baseline, force);
+    if (problem) {
+      LAST_REJECTED = { at: new Date().toISOString(), reason, problem, count: entries.length };
+      console.error("[KB] Reload rejected (" + reason + "):", problem);
+      if (!current && latest) {
+        console.log("[KB] Serving stored version", latest.version);
+        CURRENT_VERSION = latest.version;
+        setKnowledge(versions.restoreEntries(latest));
+      }
+      return { accepted: false, problem };
     }
 
-    // Try structured Q/A format first
-    const structured = parseStructuredQA(text);
-    if (structured.length) {
-      console.log("[KB] Loaded structured KB:", structured.length);
-      return structured;
+    let version = VERSIONS.find(v => versions.sameContent(v, entries));
+    if (!version) {
+      try {
+        version = versions.saveVersion(VERSIONS_DIR, VERSIONS, entries, reason);
+        console.log("[KB] Stored version", version.version, "(" + entries.length + " entries)");
+      } catch (err) {
+        console.error("[KB] Could not store KB version:", err.message);
+      }
     }
+    CURRENT_VERSION = version ? version.version : null;
+    setKnowledge(entries);
+    return { accepted: true, version: CURRENT_VERSION };
+  });
+  reloadQueue = run.catch(err => console.error("[KB] Reload failed:", err));
+  return run;
+}
+
+/**
+ * Serve a stored version instead of what the sources currently yield.
+ * Holds until the next source change (or admin reload) brings in a new load.
+ */
+function rollbackTo(version) {
+  const run = reloadQueue.then(() => {
+    const v = VERSIONS.find(x => x.version === version);
+    if (!v) return false;
+    CURRENT_VERSION = v.version;
+    setKnowledge(versions.restoreEntries(v));
+    console.log("[KB] Rolled back to version", v.version);
+    return true;
+  });
+  reloadQueue = run.catch(err => console.error("[KB] Rollback failed:", err));
+  return run;
+}
 
-    // Fallback: parse as unstructured paragraphs (cap to first 300 chunks)
-    const unstructured = parseUnstructured(text).slice(0,300);
-    console.log("[KB] Loaded fallback KB:", unstructured.length);
-    return unstructured;
+// ---------------------------------------------
+// MATCHING
+// ---------------------------------------------
+// Scoring lives on the server so every client (embedded UI, Teams bot, scripts)
+// gets the same answers for the same question via POST /ask.
+// Ranking is BM25 over question + answer text (see lib/search-index.js).
 
-  } catch (err) {
-    // Handle parsing errors without crashing the server
-    console.error("[KB] PDF parsing failed:", err);
-    return [];
+/**
+ * Rank every KB entry against a question and return the best 'topN'.
+ * - Entries that share no terms with the question are dropped
+ * - 'score' is a 0–1 confidence; 'bm25' is the raw relevance score
+ * - 'lowConfidence' is true when even the best score does not clear MATCH_THRESHOLD
+ * - With 'explain', each result carries its per-term score breakdown
+ * - Every result carries a 'citation' pointing back to its source document
+ * - Misspelled words are corrected against the KB vocabulary; when that happens
+ *   'corrections' lists them and 'didYouMean' holds the corrected question
+ * - Only entries 'viewer' (the signed-in user, or null) may see are ranked (see auth.canSee)
+ * - The entry that asks exactly the question (see askedEntry) ranks first, and is never ambiguous
+ * - Any other confident ranking whose best entries are too close to call gets 'clarify' (see
+ *   clarifyChoices); otherwise it gets 'related': the next best entries by question, for "Related questions"
+ */
+function rankAnswers(question, topN = DEFAULT_TOP_N, explain = false, viewer = null) {
+  const found = search(INDEX, question, { explain });
+  const visible = found.results.filter(r => auth.canSee(viewer, KB[r.doc]));
+  const asked = askedEntry(question, visible);
+  if (asked > 0) visible.unshift(...visible.splice(asked, 1));
+  const results = visible
+    .slice(0, topN)
+    .map(r => ({
+      id: KB[r.doc].id,
+      q: KB[r.doc].q,
+      a: KB[r.doc].a,
+      citation: citationFor(KB[r.doc].source),
+      score: r.score,
+      bm25: r.bm25,
+      matchedTerms: r.matchedTerms,
+      ...(explain && { breakdown: r.breakdown })
+    }));
+
+  const best = results.length ? results[0].score : 0;
+  const response = { question, lowConfidence: best <= MATCH_THRESHOLD, results };
+  if (!response.lowConfidence) {
+    const clarify = asked < 0 && clarifyChoices(visible);
+    if (clarify) response.clarify = clarify;
+    else response.related = relatedQuestions(visible);
+  }
+  if (found.corrections.length) {
+    response.corrections = found.corrections.map(c => ({ from: c.from, to: c.to }));
+    response.didYouMean = applyCorrections(question, found.corrections);
   }
+  return response;
 }
 
-// Initial load (IIFE to await inside top-level)
-(async () => {
-  KB = await loadPdfKnowledge();
-})();
+// Questions compared without case, punctuation or spacing
+function sameQuestion(a, b) {
+  return normalize(a) === normalize(b);
+}
 
-// Auto-reload KB whenever the PDF file changes (polling every 2 seconds).
-// This allows live updates to the chatbot answers without restarting the server.
-fs.watchFile(PDF_PATH, { interval: 2000 }, async () => {
-  console.log("[KB] PDF changed → Reloading...");
-  KB = await loadPdfKnowledge();
-});
+// Keywords and question word of a question: "What is a rollback plan?" and "What is a Back-out
+// (Rollback) Plan?" both ask "what" about { rollback, plan }; "When is CAB?" asks "when"
+function questionKey(q) {
+  return normalize(q).split(" ")[0] + ":" + [...new Set(analyze(q))].sort().join(" ");
+}
+
+/**
+ * The near-ties of a ranking (best first): the results within CLARIFY_MARGIN of the best BM25 that
+ * clear MATCH_THRESHOLD (scores cap at 1, BM25 does not); when the best score is under WEAK_MATCH
+ * the margin doubles.
+ */
+function nearTies(ranked) {
+  const top = ranked[0];
+  if (!top) return [];
+  const margin = top.score < WEAK_MATCH ? CLARIFY_MARGIN * 2 : CLARIFY_MARGIN;
+  const ties = [];
+  for (const r of ranked) {
+    if (r.bm25 < top.bm25 * (1 - margin) || r.score <= MATCH_THRESHOLD) break;
+    ties.push(r);
+  }
+  return ties;
+}
+
+/**
+ * Index in 'ranked' of the entry that asks exactly the question, or -1:
+ * - a KB question asked word for word (such as a clicked suggestion), else
+ * - the one near-tie whose question has the same keywords and question word (see questionKey), so
+ *   "What is a rollback plan?" is not ambiguous between "What is a Back-out (Rollback) Plan?" and
+ *   "What is required in the backout (rollback) plan?"
+ */
+function askedEntry(question, ranked) {
+  const exact = ranked.findIndex(r => sameQuestion(question, KB[r.doc].q));
+  if (exact >= 0) return exact;
+  const key = questionKey(question);
+  const same = nearTies(ranked).filter(r => questionKey(KB[r.doc].q) === key);
+  return same.length && same.every(r => sameQuestion(KB[r.doc].q, KB[same[0].doc].q)) ? ranked.indexOf(same[0]) : -1;
+}
+
+/**
+ * The entries to offer as "Did you mean…?" when the best matches are too close to call (see
+ * nearTies), or null. Up to MAX_CLARIFY of them, one per distinct question, best first.
+ * Returns [{ id, q, score }] with at least two entries.
+ */
+function clarifyChoices(ranked) {
+  const choices = [];
+  for (const r of nearTies(ranked)) {
+    if (choices.length === MAX_CLARIFY) break;
+    if (!choices.some(c => sameQuestion(c.q, KB[r.doc].q))) choices.push({ id: KB[r.doc].id, q: KB[r.doc].q, score: r.score });
+  }
+  return choices.length >= 2 ? choices : null;
+}
+
+/**
+ * Up to RELATED_TOP_N entries after the best match, one per distinct question and scoring at least
+ * RELATED_MIN_SCORE, as [{ id, q, score }].
+ */
+function relatedQuestions(ranked) {
+  const related = [];
+  for (const r of ranked.slice(1)) {
+    if (r.score < RELATED_MIN_SCORE || related.length === RELATED_TOP_N) break;
+    const q = KB[r.doc].q;
+    if (!sameQuestion(q, KB[ranked[0].doc].q) && !related.some(e => sameQuestion(e.q, q))) {
+      related.push({ id: KB[r.doc].id, q, score: r.score });
+    }
+  }
+  return related;
+}
+
+/**
+ * Rewrite the user's question with corrected words for the "Did you mean…?" hint.
+ * Only whole words are replaced; everything else keeps the user's spelling and punctuation.
+ */
+function applyCorrections(question, corrections) {
+  return corrections.reduce((text, c) => {
+    // 'from' is a normalized word (a-z0-9 only), so it is safe inside a RegExp
+    const re = new RegExp("\\b" + c.from + "\\b", "i");
+    return text.replace(re, c.to);
+  }, question);
+}
+
+// ---------------------------------------------
+// CITATIONS
+// ---------------------------------------------
+// Content types for serving the original source documents via /sources/…
+const SOURCE_TYPES = {
+  ".pdf": "application/pdf",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".md": "text/markdown; charset=utf-8",
+  ".markdown": "text/markdown; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8"
+};
 
+/**
+ * The name a source file is known by in citations and /sources/ URLs:
+ * its path relative to the knowledge root, always with forward slashes.
+ */
+function sourceName(file) {
+  return path.relative(KNOWLEDGE_DIR || __dirname, file).split(path.sep).join("/");
+}
+
+/**
+ * Turn an entry's { file, page?, section? } into a citation for clients:
+ * - label: human-readable, e.g. "knowledgebase.pdf, p. 3"
+ * - url:   link to the original document; PDFs open at the cited page (#page=N)
+ * Entries added in the admin console have no document: url is null.
+ */
+function citationFor(source) {
+  if (!source) return null;
+  if (source.admin) return { admin: true, label: "Change Management team (admin console)", url: null };
+  const file = source.file.split(path.sep).join("/");
+  let label = file;
+  if (source.page) label += ", p. " + source.page;
+  if (source.section) label += " — " + source.section;
+  const url = "/sources/" + file.split("/").map(encodeURIComponent).join("/") +
+    (source.page ? "#page=" + source.page : "");
+  return { ...source, file, label, url };
+}
+
+/**
+ * GET /sources/<file>
+ * Streams an original knowledge document. Only files that are currently KB sources
+ * can be fetched, so the route cannot be used to read anything else on disk.
+ * A document with entries the caller may not see is not served at all.
+ */
+function handleSource(req, res, pathname) {
+  let name;
+  try {
+    name = decodeURIComponent(pathname.slice("/sources/".length));
+  } catch (err) {
+    res.writeHead(400);
+    return res.end("Bad source name");
+  }
+
+  const file = knowledgeFiles().find(f => sourceName(f) === name);
+  const hidden = KB.some(e => e.source && e.source.file && e.source.file.split(path.sep).join("/") === name &&
+    !auth.canSee(req.session.user, e));
+  if (!file || hidden) {
+    res.writeHead(404);
+    return res.end("Not found");
+  }
+
+  res.writeHead(200, {
+    "Content-Type": SOURCE_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream",
+    "Content-Disposition": "inline; filename=\"" + path.basename(file).replace(/"/g, "") + "\""
+  });
+  fs.createReadStream(file).pipe(res);
+}
 
 // The HTML below is served as a string (client UI).
-// It fetches /kb once on load to get FAQ entries, then performs simple in-browser matching for responses.
+// Questions are sent to POST /ask; the server does the matching and the page only renders replies.
 const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -212,6 +580,23 @@ header p {
   font-size: 0.9rem;
 }
 
+/* "All FAQs" and "New conversation" buttons, top-right of the header */
+header .header-actions {
+  position: absolute;
+  top: 1rem;
+  right: 1.25rem;
+  display: flex;
+  gap: 0.5rem;
+}
+
+header .header-btn {
+  padding: 0.45rem 0.8rem;
+  font-size: 0.8rem;
+  background: transparent;
+  border: 1px solid var(--africa-green);
+  color: var(--africa-green);
+}
+
 /* Chat Area */
 #chat {
   padding: 1rem;
@@ -229,6 +614,9 @@ header p {
   max-width: 820px;
 }
 
+/* Bubble column next to the avatar */
+.msg .column { flex: 1; }
+
 /* Avatars */
 .msg .avatar {
   width: 34px; height: 34px;
@@ -261,6 +649,19 @@ header p {
   border-color: var(--africa-green);
 }
 
+/* Formatted bot answers: paragraphs, lists, steps, tables and links */
+.bubble p, .bubble ul, .bubble ol, .bubble table { margin: 0 0 0.5rem; white-space: normal; }
+.bubble > :last-child { margin-bottom: 0; }
+.bubble ul, .bubble ol { padding-left: 1.3rem; }
+.bubble table { border-collapse: collapse; }
+.bubble th, .bubble td {
+  border: 1px solid rgba(255, 255, 255, 0.45);
+  padding: 0.2rem 0.45rem;
+  text-align: left;
+  vertical-align: top;
+}
+.bubble a { color: inherit; font-weight: 600; text-decoration: underline; }
+
 /* Africa-Themed Gradient on Bot Messages (Optional) */
 .msg.bot .bubble {
   background: linear-gradient(135deg,
@@ -281,6 +682,32 @@ header p {
   margin-top: 0.2rem;
 }
 
+/* Source citation under bot answers */
+.citation {
+  font-size: 0.75rem;
+  color: var(--muted);
+  margin-top: 0.2rem;
+}
+
+.citation a { color: var(--africa-yellow); }
+
+/* Thumbs up/down under bot answers */
+.feedback {
+  font-size: 0.75rem;
+  color: var(--muted);
+  margin-top: 0.3rem;
+}
+
+.feedback button {
+  padding: 0.15rem 0.45rem;
+  margin-right: 0.3rem;
+  background: transparent;
+  border: 1px solid var(--bubbleBotBorder);
+  font-weight: 400;
+}
+
+.feedback button.chosen { border-color: var(--africa-yellow); opacity: 1; }
+
 /* Typing Indicator */
 .typing { display: inline-block; min-width: 30px; }
 
@@ -303,7 +730,7 @@ header p {
 /* Footer Input Form */
 form {
   display: grid;
-  grid-template-columns: 1fr auto;
+  grid-template-columns: 1fr auto auto;
   gap: 0.6rem;
   padding: 0.9rem;
   background: rgba(0, 0, 0, 0.85);
@@ -311,7 +738,7 @@ form {
   position: sticky; bottom: 0;
 }
 
-input[type="text"] {
+input[type="text"], input[type="password"] {
   width: 100%;
   padding: 0.9rem 1rem;
   border-radius: 0.65rem;
@@ -332,7 +759,112 @@ button {
 
 button:disabled { opacity: 0.5; cursor: not-allowed; }
 
+#stopBtn { background: var(--africa-red); }
+
+/* Signed-in user line and the sign-in form shown in the chat */
+header .account {
+  margin: 0.25rem 0 0;
+  color: var(--muted);
+  font-size: 0.8rem;
+}
+
+.link-btn {
+  padding: 0;
+  background: transparent;
+  color: var(--africa-yellow);
+  font-weight: 400;
+  text-decoration: underline;
+}
+
+form.sign-in {
+  position: static;
+  grid-template-columns: 1fr 1fr auto;
+  padding: 0;
+  margin-top: 0.5rem;
+  background: transparent;
+  border: none;
+}
+
+/* "All FAQs" panel: questions grouped by topic, with a search box */
+.faq-panel {
+  position: fixed;
+  top: 0;
+  right: 0;
+  bottom: 0;
+  width: min(400px, 100%);
+  z-index: 20;
+  overflow: auto;
+  padding: 1rem;
+  background: var(--panel);
+  border-left: 2px solid var(--africa-green);
+}
+
+.faq-panel[hidden], #suggestions[hidden] { display: none; }
+
+.faq-panel .faq-head {
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  margin-bottom: 0.6rem;
+}
+
+.faq-panel h2 { margin: 0; font-size: 1rem; color: var(--africa-green); }
+
+.faq-panel input { margin-bottom: 0.6rem; }
+
+.faq-panel summary {
+  padding: 0.4rem 0;
+  cursor: pointer;
+  font-weight: 600;
+  color: var(--africa-yellow);
+}
+
+.faq-item {
+  display: block;
+  width: 100%;
+  padding: 0.35rem 0.5rem;
+  margin-bottom: 0.2rem;
+  background: transparent;
+  color: var(--text);
+  font-weight: 400;
+  text-align: left;
+}
+
+.faq-item:hover, .faq-item:focus { background: var(--bot); }
+
+/* Autocomplete of KB questions, above the input */
+#suggestions {
+  position: absolute;
+  bottom: 100%;
+  left: 0.9rem;
+  right: 0.9rem;
+  margin: 0;
+  padding: 0.3rem;
+  list-style: none;
+  max-height: 40vh;
+  overflow: auto;
+  background: var(--panel);
+  border: 1px solid var(--africa-green);
+  border-radius: 0.65rem;
+}
+
+#suggestions li {
+  padding: 0.45rem 0.6rem;
+  border-radius: 0.4rem;
+  cursor: pointer;
+}
+
+#suggestions li[aria-selected="true"], #suggestions li:hover { background: var(--bot); color: var(--africa-yellow); }
+
 /* Quick Reply Pills */
+.related {
+  font-size: 0.75rem;
+  color: var(--muted);
+  margin-top: 0.5rem;
+}
+
+.related .quick-replies { margin-top: 0.3rem; }
+
 .quick-replies {
   display: flex;
   flex-wrap: wrap;
@@ -354,66 +886,126 @@ button:disabled { opacity: 0.5; cursor: not-allowed; }
 </head>
 <body>
   <header>
+    <div class="header-actions">
+      <button id="faqBtn" class="header-btn" type="button" aria-controls="faqPanel" aria-expanded="false">All FAQs</button>
+      <button id="newChatBtn" class="header-btn" type="button">New conversation</button>
+    </div>
     <h1>Change Management — FAQ Chatbot</h1>
     <p class="note">Ask about RFCs, CAB, lead times, change windows, rollback plans, communication, freeze periods, etc.</p>
+    <p class="account" id="account" hidden></p>
   </header>
 
   <main id="chat" aria-live="polite"></main>
 
+  <aside id="faqPanel" class="faq-panel" aria-label="All FAQs" hidden>
+    <div class="faq-head">
+      <h2>All FAQs</h2>
+      <button id="faqClose" class="link-btn" type="button">Close</button>
+    </div>
+    <input id="faqSearch" type="text" placeholder="Search questions…" autocomplete="off" />
+    <div id="faqList"></div>
+  </aside>
+
   <form id="form">
-    <input id="input" type="text" placeholder="Type your question…" autocomplete="off" />
+    <ul id="suggestions" role="listbox" aria-label="Suggested questions" hidden></ul>
+    <input id="input" type="text" placeholder="Type your question…" autocomplete="off"
+      role="combobox" aria-autocomplete="list" aria-controls="suggestions" aria-expanded="false" />
     <button id="sendBtn" type="submit">Send</button>
+    <button id="stopBtn" type="button" hidden>Stop</button>
   </form>
 
   <script>
-    let FAQ = []; // Will hold the KB array loaded from the server
+    // Meta line and feedback context for the "meta" event of /ask/stream.
+    // The server ranks KB entries; we show the top match, the close matches to pick from on a near-tie,
+    // or a rephrase prompt when confidence is low.
+    function describeAnswer(data, txt) {
+      // Tell the user when their spelling was corrected or the previous topic was used
+      let hint = data.didYouMean ? 'Did you mean: "' + data.didYouMean + '"? ' : "";
+      if (data.followUp) hint += "(Follow-up to your previous question) ";
+
+      // Change records from the ITSM tool, linked to the ticket when it has a URL
+      if (data.intent === "change-record") {
+        return {
+          meta: "(From the change system)",
+          citations: data.answer.sources.map(s => s.citation).filter(c => c.url)
+        };
+      }
 
-    // Fetch the knowledge base once the page loads and cache it in FAQ
-    fetch("/kb").then(r => r.json()).then(data => {
-      FAQ = data;
-    });
+      // RFC wizard turns: step progress, choices as quick replies, downloads once complete
+      if (data.intent === "rfc-draft") return describeRfc(data.rfc);
+      // Risk questionnaire turns: options as quick replies, KB guidance cited with the outcome
+      if (data.intent === "risk-assessment") return describeRisk(data.risk, data.answer);
+
+      // Questions worked out from the change calendar / lead-time rules rather than a KB entry,
+      // with the likely replies as quick replies when the intent asks something back
+      if (data.intent && data.answer) {
+        const sources = data.answer.sources || [];
+        const src = sources[0];
+        return {
+          meta: sources.length ? "(Calculated from the " + sources.map(s => s.q.toLowerCase()).join(" and ") + ")" : "",
+          citations: sources.map(s => s.citation),
+          replies: data.choices || [],
+          feedback: { question: txt, matchedQ: src ? src.q : null }
+        };
+      }
 
-    // Normalize text:
-    // - to lowercase
-    // - remove non-alphanumerics
-    // - collapse multiple spaces
-    function normalize(str) {
-      return str.toLowerCase()
-        .replace(/[^a-z0-9\\s]/g, " ")
-        .replace(/\\s+/g, " ")
-        .trim();
-    }
-
-    // Score how well the user's input matches a set of patterns.
-    // Approach: Count how many pattern words appear in user text, then compute ratio.
-    function scoreMatch(user, patterns) {
-      var u = " " + normalize(user) + " ";
-      var best = 0;
-      for (var p of patterns) {
-        var words = normalize(p).split(" ").filter(Boolean);
-        var hits = words.filter(w => u.includes(" " + w + " ")).length;
-        best = Math.max(best, hits / words.length);
+      // Near-ties: let the user pick the question they meant instead of guessing
+      if (data.clarify) {
+        return {
+          text: "That could mean more than one thing. Did you mean:",
+          meta: hint + "(Several close matches)",
+          replies: data.clarify.map(c => c.q),
+          feedback: { question: txt }
+        };
       }
-      return best;
-    }
 
-    // Pick the best answer from FAQ by scanning all items and selecting highest score.
-    // If score > 0.35, we consider it a match; else we ask user to rephrase.
-    function getAnswer(txt) {
-      let best = { i:-1, s:0 };
-      for (let i=0; i<FAQ.length; i++) {
-        const s = scoreMatch(txt, FAQ[i].patterns);
-        if (s > best.s) best = { i, s };
+      if (data.match) {
+        const m = data.match;
+        const answer = data.answer || { sources: [] };
+        let meta = hint + "(Match confidence " + Math.round(m.score*100) + "%)";
+        if (answer.refused) meta = hint + "(Not covered by the knowledge base)";
+        else if (answer.generator === "llm") meta += " (Summarized from the cited sources)";
+        return {
+          meta,
+          citations: answer.sources.map(s => s.citation),
+          related: (data.related || []).map(r => r.q),
+          feedback: { question: txt, matchedQ: m.q, file: m.citation && m.citation.file, score: m.score }
+        };
       }
+      return {
+        text: "I couldn't confidently match that. Please rephrase.",
+        meta: hint + "(Low confidence)",
+        feedback: { question: txt }
+      };
+    }
 
-      if (best.s > 0.35) {
-        const item = FAQ[best.i];
-        return { text:item.a, meta: "(Match confidence " + Math.round(best.s*100)+"%)" };
+    // Meta line and extras for the state of an RFC draft (null once it is discarded)
+    function describeRfc(rfc) {
+      if (!rfc) return { meta: "" };
+      if (rfc.step) {
+        const replies = (rfc.step.choices || []).concat(rfc.step.required ? [] : ["skip"]);
+        if (rfc.step.index > 1) replies.push("back");
+        return { meta: "(RFC draft, step " + rfc.step.index + " of " + rfc.step.total + ")", replies: replies.concat("cancel") };
       }
+      return {
+        meta: "(RFC draft complete)",
+        downloads: [
+          { label: "Markdown", url: "/rfc/download?format=markdown" },
+          { label: "JSON", url: "/rfc/download?format=json" }
+        ]
+      };
+    }
 
+    // Meta line and extras for a risk assessment turn (null once it is cancelled)
+    function describeRisk(assessment, answer) {
+      if (!assessment) return { meta: "" };
+      if (assessment.step) {
+        const replies = assessment.step.choices.concat(assessment.step.index > 1 ? ["back"] : [], ["cancel"]);
+        return { meta: "(Risk assessment, question " + assessment.step.index + " of " + assessment.step.total + ")", replies };
+      }
       return {
-        text:"I couldn't confidently match that. Please rephrase.",
-        meta:"(Low confidence)"
+        meta: "(Risk assessment: " + assessment.result.level + " risk)",
+        citations: answer.sources.map(s => s.citation)
       };
     }
 
@@ -422,70 +1014,1716 @@ button:disabled { opacity: 0.5; cursor: not-allowed; }
     const form = document.getElementById('form');
     const input = document.getElementById('input');
 
-    // Render a message bubble into the chat area
-    function addMessage(msg, who="bot", meta="") {
+    // Answer text → DOM nodes. Answers use a small Markdown subset (see lib/format.js):
+    // "- " bullets, "1. " steps, "| a | b |" table rows, **bold**, [label](url), bare URLs and e-mail
+    // addresses; every other line is paragraph text. Nodes are built one by one and text is never
+    // parsed as HTML. Only http(s), mailto and same-site links become clickable.
+    const INLINE = /\\*\\*([^*]+)\\*\\*|\\[([^\\]]+)\\]\\(([^)\\s]+)\\)|((?:https?:\\/\\/|www\\.)[^\\s<>()]*[^\\s<>().,;:!?'"])|([\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+)/g;
+
+    function safeHref(url) {
+      if (/^www\\./i.test(url)) url = "https://" + url;
+      return /^(https?:\\/\\/|mailto:)/i.test(url) || /^\\/(?![\\/\\\\])/.test(url) ? url : null;
+    }
+
+    function renderInline(text, parent) {
+      let last = 0;
+      let m;
+      INLINE.lastIndex = 0;
+      while ((m = INLINE.exec(text)) !== null) {
+        parent.append(text.slice(last, m.index));
+        last = INLINE.lastIndex;
+        if (m[1]) {
+          const strong = document.createElement("strong");
+          strong.textContent = m[1];
+          parent.append(strong);
+          continue;
+        }
+        const label = m[2] || m[4] || m[5];
+        const href = m[5] ? "mailto:" + m[5] : safeHref(m[3] || m[4]);
+        if (!href) { parent.append(label); continue; }
+        const link = document.createElement("a");
+        link.href = href;
+        link.textContent = label;
+        if (/^https?:/i.test(href)) { link.target = "_blank"; link.rel = "noopener noreferrer"; }
+        parent.append(link);
+      }
+      parent.append(text.slice(last));
+    }
+
+    function renderMarkdown(text) {
+      const fragment = document.createDocumentFragment();
+      let block = null;                      // The paragraph, list or table being filled
+      let kind = "";
+      function open(type) {
+        if (kind === type) return false;
+        block = fragment.appendChild(document.createElement(type));
+        kind = type;
+        return true;
+      }
+      for (const line of text.split("\\n")) {
+        const bullet = line.match(/^\\s*- (.*)$/);
+        const step = line.match(/^\\s*(\\d{1,2})\\. (.*)$/);
+        if (bullet || step) {
+          if (open(bullet ? "ul" : "ol") && step && step[1] !== "1") block.start = Number(step[1]);
+          const item = block.appendChild(document.createElement("li"));
+          renderInline(bullet ? bullet[1] : step[2], item);
+        } else if (/^\\s*\\|.*\\|\\s*$/.test(line)) {
+          if (/^[\\s|:-]+$/.test(line)) continue;   // The "| --- |" row under the header
+          const header = open("table");
+          const row = block.appendChild(document.createElement("tr"));
+          for (const cell of line.trim().slice(1, -1).split(/(?<!\\\\)\\|/)) {
+            renderInline(cell.trim().replace(/\\\\\\|/g, "|"), row.appendChild(document.createElement(header ? "th" : "td")));
+          }
+        } else if (line.trim()) {
+          if (!open("p")) block.append(" ");
+          renderInline(line.trim(), block);
+        } else {
+          kind = "";
+        }
+      }
+      return fragment;
+    }
+
+    // Render a message bubble into the chat area and return its row.
+    // User messages are set as plain text and bot messages through renderMarkdown(); neither is
+    // parsed as HTML, so markup typed by the user or found in a KB document shows up literally
+    // instead of running in the page.
+    // Extras for bot answers are added by finishMessage().
+    function addMessage(msg, who="bot", meta="", extras={}) {
       const row = document.createElement("div");
       row.className = "msg " + (who==="user" ? "user" : "bot");
 
-      row.innerHTML = \`
-        <div class="avatar">\${who==="user"?"You":"CM"}</div>
-        <div style="flex:1">
-          <div class="bubble">\${msg}</div>
-          \${meta ? '<div class="meta">'+meta+'</div>' : ''}
-        </div>
-      \`;
+      const avatar = document.createElement("div");
+      avatar.className = "avatar";
+      avatar.textContent = who==="user" ? "You" : "CM";
+      const column = document.createElement("div");
+      column.className = "column";
+      const bubble = document.createElement("div");
+      bubble.className = "bubble";
+      if (who === "user") bubble.textContent = msg;
+      else bubble.append(renderMarkdown(msg));
+      column.appendChild(bubble);
+      row.append(avatar, column);
+      finishMessage(row, meta, extras);
 
       chat.appendChild(row);
       chat.scrollTop = chat.scrollHeight;
+      return row;
     }
 
-    // Initial greeting
-    addMessage("Hi! I'm your Change Management assistant.");
+    // Add the lines under a bubble:
+    // - meta (confidence, hints) as plain text
+    // - citations ([{ label, url }]) as "Source:" links, numbered when there are several
+    // - feedback ({ question, matchedQ?, file?, score? }) as thumbs up/down buttons
+    // - downloads ([{ label, url }]) as "Download:" links
+    // - replies (["text", …]) as quick-reply buttons that send the text
+    // - related (["question", …]) as "Related questions:" buttons that ask them
+    function finishMessage(row, meta, extras={}) {
+      const { citations = [], feedback, downloads = [], replies = [], related = [] } = extras;
+      const column = row.lastElementChild;
+
+      if (meta) {
+        const line = document.createElement("div");
+        line.className = "meta";
+        line.textContent = meta;
+        column.appendChild(line);
+      }
 
-    // Handle user submission:
-    // - Append user's message
-    // - Compute best answer
-    // - Append bot's reply
-    form.addEventListener("submit", e => {
-      e.preventDefault();
-      const txt = input.value.trim();
-      if (!txt) return;
+      if (citations.length) {
+        // Built with DOM APIs so file names are never interpreted as markup
+        const cite = document.createElement("div");
+        cite.className = "citation";
+        cite.append(citations.length > 1 ? "Sources: " : "Source: ");
+        citations.forEach((citation, i) => {
+          if (i) cite.append(" · ");
+          const label = (citations.length > 1 ? "[" + (i + 1) + "] " : "") + citation.label;
+          if (citation.url) {
+            const link = document.createElement("a");
+            link.href = citation.url;
+            link.target = "_blank";
+            link.rel = "noopener";
+            link.textContent = label;
+            cite.append(link);
+          } else {
+            cite.append(label);
+          }
+        });
+        column.appendChild(cite);
+      }
 
-      addMessage(txt, "user");
-      input.value = "";
+      if (downloads.length) {
+        const line = document.createElement("div");
+        line.className = "citation";
+        line.append("Download: ");
+        downloads.forEach((d, i) => {
+          if (i) line.append(" · ");
+          const link = document.createElement("a");
+          link.href = d.url;
+          link.textContent = d.label;
+          line.append(link);
+        });
+        column.appendChild(line);
+      }
 
-      setTimeout(() => {
-        const ans = getAnswer(txt);
-        addMessage(ans.text, "bot", ans.meta);
-      }, 300);
-    });
-  </script>
-</body>
-</html>`;
+      if (replies.length) column.appendChild(replyPills(replies));
 
-// ---------------------------------------------
-// SERVER
-// ---------------------------------------------
-// Minimal HTTP server:
-//   "/"  -> serves the HTML UI
-//   "/kb"-> returns JSON array of KB items [{ q, a, patterns }]
-// Any other route -> 404
-const server = http.createServer((req, res) => {
-  if (req.url === "/") {
-    res.writeHead(200, {"Content-Type":"text/html"});
-    return res.end(html);
-  }
+      if (related.length) {
+        const box = document.createElement("div");
+        box.className = "related";
+        box.append("Related questions:", replyPills(related));
+        column.appendChild(box);
+      }
 
-  if (req.url === "/kb") {
-    res.writeHead(200, {"Content-Type":"application/json"});
-    return res.end(JSON.stringify(KB));
-  }
+      if (feedback) column.appendChild(feedbackControls(feedback));
+      chat.scrollTop = chat.scrollHeight;
+    }
 
-  res.writeHead(404);
-  res.end("Not found");
-});
+    // A row of pill buttons, each sending its text as the next message
+    function replyPills(texts) {
+      const box = document.createElement("div");
+      box.className = "quick-replies";
+      for (const text of texts) {
+        const pill = document.createElement("button");
+        pill.type = "button";
+        pill.className = "pill";
+        pill.textContent = text;
+        pill.addEventListener("click", () => send(text));
+        box.appendChild(pill);
+      }
+      return box;
+    }
+
+    // Three blinking dots while the answer is on its way
+    function typingIndicator() {
+      const typing = document.createElement("span");
+      typing.className = "typing";
+      for (let i = 0; i < 3; i++) {
+        const dot = document.createElement("span");
+        dot.className = "dot";
+        typing.appendChild(dot);
+      }
+      return typing;
+    }
+
+    // Thumbs up/down under an answer; one vote per answer, then the buttons lock
+    function feedbackControls(context) {
+      const box = document.createElement("div");
+      box.className = "feedback";
+      for (const [verdict, label, title] of [["up", "👍", "Helpful"], ["down", "👎", "Not helpful"]]) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.textContent = label;
+        btn.title = title;
+        btn.addEventListener("click", async () => {
+          box.querySelectorAll("button").forEach(b => b.disabled = true);
+          btn.classList.add("chosen");
+          const res = await fetch("/feedback", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ ...context, verdict })
+          }).catch(() => null);
+          box.append(res && res.ok ? " Thanks for the feedback!" : " Feedback could not be sent.");
+        });
+        box.appendChild(btn);
+      }
+      return box;
+    }
+
+    // Initial greeting (starter questions are added once the topics are loaded)
+    const GREETING = "Hi! I'm your Change Management assistant.";
+    const greeting = addMessage(GREETING);
+
+    // Topics from /kb/topics for the caller: starter questions, the "All FAQs" panel and autocomplete.
+    // Loaded again after sign-in, since the questions depend on the user's roles.
+    let topics = { starters: [], topics: [] };
+    let questions = [];
+    function loadTopics() {
+      return fetch("/kb/topics").then(res => res.ok ? res.json() : null).then(data => {
+        if (data) {
+          topics = data;
+          questions = [...new Set(data.topics.flatMap(t => t.questions.map(item => item.q)))];
+          renderFaqs();
+        }
+      }).catch(() => {});
+    }
+
+    // Starter questions as quick replies under a greeting
+    function addStarters(row) {
+      if (!topics.starters.length) return;
+      finishMessage(row, "Not sure where to start? Try one of these, or browse All FAQs.", {
+        replies: topics.starters.map(item => item.q)
+      });
+    }
+
+    // "All FAQs" panel: one collapsible group per topic. The search box keeps the questions that
+    // contain every typed word and opens their groups. Picking a question asks it.
+    const faqPanel = document.getElementById("faqPanel");
+    const faqSearch = document.getElementById("faqSearch");
+    const faqList = document.getElementById("faqList");
+    const faqBtn = document.getElementById("faqBtn");
+    function showFaqs(open) {
+      faqPanel.hidden = !open;
+      faqBtn.setAttribute("aria-expanded", String(open));
+      if (open) faqSearch.focus();
+    }
+    function renderFaqs() {
+      const words = faqSearch.value.toLowerCase().split(" ").filter(Boolean);
+      faqList.replaceChildren();
+      for (const topic of topics.topics) {
+        const matching = topic.questions.filter(item => words.every(w => item.q.toLowerCase().includes(w)));
+        if (!matching.length) continue;
+        const group = document.createElement("details");
+        group.open = words.length > 0;
+        const summary = document.createElement("summary");
+        summary.textContent = topic.name + " (" + matching.length + ")";
+        group.appendChild(summary);
+        for (const item of matching) {
+          const btn = document.createElement("button");
+          btn.type = "button";
+          btn.className = "faq-item";
+          btn.textContent = item.q;
+          btn.addEventListener("click", () => { showFaqs(false); send(item.q); });
+          group.appendChild(btn);
+        }
+        faqList.appendChild(group);
+      }
+      if (!faqList.childElementCount) {
+        const none = document.createElement("p");
+        none.className = "meta";
+        none.textContent = words.length ? "No questions match your search." : "No questions available.";
+        faqList.appendChild(none);
+      }
+    }
+    faqBtn.addEventListener("click", () => showFaqs(faqPanel.hidden));
+    document.getElementById("faqClose").addEventListener("click", () => showFaqs(false));
+    faqSearch.addEventListener("input", renderFaqs);
+    faqPanel.addEventListener("keydown", e => { if (e.key === "Escape") showFaqs(false); });
+
+    // Pick up an RFC draft left in progress before the page was reloaded
+    function resumeRfc() {
+      fetch("/rfc").then(res => res.ok ? res.json() : null).then(rfc => {
+        if (!rfc || !rfc.active || !rfc.step) return;
+        const { meta, ...extras } = describeRfc(rfc);
+        addMessage("You have an RFC draft in progress. " + rfc.step.prompt, "bot", meta, extras);
+      }).catch(() => {});
+    }
+
+    // "Signed in as … · Sign out" in the header (hidden when sign-in is off)
+    const account = document.getElementById("account");
+    function showAccount(user) {
+      account.textContent = "";
+      account.hidden = !user;
+      if (!user) return;
+      account.append("Signed in as " + user.name + " (" + user.roles.join(", ") + ") · ");
+      const signOut = document.createElement("button");
+      signOut.type = "button";
+      signOut.className = "link-btn";
+      signOut.textContent = "Sign out";
+      signOut.addEventListener("click", async () => {
+        await fetch("/logout", { method: "POST" }).catch(() => {});
+        location.reload();
+      });
+      account.append(signOut);
+    }
+
+    // Sign-in form as a bot message; the chat input stays locked until it succeeds.
+    // Built with DOM APIs so names and server errors are never interpreted as markup.
+    function showSignIn(note) {
+      input.disabled = sendBtn.disabled = true;
+      const row = addMessage(note);
+      const box = document.createElement("form");
+      box.className = "sign-in";
+      const username = document.createElement("input");
+      username.type = "text";
+      username.placeholder = "User name";
+      username.autocomplete = "username";
+      const password = document.createElement("input");
+      password.type = "password";
+      password.placeholder = "Password";
+      password.autocomplete = "current-password";
+      const submit = document.createElement("button");
+      submit.type = "submit";
+      submit.textContent = "Sign in";
+      const error = document.createElement("div");
+      error.className = "meta";
+      box.append(username, password, submit);
+      row.lastElementChild.append(box, error);
+
+      box.addEventListener("submit", async e => {
+        e.preventDefault();
+        submit.disabled = true;
+        const res = await fetch("/login", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ username: username.value, password: password.value })
+        }).catch(() => null);
+        const data = res ? await res.json().catch(() => ({})) : {};
+        submit.disabled = false;
+        if (!res || !res.ok) {
+          error.textContent = data.error || "Sorry, I couldn't reach the server. Please try again.";
+          password.value = "";
+          return password.focus();
+        }
+        row.remove();
+        showAccount(data.user);
+        input.disabled = sendBtn.disabled = false;
+        const welcome = addMessage("Welcome, " + data.user.name + "!");
+        loadTopics().then(() => addStarters(welcome));
+        resumeRfc();
+        input.focus();
+      });
+      username.focus();
+    }
+
+    // Sign in first when the server asks for it (after a session expiry too)
+    function checkSignIn(note) {
+      return fetch("/me").then(res => res.json()).then(me => {
+        showAccount(me.user);
+        if (me.authRequired && !me.user) showSignIn(note);
+        return !me.authRequired || !!me.user;
+      }).catch(() => true);
+    }
+    checkSignIn("Please sign in to use the assistant.").then(ok => {
+      if (!ok) return;
+      loadTopics().then(() => addStarters(greeting));
+      resumeRfc();
+    });
+
+    // "New conversation": forget the server-side context and clear the chat
+    document.getElementById("newChatBtn").addEventListener("click", async () => {
+      await fetch("/session/reset", { method: "POST" }).catch(() => {});
+      chat.replaceChildren();
+      addStarters(addMessage(GREETING));
+      input.focus();
+    });
+
+    // Stream an answer from /ask/stream into a new bot bubble:
+    // typing dots until the first sentence arrives, then one sentence at a time
+    // (the text so far is rendered again with each one, so lists and tables fill in as they arrive).
+    // Resolves when the stream ends, fails or is stopped.
+    let stopStreaming = null;
+    function streamAnswer(txt) {
+      return new Promise(resolve => {
+        const row = addMessage("");
+        const bubble = row.querySelector(".bubble");
+        bubble.appendChild(typingIndicator());
+        const source = new EventSource("/ask/stream?q=" + encodeURIComponent(txt));
+        let answer = null;
+        let streamed = "";
+        let started = false;
+        let finished = false;
+
+        function finish(note, failure) {
+          if (finished) return;
+          finished = true;
+          source.close();
+          stopStreaming = null;
+          if (failure) {
+            bubble.textContent = failure;
+          } else if (!answer) {
+            bubble.textContent = "Sorry, I couldn't reach the server. Please try again.";
+            checkSignIn("Your session has ended. Please sign in again.");
+          } else {
+            if (answer.text) bubble.replaceChildren(renderMarkdown(answer.text));
+            else if (!started) bubble.textContent = "";
+            finishMessage(row, (note ? note + " " : "") + answer.meta, answer);
+          }
+          resolve();
+        }
+
+        source.addEventListener("meta", e => { answer = describeAnswer(JSON.parse(e.data), txt); });
+        source.addEventListener("chunk", e => {
+          started = true;
+          streamed += JSON.parse(e.data).text;
+          bubble.replaceChildren(renderMarkdown(streamed));
+          chat.scrollTop = chat.scrollHeight;
+        });
+        source.addEventListener("done", () => finish(""));
+        // The server's "error" event carries data; a dropped connection does not
+        source.onerror = e => finish(answer ? "(Connection lost)" : "", e.data && JSON.parse(e.data).error);
+        // Stopped before the answer arrived: the user's own choice, not a lost server or session
+        stopStreaming = () => finish("(Stopped)", answer ? "" : "Stopped.");
+      });
+    }
+
+    // Stop button: end the current stream and keep what has arrived so far
+    const sendBtn = document.getElementById("sendBtn");
+    const stopBtn = document.getElementById("stopBtn");
+    stopBtn.addEventListener("click", () => { if (stopStreaming) stopStreaming(); });
+
+    // Send a message (typed or a quick reply):
+    // - Append user's message
+    // - Stream the bot's reply (Send is disabled and Stop shown meanwhile)
+    async function send(txt) {
+      if (!txt || stopStreaming) return;
+      addMessage(txt, "user");
+
+      sendBtn.disabled = true;
+      stopBtn.hidden = false;
+      await streamAnswer(txt);
+      sendBtn.disabled = false;
+      stopBtn.hidden = true;
+    }
+
+    // Autocomplete: up to MAX_SUGGESTIONS KB questions with every typed word, the last one possibly
+    // half typed; questions that start with the typed text come first. Arrow keys pick, Enter asks,
+    // Escape closes.
+    const MAX_SUGGESTIONS = 6;
+    const suggestions = document.getElementById("suggestions");
+    let activeSuggestion = -1;
+
+    function matchQuestions(text) {
+      const typed = text.toLowerCase();
+      const words = typed.split(/[^a-z0-9]+/).filter(Boolean);
+      if (typed.trim().length < 2 || !words.length) return [];
+      const partial = /[a-z0-9]$/.test(typed) ? words.pop() : "";
+      return questions
+        .filter(q => {
+          const qWords = q.toLowerCase().split(/[^a-z0-9]+/);
+          return words.every(w => qWords.includes(w)) && (!partial || qWords.some(w => w.startsWith(partial)));
+        })
+        .sort((x, y) => Number(y.toLowerCase().startsWith(typed.trim())) - Number(x.toLowerCase().startsWith(typed.trim())))
+        .slice(0, MAX_SUGGESTIONS);
+    }
+
+    function hideSuggestions() {
+      suggestions.hidden = true;
+      suggestions.replaceChildren();
+      activeSuggestion = -1;
+      input.setAttribute("aria-expanded", "false");
+      input.removeAttribute("aria-activedescendant");
+    }
+
+    function showSuggestions() {
+      const matches = matchQuestions(input.value);
+      hideSuggestions();
+      matches.forEach((q, i) => {
+        const option = document.createElement("li");
+        option.id = "suggestion-" + i;
+        option.setAttribute("role", "option");
+        option.textContent = q;
+        // mousedown, not click: the input would lose focus (and hide the list) first
+        option.addEventListener("mousedown", e => { e.preventDefault(); askSuggestion(q); });
+        suggestions.appendChild(option);
+      });
+      suggestions.hidden = !matches.length;
+      input.setAttribute("aria-expanded", String(matches.length > 0));
+    }
+
+    function moveSuggestion(step) {
+      const options = suggestions.children;
+      // -1 is the input itself, so the selection cycles through the options and back to what was typed
+      activeSuggestion = (activeSuggestion + 1 + step + options.length + 1) % (options.length + 1) - 1;
+      for (let i = 0; i < options.length; i++) options[i].setAttribute("aria-selected", String(i === activeSuggestion));
+      if (activeSuggestion < 0) input.removeAttribute("aria-activedescendant");
+      else input.setAttribute("aria-activedescendant", options[activeSuggestion].id);
+    }
+
+    function askSuggestion(q) {
+      input.value = "";
+      hideSuggestions();
+      send(q);
+    }
+
+    input.addEventListener("input", showSuggestions);
+    input.addEventListener("blur", hideSuggestions);
+    input.addEventListener("keydown", e => {
+      if (suggestions.hidden) return;
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        moveSuggestion(e.key === "ArrowDown" ? 1 : -1);
+      } else if (e.key === "Enter" && activeSuggestion >= 0) {
+        e.preventDefault();
+        askSuggestion(suggestions.children[activeSuggestion].textContent);
+      } else if (e.key === "Escape") {
+        hideSuggestions();
+      }
+    });
+
+    form.addEventListener("submit", e => {
+      e.preventDefault();
+      const txt = input.value.trim();
+      input.value = "";
+      hideSuggestions();
+      send(txt);
+    });
+  </script>
+</body>
+</html>`;
+
+// ---------------------------------------------
+// SERVER
+// ---------------------------------------------
+// Minimal HTTP server:
+//   "/"       -> serves the HTML UI
+//   "/kb"     -> returns JSON array of the KB items the caller may see [{ q, a, patterns, source, audience? }]
+//   GET "/kb/topics" -> the caller's KB questions grouped by topic, plus starter questions (see handleTopics)
+//   POST "/ask" -> body { question, topN?, explain? } → ranked KB matches (see rankAnswers)
+//   GET "/ask/stream?q=..." -> the best answer as Server-Sent Events, one sentence at a time
+//   GET "/session"        -> current conversation (topic + recent turns)
+//   POST "/session/reset" -> forget the conversation ("New conversation" button)
+//   "/sources/<file>" -> the original knowledge document (PDFs open at #page=N)
+//   "/rfc", "/rfc/answer", "/rfc/download" -> the session's RFC draft (see handleRfc)
+//   POST "/feedback"      -> record a thumbs up/down for an answer
+//   POST "/login"  -> body { username, password } signs in (when AUTH_ADAPTER is set)
+//   POST "/logout" -> signs out
+//   GET "/me"      -> { authRequired, user } for the caller
+// With AUTH_ADAPTER set, every route above except "/" answers 401 until the caller signs in (see signedIn).
+// Admin (HTTP Basic auth or a signed-in admin, see requireAdmin):
+//   GET "/admin"          -> KB admin console
+//   GET "/admin/gaps"     -> gap report as an HTML view
+//   GET "/gaps?limit=N"   -> unanswered questions clustered by keyword (JSON)
+//   GET "/feedback/report?limit=N" -> worst-rated KB entries first
+//   GET "/kb/versions"    -> stored KB versions with change counts + last rejected reload
+//   GET "/kb/versions/<n>?against=<m>" -> entries added/removed/changed between two versions
+//   GET/POST "/admin/kb"  -> list entries / add an entry
+//   PUT/DELETE "/admin/kb/<id>" -> edit or disable / revert or delete an entry
+//   GET "/admin/versions" -> KB version history with diffs and rollback
+//   POST "/admin/versions/<n>/rollback" -> serve version n until the sources change again
+//   GET "/admin/lint"     -> lint report for every configured knowledge source
+//   POST "/admin/lint?name=<file>" -> lint report for the uploaded document (request body)
+//   POST "/admin/reload"  -> reload the sources now; body { force: true } skips the entry-count check
+// Admin POST/PUT/DELETE requests from another site (Origin, Sec-Fetch-Site) get 403, and all of them
+// except lint uploads must be sent as application/json (415 otherwise).
+// Any other route -> 404
+// Every response carries the headers in lib/security.js; the HTML pages also get a Content-Security-Policy.
+// Every route except "/" counts against RATE_LIMIT_PER_MINUTE per client (429 when over it).
+
+// Parses JSON request bodies into req.body (rejects anything over 16kb)
+const jsonBody = bodyParser.json({ limit: "16kb" });
+
+// Conversation sessions (in-memory store; cookie expires after SESSION_TTL_MINUTES of inactivity).
+// Set SESSION_SECRET for a fixed cookie signing key (otherwise a random one per run).
+const sessions = session({
+  name: "cm.sid",
+  secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex"),
+  resave: false,
+  saveUninitialized: false,
+  rolling: true,
+  cookie: { httpOnly: true, sameSite: "lax", maxAge: SESSION_TTL_MINUTES * 60 * 1000 }
+});
+
+/**
+ * Send a JSON response with the given status code.
+ */
+function sendJson(res, status, payload) {
+  res.writeHead(status, {"Content-Type":"application/json"});
+  res.end(JSON.stringify(payload));
+}
+
+// Content-Security-Policy of each built-in page, worked out on first use (the pages never change at runtime)
+const PAGE_POLICIES = new Map();
+
+/**
+ * Send one of the built-in HTML pages with its Content-Security-Policy (see lib/security.js).
+ */
+function sendPage(res, page) {
+  if (!PAGE_POLICIES.has(page)) PAGE_POLICIES.set(page, security.pagePolicy(page));
+  res.writeHead(200, {"Content-Type":"text/html; charset=utf-8", "Content-Security-Policy":PAGE_POLICIES.get(page)});
+  res.end(page);
+}
+
+/**
+ * 405 for a route hit with the wrong HTTP method.
+ */
+function methodNotAllowed(res, allow) {
+  res.writeHead(405, {"Allow":allow});
+  res.end("Method not allowed");
+}
+
+// ---------------------------------------------
+// AUTHENTICATION
+// ---------------------------------------------
+// Authenticator chosen by AUTH_ADAPTER (lib/auth.js), or null when sign-in is off.
+// The signed-in user lives in the session as req.session.user = { username, name, roles }.
+// Without sign-in every caller is anonymous and sees only public KB entries.
+const AUTHENTICATOR = AUTH_ADAPTER === "local" ? auth.createLocalAuthenticator({ file: AUTH_USERS_PATH })
+  : AUTH_ADAPTER === "oidc" && OIDC_ISSUER ? auth.createOidcAuthenticator({
+    issuer: OIDC_ISSUER,
+    clientId: OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    groupRoles: parseGroupRoles(OIDC_GROUP_ROLES)
+  })
+  : null;
+if (AUTH_ADAPTER && !AUTHENTICATOR) {
+  console.error("[Auth] Unknown or unconfigured adapter \"" + AUTH_ADAPTER + "\", sign-in is off");
+}
+
+// "CAB-Members=cab, ITSM-Admins=admin" → { "CAB-Members": "cab", "ITSM-Admins": "admin" }
+function parseGroupRoles(text) {
+  const map = {};
+  for (const pair of text.split(",")) {
+    const sep = pair.lastIndexOf("=");
+    if (sep > 0) map[pair.slice(0, sep).trim()] = pair.slice(sep + 1).trim().toLowerCase();
+  }
+  return map;
+}
+
+/**
+ * Load the session, then run 'next' if the caller may use the chatbot: always when sign-in is off,
+ * otherwise only once they have signed in (401 { error } before that).
+ */
+function signedIn(req, res, next) {
+  sessions(req, res, () => {
+    if (AUTHENTICATOR && !req.session.user) return sendJson(res, 401, { error: "Sign in first" });
+    next();
+  });
+}
+
+/**
+ * POST /login, body { username, password } → { user }
+ * A new session is issued on success, so a session id seen before sign-in is worthless afterwards.
+ * Answers 401 for wrong credentials and 503 when the identity provider cannot be reached.
+ */
+function handleLogin(req, res) {
+  if (!AUTHENTICATOR) return sendJson(res, 404, { error: "Sign-in is not enabled" });
+  sessions(req, res, () => jsonBody(req, res, async err => {
+    if (err) return sendJson(res, err.status || 400, { error: err.message });
+    const { username, password } = req.body || {};
+    if (typeof username !== "string" || !username.trim() || typeof password !== "string" || !password) {
+      return sendJson(res, 400, { error: "Body must include 'username' and 'password'" });
+    }
+
+    let user;
+    try {
+      user = await AUTHENTICATOR.authenticate(username.trim(), password);
+    } catch (e) {
+      console.error("[Auth] Sign-in failed:", e.message);
+      return sendJson(res, 503, { error: "Sign-in is unavailable right now. Please try again later." });
+    }
+    if (!user) {
+      console.log("[Auth] Rejected sign-in for", JSON.stringify(username.trim()));
+      return sendJson(res, 401, { error: "Wrong user name or password" });
+    }
+
+    req.session.regenerate(e => {
+      if (e) return sendJson(res, 500, { error: "Could not start a session" });
+      req.session.user = user;
+      console.log("[Auth]", user.username, "signed in as", user.roles.join(", "));
+      sendJson(res, 200, { user });
+    });
+  }));
+}
+
+/**
+ * POST /logout → { signedOut: true } (the conversation is forgotten too)
+ * GET /me → { authRequired, user: { username, name, roles } | null }
+ */
+function handleAccount(req, res, pathname) {
+  sessions(req, res, () => {
+    if (pathname === "/me") return sendJson(res, 200, { authRequired: !!AUTHENTICATOR, user: req.session.user || null });
+    if (req.method !== "POST") return methodNotAllowed(res, "POST");
+    req.session.destroy(() => sendJson(res, 200, { signedOut: true }));
+  });
+}
+
+// ---------------------------------------------
+// ANSWER GENERATION
+// ---------------------------------------------
+// Retrieval picks the passages; a generator (lib/answers.js) writes the reply from them.
+if (LLM_URL) {
+  answers.registerGenerator(answers.createLlmGenerator({ url: LLM_URL, model: LLM_MODEL, apiKey: process.env.LLM_API_KEY }));
+}
+const generator = answers.generatorFor(ANSWER_GENERATOR) || answers.extractive;
+if (generator.name !== ANSWER_GENERATOR) {
+  console.error("[Answer] Unknown or unconfigured generator \"" + ANSWER_GENERATOR + "\", using extractive answers");
+}
+
+/**
+ * Add the generated reply to a confident ranking as
+ *   answer: { text, generator, sources: [{ id, q, citation }], refused? }
+ * Passages are the results that clear MATCH_THRESHOLD. A failing generator (endpoint down,
+ * ungrounded reply) is logged and replaced by the extractive one.
+ * Related questions the reply already draws on are dropped from 'related'.
+ * Rankings already answered by an intent (see answerQuestion) or that need clarifying
+ * (see clarifyChoices) are passed through.
+ */
+async function generateAnswer(ranked) {
+  if (ranked.lowConfidence || ranked.answer || ranked.clarify) return ranked;
+  const question = ranked.didYouMean || ranked.resolvedQuestion || ranked.question;
+  const passages = ranked.results.filter(r => r.score > MATCH_THRESHOLD);
+
+  let used = generator;
+  let reply;
+  try {
+    reply = await generator.generate({ question, passages });
+  } catch (err) {
+    console.error("[Answer]", generator.name, "generator failed, using extractive answer:", err.message);
+    used = answers.extractive;
+    reply = await used.generate({ question, passages });
+  }
+
+  const answer = {
+    text: reply.text,
+    generator: used.name,
+    sources: reply.sources.map(p => ({ id: p.id, q: p.q, citation: p.citation }))
+  };
+  if (reply.refused) answer.refused = true;
+  const related = (ranked.related || []).filter(r => !answer.sources.some(s => s.id === r.id));
+  return { ...ranked, related, answer };
+}
+
+/**
+ * Answer a question within the caller's conversation (req.session must be loaded), from the
+ * entries the signed-in user may see.
+ * Short follow-ups are combined with the session's current topic before scoring;
+ * when that happens the result also has { followUp: true, resolvedQuestion }.
+ * Near-ties come back with 'clarify' instead of an answer (see rankAnswers).
+ * Questions an intent can calculate ("can I deploy on Friday?", "how much notice for a normal
+ * change on the 30th?") get { intent, answer: { text, generator: "intent", sources } } and count as confident;
+ * an intent that asks something back adds the likely replies as 'choices'.
+ * Other low-confidence questions are logged for the gap analysis.
+ * While an RFC draft or a risk assessment is in progress every message goes to it instead
+ * (see rfcTurn, riskTurn); ticket IDs and "my open changes" go to the ITSM tool (see itsmTurn).
+ */
+async function answerQuestion(req, question, topN, explain) {
+  const wizard = rfcTurn(req, question) || riskTurn(req, question);
+  if (wizard) return wizard;
+  const records = await itsmTurn(req, question);
+  if (records) return records;
+
+  // Score the question on its own and, if it looks like a follow-up, together with the topic
+  const chat = req.session.chat || conversation.newConversation();
+  const standalone = rankAnswers(question, topN, explain, req.session.user);
+  const resolvedQuestion = conversation.resolveFollowUp(question, chat, INDEX.postings);
+  const resolved = resolvedQuestion ? rankAnswers(resolvedQuestion, topN, explain, req.session.user) : null;
+  const { ranked, followUp } = conversation.chooseRanking(question, standalone, resolved, INDEX.postings);
+
+  conversation.recordTurn(chat, question, resolvedQuestion, ranked, followUp);
+  req.session.chat = chat;
+
+  const intent = intents.answerIntent(question, {
+    calendar: CALENDAR,
+    leadTimes: LEAD_TIMES,
+    now: toLocal(Date.now(), CALENDAR_TZ),
+    timeZone: CALENDAR_TZ,
+    state: req.session.intents || (req.session.intents = {})
+  });
+  if (intent) {
+    const { clarify, related, ...rest } = ranked;
+    return {
+      ...rest,
+      lowConfidence: false,
+      intent: intent.name,
+      ...(intent.choices && { choices: intent.choices }),
+      answer: { text: intent.text, generator: "intent", sources: intent.sources }
+    };
+  }
+
+  // Misses feed the gap analysis; logging must never hold up or break the answer
+  if (ranked.lowConfidence) {
+    appendRecord(MISSES_PATH, gaps.missRecord(question, ranked, followUp ? resolvedQuestion : null))
+      .catch(e => console.error("[Gaps] Could not log unanswered question:", e.message));
+  }
+
+  return followUp ? { ...ranked, question, followUp: true, resolvedQuestion } : ranked;
+}
+
+// ---------------------------------------------
+// RFC WIZARD
+// ---------------------------------------------
+// RFC template (lib/rfc.js), or null when none is configured (the wizard is then unavailable).
+// Drafts live in the caller's session as req.session.rfc, shared by the chat and the /rfc API.
+let RFC_TEMPLATE = null;
+
+/**
+ * Load the RFC template. A missing file disables the wizard; a broken one keeps the previous template.
+ */
+function loadRfcTemplate() {
+  if (!fs.existsSync(RFC_TEMPLATE_PATH)) {
+    console.log("[RFC] No RFC template found");
+    RFC_TEMPLATE = null;
+    return;
+  }
+  try {
+    RFC_TEMPLATE = rfc.loadTemplate(RFC_TEMPLATE_PATH);
+    console.log("[RFC] Loaded RFC template:", RFC_TEMPLATE.fields.length, "fields");
+  } catch (err) {
+    console.error("[RFC] RFC template failed to load:", err.message);
+  }
+}
+
+// Local midnight today in CALENDAR_TZ (for relative dates such as "next Tuesday")
+function localToday() {
+  return startOfDay(toLocal(Date.now(), CALENDAR_TZ));
+}
+
+/**
+ * Chat side of the wizard: "draft an RFC" starts a draft, and while one is active every
+ * message answers its current step. Returns the /ask payload for the wizard's reply
+ *   { question, lowConfidence: false, results: [], intent: "rfc-draft", rfc: status | null, answer }
+ * or null when the message is an ordinary question.
+ */
+function rfcTurn(req, question) {
+  if (!RFC_TEMPLATE) return null;
+  let reply;
+  if (rfc.isStartCommand(question)) {
+    delete req.session.risk; // One guided flow at a time
+    req.session.rfc = rfc.newDraft();
+    reply = "Let's draft an RFC. Say \"back\", \"skip\" or \"cancel\" at any time. " +
+      rfc.draftStatus(RFC_TEMPLATE, req.session.rfc).step.prompt;
+  } else if (req.session.rfc && req.session.rfc.active) {
+    const turn = rfc.chatTurn(RFC_TEMPLATE, req.session.rfc, question, localToday());
+    if (turn.cancelled) delete req.session.rfc;
+    reply = turn.reply;
+  } else {
+    return null;
+  }
+  return {
+    question,
+    lowConfidence: false,
+    results: [],
+    intent: "rfc-draft",
+    rfc: req.session.rfc ? rfc.draftStatus(RFC_TEMPLATE, req.session.rfc) : null,
+    answer: { text: reply, generator: "intent", sources: [] }
+  };
+}
+
+/**
+ * The session's RFC draft over HTTP, so other clients can drive the same wizard:
+ *   GET    /rfc                     → draft status (see lib/rfc.js draftStatus)
+ *   POST   /rfc                     → body { fields? } starts a new draft (replacing any other)
+ *   PATCH  /rfc                     → body { fields: { <id>: value } } sets fields directly
+ *   DELETE /rfc                     → discards the draft
+ *   POST   /rfc/answer              → body { text } answers the current step like a chat message
+ *   GET    /rfc/download?format=markdown|json → the finished RFC as a file
+ * Invalid fields answer 400 with { error, errors: { <id>: message } }; the draft is left unchanged.
+ */
+function handleRfc(req, res, pathname, searchParams) {
+  if (!RFC_TEMPLATE) return sendJson(res, 503, { error: "No RFC template is configured" });
+  const allowed = { "/rfc": "GET, POST, PATCH, DELETE", "/rfc/answer": "POST", "/rfc/download": "GET" }[pathname];
+  if (!allowed.split(", ").includes(req.method)) return methodNotAllowed(res, allowed);
+
+  sessions(req, res, () => jsonBody(req, res, err => {
+    if (err) return sendJson(res, err.status || 400, { error: err.message });
+    const body = req.body || {};
+
+    if (pathname === "/rfc" && req.method === "POST") {
+      const draft = rfc.newDraft();
+      const { errors } = rfc.setValues(RFC_TEMPLATE, draft, body.fields, localToday());
+      if (errors) return sendJson(res, 400, { error: "Invalid fields", errors });
+      req.session.rfc = draft;
+      return sendJson(res, 201, rfc.draftStatus(RFC_TEMPLATE, draft));
+    }
+
+    const draft = req.session.rfc;
+    if (!draft) return sendJson(res, 404, { error: "No RFC draft in this session" });
+
+    if (pathname === "/rfc/answer") {
+      if (!draft.active) return sendJson(res, 409, { error: "The draft has no open step; PATCH /rfc to change fields" });
+      if (typeof body.text !== "string" || !body.text.trim()) return sendJson(res, 400, { error: "Body must include a non-empty 'text' string" });
+      const turn = rfc.chatTurn(RFC_TEMPLATE, draft, body.text.trim(), localToday());
+      if (turn.cancelled) {
+        delete req.session.rfc;
+        return sendJson(res, 200, { reply: turn.reply, discarded: true });
+      }
+      return sendJson(res, 200, { reply: turn.reply, ...rfc.draftStatus(RFC_TEMPLATE, draft) });
+    }
+    if (pathname === "/rfc/download") {
+      const missing = rfc.missingFields(RFC_TEMPLATE, draft);
+      if (missing.length) return sendJson(res, 409, { error: "The draft is missing required fields", missing });
+      const name = "rfc-" + (String(draft.values.title || "draft").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60) || "draft");
+      if (searchParams.get("format") === "json") {
+        res.writeHead(200, { "Content-Type": "application/json", "Content-Disposition": "attachment; filename=\"" + name + ".json\"" });
+        return res.end(JSON.stringify(rfc.toJson(RFC_TEMPLATE, draft), null, 2) + "\n");
+      }
+      res.writeHead(200, { "Content-Type": "text/markdown; charset=utf-8", "Content-Disposition": "attachment; filename=\"" + name + ".md\"" });
+      return res.end(rfc.toMarkdown(RFC_TEMPLATE, draft));
+    }
+    if (req.method === "DELETE") {
+      delete req.session.rfc;
+      return sendJson(res, 200, { discarded: true });
+    }
+    if (req.method === "PATCH") {
+      const { errors } = rfc.setValues(RFC_TEMPLATE, draft, body.fields, localToday());
+      if (errors) return sendJson(res, 400, { error: "Invalid fields", errors });
+    }
+    sendJson(res, 200, rfc.draftStatus(RFC_TEMPLATE, draft));
+  }));
+}
+
+// ---------------------------------------------
+// RISK ASSESSMENT
+// ---------------------------------------------
+// Risk model (lib/risk.js), or null when none is configured (the questionnaire is then unavailable).
+// The assessment in progress lives in the caller's session as req.session.risk.
+let RISK_MODEL = null;
+
+/**
+ * Load the risk model. A missing file disables the questionnaire; a broken one keeps the previous model.
+ */
+function loadRiskModelFile() {
+  if (!fs.existsSync(RISK_MODEL_PATH)) {
+    console.log("[Risk] No risk model found");
+    RISK_MODEL = null;
+    return;
+  }
+  try {
+    RISK_MODEL = risk.loadRiskModel(RISK_MODEL_PATH);
+    console.log("[Risk] Loaded risk model:", RISK_MODEL.questions.length, "questions,", RISK_MODEL.levels.map(l => l.level).join("/"));
+  } catch (err) {
+    console.error("[Risk] Risk model failed to load:", err.message);
+  }
+}
+
+/**
+ * Confident KB entries for a risk level's guidance search that 'viewer' may see, as answer sources ({ id, q, citation }).
+ */
+function riskGuidance(result, viewer) {
+  if (!result.guidance) return [];
+  return rankAnswers(result.guidance, GUIDANCE_TOP_N, false, viewer).results
+    .filter(r => r.score > MATCH_THRESHOLD)
+    .map(r => ({ id: r.id, q: r.q, citation: r.citation }));
+}
+
+/**
+ * Chat side of the questionnaire: "is my change high risk?" starts an assessment, and while one
+ * is active every message answers its current question. The last answer gets the scored outcome
+ * (see risk.explainAssessment) with the level's KB guidance as sources. Returns the /ask payload
+ *   { question, lowConfidence: false, results: [], intent: "risk-assessment", risk: status | null, answer }
+ * or null when the message is an ordinary question.
+ */
+function riskTurn(req, question) {
+  if (!RISK_MODEL) return null;
+  let text;
+  let sources = [];
+  if (risk.isStartCommand(question)) {
+    req.session.risk = risk.newAssessment();
+    text = "Let's assess the risk of your change: " + RISK_MODEL.questions.length + " quick questions. " +
+      "Say \"back\" or \"cancel\" at any time. " + risk.assessmentStatus(RISK_MODEL, req.session.risk).step.prompt;
+  } else if (req.session.risk && req.session.risk.active) {
+    const turn = risk.chatTurn(RISK_MODEL, req.session.risk, question);
+    if (turn.cancelled) delete req.session.risk;
+    text = turn.reply;
+    if (turn.result) {
+      sources = riskGuidance(turn.result, req.session.user);
+      text = risk.explainAssessment(turn.result, LEAD_TIMES) +
+        (sources.length ? " Guidance: " + sources.map(s => "\"" + s.q + "\"").join("; ") + "." : "");
+    }
+  } else {
+    return null;
+  }
+  return {
+    question,
+    lowConfidence: false,
+    results: [],
+    intent: "risk-assessment",
+    risk: req.session.risk ? risk.assessmentStatus(RISK_MODEL, req.session.risk) : null,
+    answer: { text, generator: "intent", sources }
+  };
+}
+
+// ---------------------------------------------
+// CHANGE RECORDS (ITSM)
+// ---------------------------------------------
+// Connector chosen by ITSM_ADAPTER (lib/itsm.js), or null when change records are not connected.
+const ITSM = ITSM_ADAPTER === "file" ? itsm.createFileConnector({ file: ITSM_FILE })
+  : ITSM_ADAPTER === "rest" && ITSM_URL ? itsm.createRestConnector({
+    url: ITSM_URL, user: process.env.ITSM_USER, password: process.env.ITSM_PASSWORD, token: process.env.ITSM_TOKEN
+  })
+  : null;
+if (ITSM_ADAPTER && !ITSM) {
+  console.error("[ITSM] Unknown or unconfigured adapter \"" + ITSM_ADAPTER + "\", change records are off");
+}
+const TICKET_ID = new RegExp(ITSM_ID_PATTERN, "gi");
+
+// "show my open changes", "list my change requests", "which changes do I have open?"
+const MY_CHANGES = /\bmy\b.*\b(open|active|pending|current|outstanding)\s+(changes|change requests|change tickets)\b|\b(show|list|view|see|what are)\s+(me\s+)?(all\s+)?my\s+(changes|change requests|change tickets)\b|\bchanges\b.*\b(do i have|have i (raised|requested|submitted))\b/i;
+// "upcoming changes for payments", "what changes are scheduled on the Mobile Banking service?" (group 1 = service)
+const UPCOMING_CHANGES = /\b(?:(?:upcoming|scheduled|planned)\s+changes?|changes?\s+(?:are\s+|is\s+)?(?:scheduled|planned|coming up))\b.*?\b(?:for|on|to|affecting|against)\s+(?:the\s+)?(.+?)(?:\s+(?:service|system|platform))?\s*[?.!]*$/i;
+
+/**
+ * Change records for the message, as the /ask payload
+ *   { question, lowConfidence: false, results: [], intent: "change-record", changes: [change], answer }
+ * or null when it is not about change tickets:
+ * - Ticket IDs (ITSM_ID_PATTERN) are looked up and described: status, window, approvers
+ * - "my open changes" lists the open changes of the signed-in user; without sign-in it is refused,
+ *   as a name typed into the chat would show anyone's tickets
+ * - "upcoming changes for <service>" lists what is planned for that service
+ * A failing lookup is logged and answered with an apology rather than FAQ text.
+ */
+async function itsmTurn(req, question) {
+  const ids = itsm.ticketIds(question, TICKET_ID).slice(0, MAX_TICKETS);
+
+  const payload = (text, changes = []) => ({
+    question,
+    lowConfidence: false,
+    results: [],
+    intent: "change-record",
+    changes,
+    answer: {
+      text,
+      generator: "intent",
+      sources: changes.map(c => ({ id: "itsm:" + c.id, q: c.id, citation: { label: c.id, url: c.url } }))
+    }
+  });
+
+  if (ids.length && !ITSM) return payload("Change records are not connected, so I can't look up " + ids.join(", ") + ".");
+  if (!ITSM) return null;
+
+  // "Who approves planned changes for major releases?" is about the process, not a service
+  const upcoming = !ids.length && !/^\s*(who|why|how)\b/i.test(question) && question.match(UPCOMING_CHANGES);
+  const service = upcoming && !parseDate(upcoming[1], localToday()) ? upcoming[1] : null;
+  const mine = !ids.length && !service && MY_CHANGES.test(question);
+  if (!ids.length && !service && !mine) return null;
+
+  const user = req.session.user && req.session.user.username;
+  if (mine && !user) {
+    return payload("I can only list your open changes when you are signed in. Ask me about a change by its ticket number instead.");
+  }
+
+  try {
+    if (ids.length) {
+      const found = await Promise.all(ids.map(id => ITSM.getChange(id)));
+      const changes = found.filter(Boolean);
+      const missing = ids.filter((id, i) => !found[i]);
+      const text = changes.map(c => itsm.describeChange(c, CALENDAR_TZ)).concat(
+        missing.length ? ["I couldn't find " + missing.join(", ") + " in the change system."] : []).join(" ");
+      return payload(text, changes);
+    }
+    if (service) {
+      const changes = await ITSM.upcomingChanges(service, new Date());
+      return payload(changes.length
+        ? "Upcoming changes for " + service + ": " + itsm.listChanges(changes, CALENDAR_TZ) + ". (Times in " + CALENDAR_TZ + ".)"
+        : "There are no upcoming changes for " + service + " in the change system.", changes);
+    }
+    const changes = await ITSM.openChanges(user);
+    return payload(changes.length
+      ? "Open changes for " + user + ": " + itsm.listChanges(changes, CALENDAR_TZ) + ". (Times in " + CALENDAR_TZ + ".)"
+      : "There are no open changes for " + user + " in the change system.", changes);
+  } catch (err) {
+    console.error("[ITSM] Lookup failed:", err.message);
+    return payload("The change system can't be reached right now, so I can't look that up. Please try again later.");
+  }
+}
+
+/**
+ * POST /ask
+ * Body: { "question": "...", "topN": 3, "explain": false }
+ * Responds with { question, lowConfidence, results: [{ q, a, citation, score, bm25, matchedTerms, breakdown? }],
+ *   clarify?: [{ id, q, score }], related?: [{ id, q, score }], answer? }
+ * (plus followUp/resolvedQuestion and intent, see answerQuestion; 'answer' is added when confident and
+ * unambiguous, see generateAnswer)
+ */
+function handleAsk(req, res) {
+  sessions(req, res, () => jsonBody(req, res, async err => {
+    if (err) return sendJson(res, err.status || 400, { error: err.message });
+
+    const body = req.body || {};
+    const question = typeof body.question === "string" ? body.question.trim() : "";
+    if (!question) return sendJson(res, 400, { error: "Body must include a non-empty 'question' string" });
+    if (question.length > MAX_QUESTION_LENGTH) return sendJson(res, 400, { error: "Question is too long (at most " + MAX_QUESTION_LENGTH + " characters)" });
+
+    const requested = parseInt(body.topN, 10);
+    const topN = requested > 0 ? Math.min(requested, MAX_TOP_N) : DEFAULT_TOP_N;
+    const explain = body.explain === true;
+
+    try {
+      sendJson(res, 200, await generateAnswer(await answerQuestion(req, question, topN, explain)));
+    } catch (e) {
+      console.error("[Answer] Could not answer a question:", e.message);
+      sendJson(res, 500, { error: ANSWER_FAILED });
+    }
+  }));
+}
+
+// Error text for a question that could not be answered (a generator, connector or store failed)
+const ANSWER_FAILED = "Sorry, something went wrong while answering. Please try again.";
+
+/**
+ * Write one Server-Sent Event.
+ */
+function sendEvent(res, event, data) {
+  res.write("event: " + event + "\ndata: " + JSON.stringify(data) + "\n\n");
+}
+
+/**
+ * GET /ask/stream?q=...
+ * The same answer as POST /ask, streamed as Server-Sent Events:
+ *   event: meta  → { question, lowConfidence, didYouMean?, corrections?, followUp?, resolvedQuestion?, intent?, rfc?, risk?, changes?,
+ *                    clarify?, related?, match: { id, q, score, citation } | null (null for calendar answers and near-ties),
+ *                    answer?: { generator, sources, refused? } }
+ *   event: chunk → { text }  one sentence of the generated answer at a time (none when lowConfidence)
+ *   event: done  → {}
+ *   event: error → { error }  instead of all of the above when the answer could not be generated
+ * The answer is generated (and checked) in full before the first sentence is sent.
+ * Closing the connection stops the stream.
+ */
+function handleAskStream(req, res, searchParams) {
+  sessions(req, res, async () => {
+    const question = (searchParams.get("q") || "").trim();
+    if (!question) return sendJson(res, 400, { error: "Pass the question as ?q=" });
+    if (question.length > MAX_QUESTION_LENGTH) return sendJson(res, 400, { error: "Question is too long (at most " + MAX_QUESTION_LENGTH + " characters)" });
+
+    let generated;
+    try {
+      generated = await generateAnswer(await answerQuestion(req, question, DEFAULT_TOP_N, false));
+    } catch (e) {
+      console.error("[Answer] Could not answer a question:", e.message);
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive"
+    });
+    if (!generated) {
+      // EventSource ignores the body of an error status, so the failure is sent as an event
+      sendEvent(res, "error", { error: ANSWER_FAILED });
+      return res.end();
+    }
+
+    const { results, answer, ...ranked } = generated;
+    const top = ranked.lowConfidence || ranked.intent || ranked.clarify ? null : results[0];
+    sendEvent(res, "meta", {
+      ...ranked,
+      match: top ? { id: top.id, q: top.q, score: top.score, citation: top.citation } : null,
+      ...(answer && { answer: { generator: answer.generator, sources: answer.sources, ...(answer.refused && { refused: true }) } })
+    });
+
+    const sentences = answer ? splitSentences(answer.text) : [];
+    let i = 0;
+    const timer = setInterval(() => {
+      if (i < sentences.length) return sendEvent(res, "chunk", { text: sentences[i++] });
+      clearInterval(timer);
+      sendEvent(res, "done", {});
+      res.end();
+    }, STREAM_INTERVAL_MS);
+    req.on("close", () => { clearInterval(timer); res.end(); });
+  });
+}
+
+/**
+ * GET /session → { topic, turns } for the caller's conversation (empty if none yet)
+ * POST /session/reset → replaces the session so the next question starts fresh (the sign-in is kept)
+ */
+function handleSession(req, res, pathname) {
+  sessions(req, res, () => {
+    if (pathname === "/session/reset") {
+      if (req.method !== "POST") return methodNotAllowed(res, "POST");
+      const user = req.session.user;
+      return req.session.regenerate(() => {
+        if (user) req.session.user = user;
+        sendJson(res, 200, { reset: true });
+      });
+    }
+    sendJson(res, 200, req.session.chat || conversation.newConversation());
+  });
+}
+
+/**
+ * POST /feedback
+ * Body: { "verdict": "up"|"down", "question", "matchedQ"?, "file"?, "score"?, "comment"? }
+ * Appends one line to FEEDBACK_PATH.
+ */
+function handleFeedback(req, res) {
+  jsonBody(req, res, async err => {
+    if (err) return sendJson(res, err.status || 400, { error: err.message });
+
+    const { record, error } = feedback.buildRecord(req.body);
+    if (error) return sendJson(res, 400, { error });
+
+    try {
+      await appendRecord(FEEDBACK_PATH, record);
+      sendJson(res, 201, { recorded: true });
+    } catch (e) {
+      console.error("[Feedback] Could not write feedback:", e.message);
+      sendJson(res, 500, { error: "Feedback could not be saved" });
+    }
+  });
+}
+
+/**
+ * GET /feedback/report?limit=20 (admin)
+ * Worst-performing KB entries (most thumbs-down first) so KB owners know what to rewrite.
+ */
+async function handleFeedbackReport(res, searchParams) {
+  const limit = Math.min(parseInt(searchParams.get("limit"), 10) || 20, 200);
+  try {
+    sendJson(res, 200, await feedback.feedbackReport(FEEDBACK_PATH, limit));
+  } catch (e) {
+    console.error("[Feedback] Could not read feedback:", e.message);
+    sendJson(res, 500, { error: "Feedback report unavailable" });
+  }
+}
+
+/**
+ * GET /gaps?limit=20 (admin)
+ * Clusters of low-confidence questions, biggest gap first (see lib/gaps.js).
+ * A cluster's near miss is only named when the caller may see that KB entry; the log records
+ * whichever entry came closest for the asker, who may have had a wider audience.
+ */
+async function handleGaps(req, res, searchParams, admin) {
+  const limit = Math.min(parseInt(searchParams.get("limit"), 10) || 20, 200);
+  // HTTP Basic auth has no session user, but it is the admin console's own sign-in
+  const viewer = req.session.user || { username: admin, roles: ["admin"] };
+  const visible = new Set(KB.filter(e => auth.canSee(viewer, e))
+    .map(e => ((citationFor(e.source) || {}).file || "") + "::" + e.q));
+  try {
+    sendJson(res, 200, await gaps.gapReport(MISSES_PATH, limit, near => visible.has((near.file || "") + "::" + near.q)));
+  } catch (e) {
+    console.error("[Gaps] Could not read unanswered questions:", e.message);
+    sendJson(res, 500, { error: "Gap report unavailable" });
+  }
+}
+
+/**
+ * Authentication for the admin routes (req.session must be loaded): a signed-in user with the
+ * admin role, or HTTP Basic auth with ADMIN_USER/ADMIN_PASSWORD.
+ * Returns the admin user name, or null after answering 401 (bad/missing credentials)
+ * or 503 (nobody signed in as admin and ADMIN_PASSWORD not configured, so the console stays off).
+ */
+function requireAdmin(req, res) {
+  const user = req.session.user;
+  if (user && user.roles.includes("admin")) return user.username;
+  if (!ADMIN_PASSWORD) {
+    sendJson(res, 503, { error: "Admin console is disabled. Set ADMIN_PASSWORD to enable it." });
+    return null;
+  }
+
+  const [scheme, encoded] = (req.headers.authorization || "").split(" ");
+  if (scheme === "Basic" && encoded) {
+    const decoded = Buffer.from(encoded, "base64").toString("utf8");
+    const sep = decoded.indexOf(":");
+    const user = decoded.slice(0, sep);
+    const pass = decoded.slice(sep + 1);
+    if (sep > 0 && safeEqual(user, ADMIN_USER) && safeEqual(pass, ADMIN_PASSWORD)) return user;
+  }
+
+  res.writeHead(401, {"WWW-Authenticate":"Basic realm=\"Change Management admin\", charset=\"UTF-8\""});
+  res.end("Authentication required");
+  return null;
+}
+
+// Constant-time string comparison (hashing first makes the lengths equal)
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(a).digest();
+  const hb = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * Persist the override store and re-merge the KB. Returns false (after answering 500) on failure.
+ */
+function commitOverrides(res, store) {
+  try {
+    overrides.saveOverrides(OVERRIDES_PATH, store);
+  } catch (err) {
+    console.error("[Admin] Could not save overrides:", err.message);
+    sendJson(res, 500, { error: "Overrides could not be saved" });
+    return false;
+  }
+  OVERRIDES = store;
+  rebuildKnowledge();
+  return true;
+}
+
+/**
+ * /admin/kb and /admin/kb/<id>
+ *   GET    /admin/kb        → { entries: [...] } with status extracted|edited|disabled|added|orphaned
+ *   POST   /admin/kb        → body { q, a, audience? } adds an entry
+ *   PUT    /admin/kb/<id>   → body { q?, a?, disabled?, audience? } edits, disables or re-enables an entry
+ *                             or changes who may see it ('audience': roles, [] = everyone, null = as in the document)
+ *   DELETE /admin/kb/<id>   → reverts an edited entry / deletes an added one
+ */
+function handleAdminKb(req, res, pathname, user) {
+  // Ids are hex (or "custom-" + hex), so no URL decoding is needed
+  const id = pathname.startsWith("/admin/kb/") ? pathname.slice("/admin/kb/".length) : null;
+
+  if (!id && req.method === "GET") {
+    return sendJson(res, 200, { entries: overrides.listForAdmin(EXTRACTED, OVERRIDES) });
+  }
+  if (!id && req.method !== "POST") return methodNotAllowed(res, "GET, POST");
+  if (id && req.method !== "PUT" && req.method !== "DELETE") return methodNotAllowed(res, "PUT, DELETE");
+
+  jsonBody(req, res, err => {
+    if (err) return sendJson(res, err.status || 400, { error: err.message });
+
+    // Work on a copy so a failed save leaves the live store untouched
+    const store = { entries: { ...OVERRIDES.entries } };
+    let result;
+    if (!id) result = overrides.addEntry(store, req.body, user);
+    else if (req.method === "PUT") result = overrides.updateEntry(store, id, req.body, user, EXTRACTED.some(e => e.id === id));
+    else result = overrides.removeOverride(store, id);
+
+    if (result.error) return sendJson(res, result.status || 400, { error: result.error });
+    if (!commitOverrides(res, store)) return;
+    console.log("[Admin]", user, req.method, id || result.id);
+    sendJson(res, id ? 200 : 201, result);
+  });
+}
+
+// Raw request bodies for document uploads (the linter reads the file as-is)
+const rawBody = bodyParser.raw({ type: () => true, limit: "20mb" });
+
+/**
+ * GET /admin/lint → [report] for every configured knowledge source
+ * POST /admin/lint?name=kb.pdf with the document as the request body → report for that document
+ * The file name's extension picks the loader, exactly as it would in KNOWLEDGE_DIR (see lib/lint.js).
+ */
+async function handleLint(req, res, searchParams) {
+  if (req.method === "GET") {
+    const reports = [];
+    for (const file of knowledgeFiles()) {
+      reports.push(await lintDocument(file, path.relative(KNOWLEDGE_DIR || __dirname, file), CHUNKING));
+    }
+    return sendJson(res, 200, reports);
+  }
+
+  const name = path.basename(searchParams.get("name") || "");
+  if (!name) return sendJson(res, 400, { error: "Pass the document's file name as ?name=" });
+
+  rawBody(req, res, async err => {
+    if (err) return sendJson(res, err.status || 400, { error: err.message });
+    if (!Buffer.isBuffer(req.body) || !req.body.length) return sendJson(res, 400, { error: "Send the document as the request body" });
+
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "kb-lint-"));
+    try {
+      const file = path.join(dir, name);
+      await fs.promises.writeFile(file, req.body);
+      sendJson(res, 200, await lintDocument(file, name, CHUNKING));
+    } catch (e) {
+      console.error("[Admin] Lint failed:", e.message);
+      sendJson(res, 500, { error: "Document could not be linted" });
+    } finally {
+      fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  });
+}
+
+/**
+ * GET /kb/topics → { starters: [{ id, q }], topics: [{ name, questions: [{ id, q }] }] }
+ * The topic index (lib/topics.js) limited to the entries the caller may see, for the "All FAQs" panel
+ * and autocomplete. Starters are the first question of each of the biggest topics.
+ */
+function handleTopics(req, res) {
+  const visible = TOPICS
+    .map(t => ({ ...t, questions: t.entries.filter(e => auth.canSee(req.session.user, e)).map(e => ({ id: e.id, q: e.q })) }))
+    .filter(t => t.questions.length);
+  sendJson(res, 200, {
+    starters: visible.filter(t => !t.catchAll).slice(0, STARTER_COUNT).map(t => t.questions[0]),
+    topics: visible.map(t => ({ name: t.name, questions: t.questions }))
+  });
+}
+
+/**
+ * GET /kb/versions → { current, lastRejected, versions: [{ version, at, reason, count, changes }] } (newest first)
+ * GET /kb/versions/<n>?against=<m> → { from, to, added, removed, changed }
+ *   'against' defaults to the version stored just before n.
+ * Admins only (see handleAdmin): reasons name the admin who reloaded, and diffs include restricted entries.
+ */
+function handleVersions(res, pathname, searchParams) {
+  if (pathname === "/kb/versions") {
+    return sendJson(res, 200, {
+      current: CURRENT_VERSION,
+      lastRejected: LAST_REJECTED,
+      versions: versions.listVersions(VERSIONS)
+    });
+  }
+
+  const n = parseInt(pathname.slice("/kb/versions/".length), 10);
+  const i = VERSIONS.findIndex(v => v.version === n);
+  if (i < 0) return sendJson(res, 404, { error: "Unknown version" });
+
+  let before = VERSIONS[i - 1];
+  if (searchParams.has("against")) {
+    const m = parseInt(searchParams.get("against"), 10);
+    before = VERSIONS.find(v => v.version === m);
+    if (!before) return sendJson(res, 404, { error: "Unknown version to compare against" });
+  }
+  const diff = versions.diffVersions(before, VERSIONS[i]);
+  sendJson(res, 200, {
+    from: before ? before.version : null,
+    to: n,
+    added: diff.added,
+    removed: diff.removed,
+    changed: diff.changed
+  });
+}
+
+/**
+ * POST /admin/versions/<n>/rollback → { current: n }
+ */
+async function handleRollback(res, pathname, user) {
+  const n = parseInt(pathname.split("/")[3], 10);
+  try {
+    if (!await rollbackTo(n)) return sendJson(res, 404, { error: "Unknown version" });
+  } catch (e) {
+    console.error("[Admin] Could not roll back to version", n + ":", e.message);
+    return sendJson(res, 500, { error: "Rollback failed" });
+  }
+  console.log("[Admin]", user, "rolled back to version", n);
+  sendJson(res, 200, { current: n });
+}
+
+/**
+ * POST /admin/reload, body { force?: boolean } → { accepted, version?, problem? }
+ * Answers 409 when the new load is rejected by the sanity checks.
+ */
+function handleReload(req, res, user) {
+  jsonBody(req, res, async err => {
+    if (err) return sendJson(res, err.status || 400, { error: err.message });
+    const force = !!(req.body && req.body.force === true);
+    console.log("[Admin]", user, "requested a reload" + (force ? " (forced)" : ""));
+    try {
+      const result = await reloadKnowledge(force ? "forced reload by " + user : "reload by " + user, force);
+      sendJson(res, result.accepted ? 200 : 409, result);
+    } catch (e) {
+      console.error("[Admin] Reload failed:", e.message);
+      sendJson(res, 500, { error: "Reload failed" });
+    }
+  });
+}
+
+// Requests per client address: API routes in general, and sign-in attempts on their own (slows password guessing)
+const apiLimiter = security.createRateLimiter({ limit: RATE_LIMIT_PER_MINUTE, windowMs: 60 * 1000 });
+const loginLimiter = security.createRateLimiter({ limit: LOGIN_ATTEMPTS, windowMs: LOGIN_WINDOW_MINUTES * 60 * 1000 });
+
+/**
+ * Count a request against 'limiter'. Returns false after answering 429 (with Retry-After) when the
+ * client is over its limit.
+ */
+function withinLimit(limiter, req, res) {
+  const { allowed, retryAfter } = limiter.hit(security.clientAddress(req, TRUST_PROXY));
+  if (allowed) return true;
+  res.setHeader("Retry-After", String(retryAfter));
+  sendJson(res, 429, { error: "Too many requests. Please wait " + retryAfter + " seconds and try again." });
+  return false;
+}
+
+const server = http.createServer({ maxHeaderSize: MAX_HEADER_BYTES }, (req, res) => {
+  for (const [name, value] of Object.entries(security.SECURITY_HEADERS)) res.setHeader(name, value);
+  if (req.url.length > MAX_URL_LENGTH) {
+    res.writeHead(414);
+    return res.end("URI too long");
+  }
+
+  let url;
+  try {
+    url = new URL(req.url, "http://localhost");
+  } catch (err) {
+    res.writeHead(400);
+    return res.end("Bad request");
+  }
+  const { pathname, searchParams } = url;
+
+  if (pathname === "/") {
+    return sendPage(res, html);
+  }
+
+  if (!withinLimit(apiLimiter, req, res)) return;
+
+  if (pathname === "/login") {
+    if (req.method !== "POST") return methodNotAllowed(res, "POST");
+    if (!withinLimit(loginLimiter, req, res)) return;
+    return handleLogin(req, res);
+  }
+
+  if (pathname === "/logout" || pathname === "/me") {
+    return handleAccount(req, res, pathname);
+  }
+
+  if (pathname === "/kb") {
+    return signedIn(req, res, () => sendJson(res, 200, KB.filter(e => auth.canSee(req.session.user, e))));
+  }
+
+  if (pathname === "/kb/topics") {
+    return signedIn(req, res, () => handleTopics(req, res));
+  }
+
+  if (pathname === "/ask/stream") {
+    if (req.method !== "GET") return methodNotAllowed(res, "GET");
+    return signedIn(req, res, () => handleAskStream(req, res, searchParams));
+  }
+
+  if (pathname === "/ask") {
+    if (req.method !== "POST") return methodNotAllowed(res, "POST");
+    return signedIn(req, res, () => handleAsk(req, res));
+  }
+
+  if (pathname === "/session" || pathname === "/session/reset") {
+    return signedIn(req, res, () => handleSession(req, res, pathname));
+  }
+
+  if (pathname.startsWith("/sources/")) {
+    return signedIn(req, res, () => handleSource(req, res, pathname));
+  }
+
+  if (pathname === "/rfc" || pathname === "/rfc/answer" || pathname === "/rfc/download") {
+    return signedIn(req, res, () => handleRfc(req, res, pathname, searchParams));
+  }
+
+  if (pathname === "/feedback") {
+    if (req.method !== "POST") return methodNotAllowed(res, "POST");
+    return signedIn(req, res, () => handleFeedback(req, res));
+  }
+
+  if (pathname === "/admin" || pathname.startsWith("/admin/") || pathname === "/gaps" ||
+      pathname === "/feedback/report" || pathname === "/kb/versions" || pathname.startsWith("/kb/versions/")) {
+    return sessions(req, res, () => handleAdmin(req, res, pathname, searchParams));
+  }
+
+  res.writeHead(404);
+  res.end("Not found");
+});
+
+/**
+ * The /admin routes and the admin-only reports, once the session is loaded (see requireAdmin).
+ */
+function handleAdmin(req, res, pathname, searchParams) {
+  const user = requireAdmin(req, res);
+  if (!user) return;
+
+  // Changes only from the admin pages themselves: the browser sends cookies and cached Basic
+  // credentials with a request another site makes, too (CSRF). Lint uploads change nothing, so
+  // they keep their raw document body.
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    if (!security.sameOrigin(req, TRUST_PROXY)) {
+      console.error("[Admin] Refused a cross-site", req.method, pathname, "from", req.headers.origin || req.headers["sec-fetch-site"]);
+      return sendJson(res, 403, { error: "Cross-site request refused" });
+    }
+    if (pathname !== "/admin/lint" && !security.isJson(req)) {
+      return sendJson(res, 415, { error: "Content-Type must be application/json" });
+    }
+  }
+
+  if (pathname === "/admin") {
+    return sendPage(res, adminHtml);
+  }
+  if (pathname === "/admin/gaps") {
+    return sendPage(res, gapsHtml);
+  }
+  if (pathname === "/gaps") {
+    return handleGaps(req, res, searchParams, user);
+  }
+  if (pathname === "/feedback/report") {
+    return handleFeedbackReport(res, searchParams);
+  }
+  if (pathname === "/kb/versions" || pathname.startsWith("/kb/versions/")) {
+    return handleVersions(res, pathname, searchParams);
+  }
+  if (pathname === "/admin/kb" || pathname.startsWith("/admin/kb/")) {
+    return handleAdminKb(req, res, pathname, user);
+  }
+  if (pathname === "/admin/versions") {
+    return sendPage(res, versionsHtml);
+  }
+  if (/^\/admin\/versions\/\d+\/rollback$/.test(pathname)) {
+    if (req.method !== "POST") return methodNotAllowed(res, "POST");
+    return handleRollback(res, pathname, user);
+  }
+  if (pathname === "/admin/lint") {
+    if (req.method !== "GET" && req.method !== "POST") return methodNotAllowed(res, "GET, POST");
+    return handleLint(req, res, searchParams);
+  }
+  if (pathname === "/admin/reload") {
+    if (req.method !== "POST") return methodNotAllowed(res, "POST");
+    return handleReload(req, res, user);
+  }
+
+  res.writeHead(404);
+  res.end("Not found");
+}
+
+// ---------------------------------------------
+// START
+// ---------------------------------------------
+/**
+ * Load the KB, watch the sources for changes and start the HTTP server.
+ */
+function start() {
+  // Stored versions first, so a broken document at startup can fall back to them
+  loadSynonymDictionary();
+  loadOverrideStore();
+  VERSIONS = versions.loadVersions(VERSIONS_DIR);
+  lastSignature = sourcesSignature();
+  reloadKnowledge("startup");
+
+  // Auto-reload KB whenever a source file is added, removed or changed (polling every 2 seconds).
+  // This allows live updates to the chatbot answers without restarting the server.
+  setInterval(() => {
+    const signature = sourcesSignature();
+    if (signature === lastSignature) return;
+    lastSignature = signature;
+    console.log("[KB] Sources changed → Reloading...");
+    reloadKnowledge("sources changed");
+  }, 2000);
+
+  // Synonyms change both patterns and index terms, so a dictionary edit triggers a full KB reload.
+  fs.watchFile(SYNONYMS_PATH, { interval: 2000 }, () => {
+    console.log("[KB] Synonyms changed → Reloading...");
+    loadSynonymDictionary();
+    reloadKnowledge("synonyms changed");
+  });
+
+  loadChangeCalendar();
+  fs.watchFile(CALENDAR_PATH, { interval: 2000 }, () => {
+    console.log("[Calendar] Calendar changed → Reloading...");
+    loadChangeCalendar();
+  });
+  loadLeadTimeRules();
+  fs.watchFile(LEAD_TIMES_PATH, { interval: 2000 }, () => {
+    console.log("[Calendar] Lead-time rules changed → Reloading...");
+    loadLeadTimeRules();
+  });
+  loadRfcTemplate();
+  fs.watchFile(RFC_TEMPLATE_PATH, { interval: 2000 }, () => {
+    console.log("[RFC] RFC template changed → Reloading...");
+    loadRfcTemplate();
+  });
+  loadRiskModelFile();
+  fs.watchFile(RISK_MODEL_PATH, { interval: 2000 }, () => {
+    console.log("[Risk] Risk model changed → Reloading...");
+    loadRiskModelFile();
+  });
+
+  // Start the server and log the URL
+  server.requestTimeout = REQUEST_TIMEOUT_MS;
+  server.headersTimeout = Math.min(server.headersTimeout, REQUEST_TIMEOUT_MS);
+  server.listen(PORT, () =>
+    console.log(`Chatbot running at http://localhost:${PORT}`)
+  );
+}
+
+/**
+ * node server.js --lint [file...]
+ * Lints the given documents (default: the configured knowledge sources), prints a report
+ * and exits with status 1 when any document has errors.
+ */
+async function runLint(files) {
+  loadSynonymDictionary();
+  const targets = files.length ? files.map(f => path.resolve(f)) : knowledgeFiles();
+  if (!targets.length) {
+    console.error("No documents to lint");
+    process.exit(1);
+  }
+  let errors = 0;
+  for (const file of targets) {
+    const report = await lintDocument(file, path.relative(process.cwd(), file), CHUNKING);
+    console.log(formatReport(report) + "\n");
+    errors += report.errors;
+  }
+  process.exit(errors ? 1 : 0);
+}
+
+/**
+ * node server.js --hash-password [password]
+ * Prints a password hash for the users file (config/users.json). Without an argument the
+ * password is read from standard input, so it stays out of the shell history.
+ */
+async function printPasswordHash(password) {
+  if (password === undefined) {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    password = Buffer.concat(chunks).toString("utf8").replace(/\r?\n$/, "");
+  }
+  if (!password) {
+    console.error("No password given");
+    process.exit(1);
+  }
+  console.log(await auth.hashPassword(password));
+}
 
-// Start the server and log the URL
-server.listen(PORT, () =>
-  console.log(`Chatbot running at http://localhost:${PORT}`)
-);
+if (process.argv[2] === "--lint") runLint(process.argv.slice(3));
+else if (process.argv[2] === "--hash-password") printPasswordHash(process.argv[3]);
+else start();
@@ -0,0 +1,61 @@
+/**
+ * Admin changes from other sites are refused (see handleAdmin and lib/security.js sameOrigin/isJson).
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+const BASIC = "Basic " + Buffer.from("admin:pw").toString("base64");
+
+let server;
+
+before(async () => {
+  server = await startServer({ ADMIN_PASSWORD: "pw" });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+// POST /admin/reload with Basic auth plus 'headers'
+function reload(headers, body = "{}") {
+  return fetch(server.url + "/admin/reload", { method: "POST", headers: { Authorization: BASIC, ...headers }, body });
+}
+
+test("a reload from another origin is refused", async () => {
+  const res = await reload({ "Content-Type": "application/json", Origin: "https://evil.example" });
+  assert.equal(res.status, 403);
+});
+
+test("a reload the browser marks as cross-site is refused", async () => {
+  const res = await reload({ "Content-Type": "application/json", "Sec-Fetch-Site": "cross-site" });
+  assert.equal(res.status, 403);
+});
+
+test("an opaque origin is refused", async () => {
+  const res = await reload({ "Content-Type": "application/json", Origin: "null" });
+  assert.equal(res.status, 403);
+});
+
+test("form-encoded admin changes are refused", async () => {
+  const rollback = await fetch(server.url + "/admin/versions/1/rollback", {
+    method: "POST",
+    headers: { Authorization: BASIC, "Content-Type": "application/x-www-form-urlencoded" },
+    body: "x=1"
+  });
+  assert.equal(rollback.status, 415);
+
+  const added = await fetch(server.url + "/admin/kb", {
+    method: "POST",
+    headers: { Authorization: BASIC, "Content-Type": "text/plain" },
+    body: JSON.stringify({ q: "Injected?", a: "Yes" })
+  });
+  assert.equal(added.status, 415);
+});
+
+test("JSON from the admin pages' own origin goes through", async () => {
+  const res = await reload({ "Content-Type": "application/json", Origin: server.url, "Sec-Fetch-Site": "same-origin" });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).accepted, true);
+});
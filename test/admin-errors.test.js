@@ -0,0 +1,41 @@
+/**
+ * A reload or rollback that throws answers 500 instead of leaving the admin request hanging
+ * (handleReload, handleRollback).
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer } = require('./support/server');
+
+const ADMIN = { Authorization: "Basic " + Buffer.from("admin:pw").toString("base64"), "Content-Type": "application/json" };
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    ADMIN_PASSWORD: "pw",
+    NODE_OPTIONS: "--require " + path.join(__dirname, "support", "failing-versions.js")
+  });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test("a failing reload answers 500", async () => {
+  const res = await fetch(server.url + "/admin/reload", { method: "POST", headers: ADMIN, body: "{}" });
+  assert.equal(res.status, 500);
+  assert.equal((await res.json()).error, "Reload failed");
+});
+
+test("a failing rollback answers 500", async () => {
+  const res = await fetch(server.url + "/admin/versions/1/rollback", { method: "POST", headers: ADMIN, body: "{}" });
+  assert.equal(res.status, 500);
+  assert.equal((await res.json()).error, "Rollback failed");
+});
+
+test("the server keeps answering after the failures", async () => {
+  const res = await fetch(server.url + "/kb");
+  assert.equal(res.status, 200);
+});
@@ -0,0 +1,43 @@
+/**
+ * A failing generator, connector or store answers the question with an error instead of
+ * taking the server down (handleAsk, handleAskStream).
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer } = require('./support/server');
+
+const QUESTION = "What is an emergency change?";
+
+let server;
+
+before(async () => {
+  server = await startServer({ NODE_OPTIONS: "--require " + path.join(__dirname, "support", "failing-generator.js") });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test("POST /ask answers 500 when the answer cannot be generated", async () => {
+  const res = await fetch(server.url + "/ask", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ question: QUESTION })
+  });
+  assert.equal(res.status, 500);
+  assert.match((await res.json()).error, /something went wrong/);
+});
+
+test("GET /ask/stream sends an error event instead", async () => {
+  const res = await fetch(server.url + "/ask/stream?q=" + encodeURIComponent(QUESTION));
+  assert.equal(res.headers.get("content-type"), "text/event-stream");
+  const body = await res.text();
+  assert.match(body, /^event: error\ndata: \{"error":"[^"]+"\}\n\n$/);
+});
+
+test("the server keeps answering after a failure", async () => {
+  const res = await fetch(server.url + "/kb");
+  assert.equal(res.status, 200);
+});
@@ -0,0 +1,100 @@
+/**
+ * Change calendar (lib/calendar.js) and the date questions it answers (lib/intents.js):
+ * recurrences, exceptions, time zones and all-day freezes from an .ics file.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadCalendar, parseCalendar, occurrences, next, formatOccurrence } = require('../lib/calendar');
+const { local } = require('../lib/dates');
+const { answerIntent } = require('../lib/intents');
+
+const ICS = [
+  "BEGIN:VCALENDAR",
+  "BEGIN:VEVENT",
+  "SUMMARY:CAB meeting",
+  "CATEGORIES:CAB",
+  "DESCRIPTION:Submit before the agenda",
+  "  cutoff.",
+  "DTSTART;TZID=Africa/Nairobi:20260107T170000",
+  "DURATION:PT1H",
+  "RRULE:FREQ=WEEKLY;BYDAY=WE",
+  "EXDATE;TZID=Africa/Nairobi:20261028T170000",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "SUMMARY:Weeknight change window",
+  "CATEGORIES:Change window",
+  "DTSTART:20260106T200000",
+  "DTEND:20260106T230000",
+  "RRULE:FREQ=WEEKLY;BYDAY=TU,TH",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "SUMMARY:Trading blackout",
+  "DESCRIPTION:Only emergency changes may proceed.",
+  "DTSTART;VALUE=DATE:20261127",
+  "DTEND;VALUE=DATE:20261201",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "SUMMARY:Founders' Day holiday",
+  "DTSTART;VALUE=DATE:20261030",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "SUMMARY:Team lunch",
+  "DTSTART:20261021T120000",
+  "END:VEVENT",
+  "END:VCALENDAR"
+].join("\r\n");
+
+const CALENDAR = parseCalendar(ICS, "UTC");
+
+// A conversation on Monday 19 October 2026 at 09:00 (UTC): ask(question) → answerIntent's result
+function ask(question, now = local(2026, 10, 19, 9)) {
+  return answerIntent(question, { calendar: CALENDAR, leadTimes: null, now, timeZone: "UTC", state: {} });
+}
+
+test("events get their kind from CATEGORIES or SUMMARY; other events are ignored", () => {
+  assert.deepEqual(CALENDAR.events.map(e => e.kind), ["cab", "window", "freeze", "holiday"]);
+  assert.equal(CALENDAR.events[0].description, "Submit before the agenda cutoff.");
+});
+
+test("recurrences expand in the event's own zone, without excluded dates", () => {
+  const cabs = occurrences(CALENDAR, local(2026, 10, 19), local(2026, 11, 12), "cab");
+  assert.deepEqual(cabs.map(formatOccurrence), [
+    "Wednesday 21 October 2026, 14:00–15:00",
+    "Wednesday 4 November 2026, 14:00–15:00",
+    "Wednesday 11 November 2026, 14:00–15:00"
+  ]);
+});
+
+test("all-day periods end on their last day", () => {
+  const freeze = next(CALENDAR, "freeze", local(2026, 10, 19));
+  assert.equal(formatOccurrence(freeze), "Friday 27 November 2026 – Monday 30 November 2026");
+});
+
+test("deploy questions check freezes, windows and holidays", () => {
+  assert.match(ask("Can I deploy on 28 Nov?").text, /^No: Saturday 28 November 2026 falls in the Trading blackout .* The first change window after it is the Weeknight change window, Tuesday 1 December 2026, 20:00–23:00\./);
+  assert.match(ask("Can we release on Tuesday?").text, /^Yes: Tuesday 20 October 2026 is outside any change freeze\. Change windows that day: Weeknight change window 20:00–23:00\./);
+  const holiday = ask("Can I patch on 30 Oct?").text;
+  assert.match(holiday, /there is no change window that day\. The next one is the Weeknight change window, Tuesday 3 November 2026/);
+  assert.match(holiday, /Note: Friday 30 October 2026 is a holiday \(Founders' Day holiday\)\./);
+  assert.equal(ask("Can I deploy on 1 Oct 2026?").text, "Thursday 1 October 2026 has already passed.");
+});
+
+test("CAB, freeze and window questions come from the calendar", () => {
+  assert.match(ask("When is the next CAB?").text, /^The next CAB meeting is Wednesday 21 October 2026, 14:00–15:00\. Submit before the agenda cutoff\./);
+  assert.match(ask("Is there a CAB on 28 Oct?").text, /^No: there is no CAB meeting on Wednesday 28 October 2026\. The next one is Wednesday 4 November 2026/);
+  assert.match(ask("Are we in a change freeze?", local(2026, 11, 28, 10)).text, /^Yes: the Trading blackout is in effect now/);
+  assert.match(ask("When is the next change window?", local(2026, 11, 26, 23)).text,
+    /^The next change window is the Weeknight change window, Tuesday 1 December 2026, 20:00–23:00\. Windows before then fall in the Trading blackout\./);
+});
+
+test("definitions and e-CAB are left to the KB", () => {
+  assert.equal(ask("What is a change freeze?"), null);
+  assert.equal(ask("When does the e-CAB meet?"), null);
+});
+
+test("the shipped calendar has every kind of event", () => {
+  const shipped = loadCalendar(path.join(__dirname, "..", "config", "change-calendar.ics"), "Africa/Nairobi");
+  assert.deepEqual([...new Set(shipped.events.map(e => e.kind))].sort(), ["cab", "freeze", "holiday", "window"]);
+});
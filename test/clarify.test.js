@@ -0,0 +1,44 @@
+/**
+ * "Did you mean…?" on near-ties (rankAnswers in server.js), against the shipped knowledgebase.pdf.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+async function ask(question) {
+  const res = await fetch(server.url + "/ask", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ question })
+  });
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+test("a question asking exactly one of the near-ties is answered, not clarified", async () => {
+  const rollback = await ask("What is a rollback plan?");
+  assert.equal(rollback.clarify, undefined);
+  assert.equal(rollback.results[0].q, "What is a Back-out (Rollback) Plan?");
+  assert.ok(rollback.related.some(r => r.q === "What is required in the backout (rollback) plan?"));
+
+  const cab = await ask("What is CAB?");
+  assert.equal(cab.clarify, undefined);
+  assert.equal(cab.results[0].q, "What is the Change Advisory Board (CAB)?");
+});
+
+test("a bare keyword matching several questions still asks which was meant", async () => {
+  const cab = await ask("CAB");
+  assert.deepEqual(cab.clarify.map(c => c.q).sort(), ["What is the Change Advisory Board (CAB)?", "When is CAB?"]);
+  assert.equal(cab.answer, undefined);
+});
@@ -0,0 +1,39 @@
+/**
+ * Follow-up detection (lib/conversation.js): only messages about something the KB knows, or that
+ * only point back at the previous question, borrow the conversation's topic.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyze } = require('../lib/text');
+const { resolveFollowUp, chooseRanking } = require('../lib/conversation');
+
+const VOCABULARY = new Set(analyze("What is an emergency change? Lead times for a normal change. When is CAB?"));
+const CHAT = { topic: { keywords: "lead times", q: "What are the lead times?" }, turns: [] };
+
+const confident = { lowConfidence: false, results: [{ q: "What are the lead times?" }] };
+const unsure = { lowConfidence: true, results: [] };
+
+test("short questions with KB terms and cued questions are follow-ups", () => {
+  assert.equal(resolveFollowUp("emergency?", CHAT, VOCABULARY), "lead times emergency?");
+  assert.equal(resolveFollowUp("what about emergency ones?", CHAT, VOCABULARY), "lead times what about emergency ones?");
+  assert.equal(resolveFollowUp("and those?", CHAT, VOCABULARY), "lead times and those?");
+});
+
+test("messages the KB knows nothing about stand on their own", () => {
+  for (const message of ["pizza", "?????", "asdfgh qwerty", "\u0001\u0002\u0003", "", "what about pizza?"]) {
+    assert.equal(resolveFollowUp(message, CHAT, VOCABULARY), null, JSON.stringify(message));
+  }
+});
+
+test("long questions and conversations without a topic are not follow-ups", () => {
+  assert.equal(resolveFollowUp("how long does an emergency change take to get approved by CAB?", CHAT, VOCABULARY), null);
+  assert.equal(resolveFollowUp("emergency?", { topic: null, turns: [] }, VOCABULARY), null);
+});
+
+test("a cue prefers the confident resolved ranking; otherwise only a weak standalone one gives way", () => {
+  assert.deepEqual(chooseRanking("and emergency?", confident, confident, VOCABULARY), { ranked: confident, followUp: true });
+  assert.deepEqual(chooseRanking("emergency?", confident, unsure, VOCABULARY), { ranked: confident, followUp: false });
+  assert.deepEqual(chooseRanking("emergency?", unsure, confident, VOCABULARY), { ranked: confident, followUp: true });
+  assert.deepEqual(chooseRanking("pizza", unsure, null, VOCABULARY), { ranked: unsure, followUp: false });
+});
@@ -0,0 +1,36 @@
+/**
+ * Dates in free text (lib/dates.js parseDate).
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { local, parseDate } = require('../lib/dates');
+
+const TODAY = local(2026, 10, 19);           // A Monday in a year without 29 Feb
+
+// parseDate's day as "YYYY-MM-DD", or null
+function day(text, today = TODAY) {
+  const found = parseDate(text, today);
+  return found && new Date(found.day).toISOString().slice(0, 10);
+}
+
+test("dates without a year are the next such date", () => {
+  assert.equal(day("can I deploy on 25 Dec?"), "2026-12-25");
+  assert.equal(day("is Jan 15th frozen?"), "2027-01-15");
+  assert.equal(day("what about 19/10?"), "2026-10-19");
+});
+
+test("29 Feb without a year is the next leap day", () => {
+  assert.equal(day("can I deploy on 29 feb?"), "2028-02-29");
+  assert.equal(day("Feb 29th"), "2028-02-29");
+  assert.equal(day("29/02"), "2028-02-29");
+  assert.equal(day("29 Feb", local(2028, 2, 29)), "2028-02-29");
+  assert.equal(day("29 Feb", local(2097, 3, 1)), "2104-02-29");
+});
+
+test("days a month never has, or 29 Feb of a common year, are no date", () => {
+  assert.equal(day("31/02"), null);
+  assert.equal(day("30 February"), null);
+  assert.equal(day("29/02/2027"), null);
+  assert.equal(day("29/02/2028"), "2028-02-29");
+});
@@ -0,0 +1,88 @@
+/**
+ * Change records (lib/itsm.js, itsmTurn in server.js): the file connector's lookups, and
+ * "my open changes" only ever listing the signed-in user's changes.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const itsm = require('../lib/itsm');
+const { startServer } = require('./support/server');
+const { client } = require('./support/client');
+
+const USERS = path.join(__dirname, "..", "config", "users.example.json");   // rita, ivan, … with password "change-me"
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "itsm-test-"));
+const FILE = path.join(dir, "changes.json");
+fs.writeFileSync(FILE, JSON.stringify({
+  changes: [
+    { id: "CHG0000001", title: "Patch the ledger", state: "Scheduled", services: ["Ledger"], requestedBy: "rita",
+      plannedStart: "2030-03-02T10:00:00Z", plannedEnd: "2030-03-02T11:00:00Z", approvals: [{ approver: "CAB", state: "approved" }] },
+    { id: "CHG0000002", title: "Resize the payments cluster", state: "Assess", services: ["Payments", "Ledger"], requestedBy: "ivan",
+      plannedStart: "2030-03-01T10:00:00Z" },
+    { id: "CHG0000003", title: "Old ledger change", state: "Closed", services: ["Ledger"], requestedBy: "rita",
+      plannedStart: "2030-03-03T10:00:00Z" },
+    { id: "CHG0000004", title: "Ledger change long done", state: "Scheduled", services: ["Ledger"], assignedTo: "Rita",
+      plannedStart: "2020-01-01T10:00:00Z" }
+  ]
+}));
+
+let anonymous;
+let signedIn;
+
+before(async () => {
+  anonymous = await startServer({ ITSM_ADAPTER: "file", ITSM_FILE: FILE });
+  signedIn = await startServer({ ITSM_ADAPTER: "file", ITSM_FILE: FILE, AUTH_ADAPTER: "local", AUTH_USERS_PATH: USERS });
+});
+
+after(async () => {
+  if (anonymous) await anonymous.stop();
+  if (signedIn) await signedIn.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("the file connector finds changes by ID, owner and service", async () => {
+  const connector = itsm.createFileConnector({ file: FILE });
+  assert.equal((await connector.getChange("chg0000002")).title, "Resize the payments cluster");
+  assert.equal(await connector.getChange("CHG9999999"), null);
+  assert.deepEqual((await connector.openChanges("RITA")).map(c => c.id), ["CHG0000001", "CHG0000004"]);
+  const upcoming = await connector.upcomingChanges("ledger", new Date("2029-01-01T00:00:00Z"));
+  assert.deepEqual(upcoming.map(c => c.id), ["CHG0000002", "CHG0000001"]);
+});
+
+test("ticket IDs are upper-cased and listed once", () => {
+  assert.deepEqual(itsm.ticketIds("chg0000001 and CHG0000001, CHG0000002", /\bCHG\d{7}\b/gi), ["CHG0000001", "CHG0000002"]);
+});
+
+test("anyone can look a change up by its ticket number", async () => {
+  const reply = await client(anonymous).ask("What is the status of chg0000001?");
+  assert.equal(reply.intent, "change-record");
+  assert.deepEqual(reply.changes.map(c => c.id), ["CHG0000001"]);
+  assert.match(reply.answer.text, /Status: Scheduled\. .*Approvers: CAB \(approved\)/);
+});
+
+test("without sign-in, open changes are not listed for any name", async () => {
+  const chat = client(anonymous);
+  const mine = await chat.ask("show my open changes");
+  assert.equal(mine.intent, "change-record");
+  assert.deepEqual(mine.changes, []);
+  assert.match(mine.answer.text, /signed in/);
+
+  const named = await chat.ask("rita");
+  assert.notEqual(named.intent, "change-record");
+  assert.equal(named.changes, undefined);
+});
+
+test("signed in, open changes are the user's own whatever name is typed", async () => {
+  const chat = client(signedIn);
+  assert.equal((await chat.post("/login", { username: "rita", password: "change-me" })).status, 200);
+
+  const mine = await chat.ask("show my open changes");
+  assert.deepEqual(mine.changes.map(c => c.id), ["CHG0000001", "CHG0000004"]);
+  assert.match(mine.answer.text, /^Open changes for rita: /);
+
+  const other = await chat.ask("list my open changes as ivan");
+  assert.deepEqual(other.changes.map(c => c.id), ["CHG0000001", "CHG0000004"]);
+});
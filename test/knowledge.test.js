@@ -0,0 +1,58 @@
+/**
+ * Chunking of documents without Q:/A: blocks (lib/knowledge.js parseUnstructured): numbered
+ * headings split sections, numbered steps stay in the section they belong to.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUnstructured } = require('../lib/knowledge');
+
+const GUIDE = [
+  "1. Introduction",
+  "",
+  "This guide explains how changes are raised.",
+  "",
+  "2. Raising a Change",
+  "",
+  "2.1 Standard Changes",
+  "Standard changes are pre-approved.",
+  "",
+  "2.2 Emergency Changes",
+  "To raise an emergency change:",
+  "1. Call the on-call change manager",
+  "2. Raise the record in ServiceNow",
+  "3. Attach the incident number",
+  "",
+  "3. Review and Approval",
+  "CAB reviews normal changes weekly.",
+  "1. Submit RFC To CAB",
+  "2. Get Approval",
+  "3. Implement Change"
+].join("\n");
+
+test("numbered headings split the document into a heading path", () => {
+  const titles = parseUnstructured(GUIDE, { size: 400 }).map(e => e.q);
+  assert.deepEqual(titles, [
+    "1. Introduction",
+    "2. Raising a Change › 2.1 Standard Changes",
+    "2. Raising a Change › 2.2 Emergency Changes",
+    "3. Review and Approval"
+  ]);
+});
+
+test("a numbered list stays in its section as steps", () => {
+  const entries = parseUnstructured(GUIDE, { size: 400 });
+  const emergency = entries.find(e => e.q.endsWith("2.2 Emergency Changes"));
+  assert.match(emergency.a, /^1\. Call the on-call change manager\n2\. Raise the record in ServiceNow\n3\. Attach the incident number$/m);
+  // Title-cased steps are still steps: the next line is the next step, not body text
+  const review = entries.find(e => e.q === "3. Review and Approval");
+  assert.match(review.a, /^1\. Submit RFC To CAB\n2\. Get Approval\n3\. Implement Change$/m);
+});
+
+test("sentence-case and punctuated numbered lines are never headings", () => {
+  const text = "Checklist\n\n1. Raise the RFC in the tool\nIt needs a risk score.\n\n2. Is the window free?\nCheck the calendar.";
+  const entries = parseUnstructured(text, { size: 400 });
+  assert.equal(entries.length, 1);
+  assert.match(entries[0].a, /1\. Raise the RFC in the tool/);
+  assert.match(entries[0].a, /2\. Is the window free\?/);
+});
@@ -0,0 +1,80 @@
+/**
+ * Lead-time calculation (lib/lead-times.js) and the lead-time intent's conversation (lib/intents.js),
+ * against the shipped config/lead-times.json and a small calendar.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadLeadTimes, latestSubmission } = require('../lib/lead-times');
+const { parseCalendar } = require('../lib/calendar');
+const { local, formatDay } = require('../lib/dates');
+const { answerIntent } = require('../lib/intents');
+
+const LEAD_TIMES = loadLeadTimes(path.join(__dirname, "..", "config", "lead-times.json"));
+const CALENDAR = parseCalendar([
+  "BEGIN:VCALENDAR",
+  "BEGIN:VEVENT", "SUMMARY:CAB meeting", "CATEGORIES:CAB", "DTSTART:20260107T140000", "DTEND:20260107T150000",
+  "RRULE:FREQ=WEEKLY;BYDAY=WE", "END:VEVENT",
+  "BEGIN:VEVENT", "SUMMARY:Founders' Day", "CATEGORIES:Holiday", "DTSTART;VALUE=DATE:20261030", "END:VEVENT",
+  "BEGIN:VEVENT", "SUMMARY:Trading blackout", "CATEGORIES:Blackout", "DTSTART;VALUE=DATE:20261127",
+  "DTEND;VALUE=DATE:20261201", "END:VEVENT",
+  "END:VCALENDAR"
+].join("\r\n"), "UTC");
+
+// A conversation on Monday 19 October 2026: ask(question) → answerIntent's result
+function conversation() {
+  const context = { calendar: CALENDAR, leadTimes: LEAD_TIMES, now: local(2026, 10, 19, 9), timeZone: "UTC", state: {} };
+  return question => answerIntent(question, context);
+}
+
+test("notice is counted in business days, skipping weekends and holidays", () => {
+  const normal = latestSubmission(LEAD_TIMES, CALENDAR, "normal", local(2026, 11, 2));
+  assert.equal(formatDay(normal.latest), "Friday 23 October 2026");
+  assert.equal(normal.rule, "lead-time");
+  assert.deepEqual(normal.skipped, { weekend: 4, holidays: ["Founders' Day"], freeze: 0 });
+  assert.equal(formatDay(normal.cab.cutoff), "Tuesday 27 October 2026");
+});
+
+test("a CAB agenda cutoff earlier than the notice period sets the deadline", () => {
+  const standardCab = { ...LEAD_TIMES, types: { ...LEAD_TIMES.types, standard: { ...LEAD_TIMES.types.standard, cab: true } } };
+  const result = latestSubmission(standardCab, CALENDAR, "standard", local(2026, 10, 27));
+  assert.equal(result.rule, "cab");
+  assert.equal(formatDay(result.latest), "Tuesday 20 October 2026");
+});
+
+test("go-live in a freeze is refused unless the type is allowed in one", () => {
+  assert.equal(latestSubmission(LEAD_TIMES, CALENDAR, "major", local(2026, 11, 30)).frozen.summary, "Trading blackout");
+  const emergency = latestSubmission(LEAD_TIMES, CALENDAR, "emergency", local(2026, 11, 30));
+  assert.equal(emergency.frozen, undefined);
+  assert.equal(emergency.latest, local(2026, 11, 30));
+});
+
+test("a missing change type is asked for, with the types as choices", () => {
+  const ask = conversation();
+  const question = ask("How much notice for a go-live on 2 Nov?");
+  assert.equal(question.name, "lead-time");
+  assert.match(question.text, /^Which type of change is it/);
+  assert.deepEqual(question.choices, ["Standard", "Normal", "Major", "Emergency"]);
+
+  const answer = ask("a normal change please");
+  assert.match(answer.text, /^A Normal change going live on Monday 2 November 2026 must be submitted by Friday 23 October 2026\./);
+  assert.equal(answer.choices, undefined);
+});
+
+test("a missing go-live date is asked for and a bare date completes it", () => {
+  const ask = conversation();
+  assert.match(ask("What's the lead time for a major change?").text, /What is the go-live date\?/);
+  assert.match(ask("30 Nov").text, /falls in the Trading blackout, so a Major change cannot go live then/);
+});
+
+test("a question that only names the missing value is not taken as the reply", () => {
+  const ask = conversation();
+  ask("How much notice for a go-live on 2 Nov?");
+  assert.equal(ask("What is a normal change?"), null);
+  // The pending calculation is gone, so a bare type no longer completes it
+  assert.equal(ask("normal"), null);
+
+  ask("What's the lead time for a major change?");
+  assert.equal(ask("is 30 Nov frozen?").name, "freeze-status");
+});
@@ -0,0 +1,50 @@
+/**
+ * KB lint (lib/lint.js) on small Markdown documents.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { lintDocument } = require('../lib/lint');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kb-lint-test-"));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Lint 'lines' as a Markdown document; returns [code@line]
+async function lint(lines) {
+  const file = path.join(dir, "kb.md");
+  fs.writeFileSync(file, lines.join("\n") + "\n");
+  const report = await lintDocument(file);
+  return report.issues.map(i => i.code + "@" + i.line);
+}
+
+test("an empty answer is reported on its question, not as an indented answer below it", async () => {
+  const issues = await lint([
+    "Q: What is the Change Advisory Board and who sits on it?",
+    "A:",
+    "",
+    "Q: When is CAB?",
+    "A: Tuesdays",
+    "at ten."
+  ]);
+  assert.deepEqual(issues, ["empty-answer@1", "merged-question@4"]);
+});
+
+test("an indented answer is still reported as such", async () => {
+  const issues = await lint(["Q: Who approves?", "A: The CAB.", "", "Q: When is CAB?", "  A: Tuesdays."]);
+  assert.deepEqual(issues, ["indented-answer@4"]);
+});
+
+test("short questions are near-duplicates only with the same question word", async () => {
+  const issues = await lint([
+    "Q: What is CAB?", "A: The Change Advisory Board.", "",
+    "Q: When is CAB?", "A: Tuesdays.", "",
+    "Q: What is the CAB?", "A: The board that reviews changes.", "",
+    "Q: How do I raise an emergency change request?", "A: Call the change manager.", "",
+    "Q: How can I raise an emergency change request?", "A: Phone the change manager."
+  ]);
+  assert.deepEqual(issues, ["near-duplicate@7", "near-duplicate@13"]);
+});
@@ -0,0 +1,124 @@
+/**
+ * Admin overrides (lib/overrides.js and the /admin/kb routes in server.js): adding, editing,
+ * hiding and reverting KB entries, and the cross-site checks on every change.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const overrides = require('../lib/overrides');
+const { startServer } = require('./support/server');
+
+const ADMIN = { Authorization: "Basic " + Buffer.from("admin:pw").toString("base64"), "Content-Type": "application/json" };
+const EXTRACTED = [
+  { id: "cab", q: "What is CAB?", a: "The Change Advisory Board.", source: { file: "kb.md" } },
+  { id: "ecab", q: "Who approves emergency changes?", a: "The e-CAB.", source: { file: "kb.md" }, audience: ["cab"] }
+];
+
+let server;
+let knowledgeDir;
+
+before(async () => {
+  knowledgeDir = fs.mkdtempSync(path.join(os.tmpdir(), "overrides-test-"));
+  fs.writeFileSync(path.join(knowledgeDir, "kb.md"),
+    "Q: What is CAB?\nA: The Change Advisory Board.\n\nQ: When is CAB?\nA: Wednesdays at two.\n");
+  server = await startServer({ ADMIN_PASSWORD: "pw", KNOWLEDGE_DIR: knowledgeDir });
+});
+
+after(async () => {
+  if (server) await server.stop();
+  if (knowledgeDir) fs.rmSync(knowledgeDir, { recursive: true, force: true });
+});
+
+// An admin request (Basic auth) with a JSON body, plus any extra 'headers'
+function admin(method, route, body, headers = {}) {
+  return fetch(server.url + route, { method, headers: { ...ADMIN, ...headers }, body: JSON.stringify(body) });
+}
+
+// The admin console's entry list
+async function adminEntries() {
+  return (await (await fetch(server.url + "/admin/kb", { headers: ADMIN })).json()).entries;
+}
+
+// The answers the live KB holds
+async function kbAnswers() {
+  return (await (await fetch(server.url + "/kb")).json()).map(e => e.a);
+}
+
+test("overrides replace, hide or add entries on top of the extracted ones", () => {
+  const store = { entries: {} };
+  assert.equal(overrides.updateEntry(store, "ecab", { audience: [] }, "adam", true).error, undefined);
+  assert.ok(overrides.addEntry(store, { q: "What is a change freeze?", a: "A period without changes." }, "adam").id.startsWith("custom-"));
+  overrides.updateEntry(store, "cab", { disabled: true }, "adam", true);
+
+  const merged = overrides.applyOverrides(EXTRACTED, store);
+  assert.deepEqual(merged.map(e => e.q), ["Who approves emergency changes?", "What is a change freeze?"]);
+  assert.equal(merged[0].audience, undefined);
+  assert.deepEqual(merged[1].source, { admin: true });
+
+  // An override whose entry is gone from the documents is listed as orphaned
+  assert.deepEqual(overrides.listForAdmin(EXTRACTED.slice(0, 1), store).map(r => r.status), ["disabled", "orphaned", "added"]);
+});
+
+test("bad changes are refused with a readable message", () => {
+  const store = { entries: {} };
+  assert.equal(overrides.addEntry(store, { q: "Only a question?" }, "adam").error, "Both 'q' and 'a' are required");
+  assert.match(overrides.addEntry(store, { q: "Q?", a: "A.", audience: "wizards" }, "adam").error, /^Unknown role\(s\): wizards\./);
+  assert.deepEqual(overrides.updateEntry(store, "nope", { a: "A." }, "adam", false), { error: "Unknown entry id", status: 404 });
+  assert.equal(overrides.updateEntry(store, "cab", {}, "adam", true).status, 400);
+  assert.deepEqual(overrides.removeOverride(store, "cab"), { error: "No override for this id", status: 404 });
+  assert.deepEqual(store, { entries: {} });
+});
+
+test("a corrupt store throws instead of being read as empty", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "overrides-test-"));
+  try {
+    const file = path.join(dir, "overrides.json");
+    assert.deepEqual(overrides.loadOverrides(file), { entries: {} });
+    fs.writeFileSync(file, "{ not json");
+    assert.throws(() => overrides.loadOverrides(file), SyntaxError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("admins add, edit, hide and revert entries, and the KB follows", async () => {
+  const added = await admin("POST", "/admin/kb", { q: "What is a change freeze?", a: "A period without changes." });
+  assert.equal(added.status, 201);
+  const { id } = await added.json();
+  assert.ok((await kbAnswers()).includes("A period without changes."));
+
+  const cab = (await adminEntries()).find(e => e.q === "What is CAB?");
+  assert.equal(cab.status, "extracted");
+  assert.equal((await admin("PUT", "/admin/kb/" + cab.id, { a: "The board that reviews changes." })).status, 200);
+  const edited = (await adminEntries()).find(e => e.id === cab.id);
+  assert.equal(edited.status, "edited");
+  assert.equal(edited.original.a, "The Change Advisory Board.");
+  assert.equal(edited.updatedBy, "admin");
+  assert.ok((await kbAnswers()).includes("The board that reviews changes."));
+
+  assert.equal((await admin("PUT", "/admin/kb/" + cab.id, { disabled: true })).status, 200);
+  assert.ok(!(await kbAnswers()).includes("The board that reviews changes."));
+
+  assert.equal((await admin("DELETE", "/admin/kb/" + cab.id)).status, 200);
+  assert.equal((await admin("DELETE", "/admin/kb/" + id)).status, 200);
+  assert.deepEqual((await kbAnswers()).sort(), ["The Change Advisory Board.", "Wednesdays at two."]);
+  assert.equal((await admin("DELETE", "/admin/kb/" + id)).status, 404);
+  assert.equal((await admin("PUT", "/admin/kb/custom-0000", { a: "A." })).status, 404);
+});
+
+test("changes from another site, or not sent as JSON, are refused and change nothing", async () => {
+  const cab = (await adminEntries()).find(e => e.q === "What is CAB?");
+  const crossSite = [
+    await admin("POST", "/admin/kb", { q: "Injected?", a: "Yes." }, { Origin: "https://evil.example" }),
+    await admin("PUT", "/admin/kb/" + cab.id, { disabled: true }, { "Sec-Fetch-Site": "cross-site" }),
+    await admin("DELETE", "/admin/kb/" + cab.id, undefined, { Origin: "https://evil.example" })
+  ];
+  assert.deepEqual(crossSite.map(res => res.status), [403, 403, 403]);
+  assert.equal((await admin("PUT", "/admin/kb/" + cab.id, { disabled: true }, { "Content-Type": "text/plain" })).status, 415);
+
+  assert.deepEqual((await adminEntries()).map(e => e.status), ["extracted", "extracted"]);
+  assert.equal((await fetch(server.url + "/admin/kb", { method: "POST", body: "{}" })).status, 401);
+});
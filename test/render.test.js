@@ -0,0 +1,118 @@
+/**
+ * The chat page's answer renderer (renderMarkdown / renderInline / safeHref / describeAnswer in server.js):
+ * answer text must never turn into markup, scripts or unsafe links, and odd payloads never break a reply.
+ * The functions are run as the browser runs them: the page served at "/" is loaded into jsdom.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { startServer } = require('./support/server');
+
+let server;
+let window;
+
+before(async () => {
+  server = await startServer();
+  const html = await (await fetch(server.url + "/")).text();
+  const dom = new JSDOM(html, {
+    url: server.url + "/",
+    runScripts: "dangerously",
+    // The page asks the server who is signed in on load; these tests only need its functions
+    beforeParse(win) { win.fetch = () => new Promise(() => {}); }
+  });
+  window = dom.window;
+});
+
+after(async () => {
+  if (window) window.close();
+  if (server) await server.stop();
+});
+
+// Render 'text' into a detached element
+function render(text) {
+  const div = window.document.createElement("div");
+  div.append(window.renderMarkdown(text));
+  return div;
+}
+
+// Every attribute name in the rendered tree
+function attributeNames(root) {
+  return [...root.querySelectorAll("*")].flatMap(node => node.getAttributeNames());
+}
+
+test("markup in answers shows up as text", () => {
+  const div = render("<script>alert(1)</script>\n<img src=x onerror=alert(1)>\n- <b>bold</b>");
+  assert.equal(div.querySelectorAll("script, img, b").length, 0);
+  assert.match(div.textContent, /<script>alert\(1\)<\/script>/);
+  assert.match(div.textContent, /<img src=x onerror=alert\(1\)>/);
+  assert.deepEqual(attributeNames(div), []);
+});
+
+test("markup in table cells and list items stays text", () => {
+  const div = render("| Step | Note |\n| --- | --- |\n| <script>x()</script> | <a href=javascript:x()>go</a> |");
+  assert.equal(div.querySelectorAll("script, a").length, 0);
+  assert.equal(div.querySelectorAll("td")[0].textContent, "<script>x()</script>");
+});
+
+test("javascript: and data: links are not clickable", () => {
+  const div = render([
+    "[click](javascript:alert(1))",
+    "[click](JavaScript:alert(document.cookie))",
+    "[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)",
+    "[click](vbscript:msgbox)"
+  ].join("\n\n"));
+  assert.equal(div.querySelectorAll("a").length, 0);
+  assert.equal(div.querySelectorAll("p").length, 4);
+  // Only the label is left ("alert(1))" ends the link at its first ")")
+  assert.ok([...div.querySelectorAll("p")].every(p => /^click\)?$/.test(p.textContent)));
+});
+
+test("link targets cannot inject attributes", () => {
+  const div = render('[x](https://example.com/"onmouseover="alert(1)) and https://example.com/a"onclick="b');
+  const links = div.querySelectorAll("a");
+  assert.equal(links.length, 2);
+  for (const link of links) {
+    assert.deepEqual(link.getAttributeNames().sort(), ["href", "rel", "target"]);
+    assert.equal(link.protocol, "https:");
+    assert.equal(link.host, "example.com");
+  }
+  assert.ok(!attributeNames(div).some(name => name.startsWith("on")));
+});
+
+test("safeHref allows web, mail and same-site links only", () => {
+  assert.equal(window.safeHref("https://example.com/x"), "https://example.com/x");
+  assert.equal(window.safeHref("www.example.com"), "https://www.example.com");
+  assert.equal(window.safeHref("mailto:cab@example.com"), "mailto:cab@example.com");
+  assert.equal(window.safeHref("/sources/guide.pdf#page=2"), "/sources/guide.pdf#page=2");
+  for (const url of ["javascript:alert(1)", " javascript:alert(1)", "data:text/html,x", "vbscript:x",
+    "//evil.example.com", "/\\evil.example.com", "file:///etc/passwd"]) {
+    assert.equal(window.safeHref(url), null, url);
+  }
+});
+
+test("renderInline builds bold text, links and e-mail links as elements", () => {
+  const p = window.document.createElement("p");
+  window.renderInline("**Note:** mail cab@example.com or see [the guide](/sources/guide.md)", p);
+  assert.equal(p.querySelector("strong").textContent, "Note:");
+  const [mail, guide] = p.querySelectorAll("a");
+  assert.equal(mail.getAttribute("href"), "mailto:cab@example.com");
+  assert.equal(guide.getAttribute("href"), "/sources/guide.md");
+  assert.equal(guide.textContent, "the guide");
+  assert.equal(guide.hasAttribute("target"), false);
+});
+
+test("user messages are never rendered as Markdown or HTML", () => {
+  const row = window.addMessage("<img src=x onerror=alert(1)> **hi**", "user");
+  assert.equal(row.querySelectorAll("img, strong").length, 0);
+  assert.match(row.textContent, /<img src=x onerror=alert\(1\)> \*\*hi\*\*/);
+});
+
+test("calculated answers without sources still get their extras", () => {
+  for (const answer of [{ text: "x", generator: "intent" }, { text: "x", generator: "intent", sources: [] }]) {
+    const extras = window.describeAnswer({ intent: "next-cab", answer }, "when is CAB?");
+    assert.equal(extras.meta, "");
+    assert.equal(extras.citations.length, 0);
+    assert.equal(extras.feedback.matchedQ, null);
+  }
+});
@@ -0,0 +1,132 @@
+/**
+ * RFC drafting wizard (lib/rfc.js, rfcTurn and the /rfc routes in server.js), with the shipped
+ * config/rfc-template.json.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rfc = require('../lib/rfc');
+const { local } = require('../lib/dates');
+const { startServer } = require('./support/server');
+const { client } = require('./support/client');
+
+const TEMPLATE = rfc.loadTemplate(path.join(__dirname, "..", "config", "rfc-template.json"));
+const TODAY = local(2026, 10, 19);
+
+// Replies that complete the shipped template, one per step
+const ANSWERS = [
+  "Upgrade the payments database", "norm", "Payments, Ledger", "skip", "medium", "skip",
+  "Take a backup, run the upgrade script, then run the smoke tests.", "Restore the backup.", "E-mail the payments team."
+];
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+// Load a template from its JSON
+function template(data) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "rfc-test-")), "template.json");
+  fs.writeFileSync(file, JSON.stringify(data));
+  try {
+    return rfc.loadTemplate(file);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+}
+
+test("broken templates are refused with a readable message", () => {
+  assert.throws(() => template({ fields: [] }), /at least one field/);
+  assert.throws(() => template({ fields: [{ id: "a" }, { id: "a" }] }), /Duplicate field id 'a'/);
+  assert.throws(() => template({ fields: [{ id: "type", type: "choice" }] }), /'type': choice fields need 'choices'/);
+  assert.throws(() => template({ fields: [{ id: "when", type: "time" }] }), /unknown type 'time'/);
+});
+
+test("each step checks its answer and keeps asking until it is valid", () => {
+  const draft = rfc.newDraft();
+  assert.match(rfc.chatTurn(TEMPLATE, draft, "DB", TODAY).reply, /^Title needs a bit more detail/);
+  rfc.chatTurn(TEMPLATE, draft, "Upgrade the payments database", TODAY);
+  assert.match(rfc.chatTurn(TEMPLATE, draft, "purple", TODAY).reply, /^Change type must be one of: Standard, Normal, Major, Emergency/);
+  rfc.chatTurn(TEMPLATE, draft, "it is a major one", TODAY);
+  assert.equal(draft.values.changeType, "Major");
+  rfc.chatTurn(TEMPLATE, draft, "Payments; Ledger", TODAY);
+  assert.deepEqual(draft.values.services, ["Payments", "Ledger"]);
+  assert.match(rfc.chatTurn(TEMPLATE, draft, "1 Oct 2026", TODAY).reply, /^Planned start is in the past/);
+  rfc.chatTurn(TEMPLATE, draft, "next Tuesday", TODAY);
+  assert.equal(draft.values.plannedStart, "2026-10-27");
+
+  assert.match(rfc.chatTurn(TEMPLATE, draft, "back", TODAY).reply, /^Step 4 of 9 — Planned start/);
+  rfc.chatTurn(TEMPLATE, draft, "skip", TODAY);
+  assert.equal(draft.values.plannedStart, undefined);
+  assert.match(rfc.chatTurn(TEMPLATE, draft, "skip", TODAY).reply, /^Risk level is required\./);
+});
+
+test("the finished draft renders as Markdown and JSON", () => {
+  const draft = rfc.newDraft();
+  const errors = rfc.setValues(TEMPLATE, draft, {
+    title: "Rotate | certificates", changeType: "Standard", services: ["API Gateway"], risk: "Low",
+    implementation: "Rotate the certificates\nthen restart the gateway.", rollback: "Restore the old certificates.",
+    communication: "Post in the platform channel."
+  }, TODAY);
+  assert.deepEqual(errors, {});
+  assert.deepEqual(rfc.missingFields(TEMPLATE, draft), []);
+
+  const markdown = rfc.toMarkdown(TEMPLATE, draft);
+  assert.match(markdown, /^# Request for Change: Rotate \| certificates$/m);
+  assert.match(markdown, /^\| Affected services \| API Gateway \|$/m);
+  assert.match(markdown, /^\| Planned start \| — \|$/m);
+  assert.match(markdown, /^## Implementation plan\n\nRotate the certificates\nthen restart the gateway\.$/m);
+  assert.match(markdown, /^## Impact assessment\n\n_Not provided_$/m);
+
+  const json = rfc.toJson(TEMPLATE, draft);
+  assert.equal(json.complete, true);
+  assert.deepEqual(json.fields.map(f => f.id), ["title", "changeType", "services", "risk", "implementation", "rollback", "communication"]);
+});
+
+test("the wizard runs in the chat and the draft downloads once complete", async () => {
+  const chat = client(server);
+  const start = await chat.ask("help me draft an RFC");
+  assert.equal(start.intent, "rfc-draft");
+  assert.equal(start.rfc.step.index, 1);
+
+  assert.equal((await chat.get("/rfc/download")).status, 409);
+  let reply;
+  for (const answer of ANSWERS) reply = await chat.ask(answer);
+  assert.equal(reply.rfc.complete, true);
+  assert.equal(reply.rfc.step, null);
+  assert.match(reply.answer.text, /^Your RFC draft "Upgrade the payments database" is complete\./);
+
+  const markdown = await chat.get("/rfc/download?format=markdown");
+  assert.equal(markdown.headers.get("content-disposition"), 'attachment; filename="rfc-upgrade-the-payments-database.md"');
+  assert.match(await markdown.text(), /^\| Change type \| Normal \|$/m);
+  const json = await (await chat.get("/rfc/download?format=json")).json();
+  assert.deepEqual(json.missing, []);
+
+  // The wizard is done, so questions go back to the KB
+  assert.notEqual((await chat.ask("What is an emergency change?")).intent, "rfc-draft");
+});
+
+test("API clients can fill in the draft directly, with every field checked first", async () => {
+  const api = client(server);
+  const invalid = await api.post("/rfc", { fields: { changeType: "purple", colour: "red" } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(Object.keys((await invalid.json()).errors).sort(), ["changeType", "colour"]);
+
+  assert.equal((await api.post("/rfc", { fields: { title: "Patch the ledger" } })).status, 201);
+  const patched = await (await api.post("/rfc", { fields: { changeType: "Normal" } }, "PATCH")).json();
+  assert.deepEqual(patched.values, { title: "Patch the ledger", changeType: "Normal" });
+  assert.equal(patched.step.id, "services");
+
+  const answered = await (await api.post("/rfc/answer", { text: "Ledger" })).json();
+  assert.equal(answered.step.id, "plannedStart");
+  assert.equal((await api.post("/rfc", {}, "DELETE")).status, 200);
+  assert.equal((await api.get("/rfc")).status, 404);
+});
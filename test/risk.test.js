@@ -0,0 +1,100 @@
+/**
+ * Change risk questionnaire (lib/risk.js, riskTurn in server.js), with the shipped config/risk-model.json.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const risk = require('../lib/risk');
+const { loadLeadTimes } = require('../lib/lead-times');
+const { startServer } = require('./support/server');
+const { client } = require('./support/client');
+
+const MODEL = risk.loadRiskModel(path.join(__dirname, "..", "config", "risk-model.json"));
+const LEAD_TIMES = loadLeadTimes(path.join(__dirname, "..", "config", "lead-times.json"));
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+// Load a model from its JSON
+function model(data) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "risk-test-")), "model.json");
+  fs.writeFileSync(file, JSON.stringify(data));
+  try {
+    return risk.loadRiskModel(file);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+}
+
+// Answers keyed by question id: the option at 'pick' (0-based) everywhere, with 'overrides' by label
+function answers(pick, overrides = {}) {
+  return Object.fromEntries(MODEL.questions.map(q => [q.id, overrides[q.id] || q.options[pick === "last" ? q.options.length - 1 : pick].label]));
+}
+
+test("the score is weighted and scaled to 0–100, and picks the level", () => {
+  const low = risk.scoreAssessment(MODEL, answers(0));
+  assert.equal(low.score, 0);
+  assert.equal(low.level, "Low");
+  assert.equal(low.category, "standard");
+
+  const high = risk.scoreAssessment(MODEL, answers("last"));
+  assert.equal(high.score, 100);
+  assert.equal(high.level, "High");
+  assert.equal(high.factors[0].id, "impact");
+});
+
+test("an answer with a minimum level raises the level whatever the score", () => {
+  const result = risk.scoreAssessment(MODEL, answers(0, { rollback: "No rollback" }));
+  assert.ok(result.score <= 30);
+  assert.equal(result.level, "Medium");
+  assert.equal(result.raisedBy.length, 1);
+  assert.match(risk.explainAssessment(result, LEAD_TIMES), /Raised to Medium because of .*No rollback\. Implied change category: Normal\. Normal changes need 5 business days' notice/);
+});
+
+test("replies pick options by number, label or a unique prefix; anything else asks again", () => {
+  const assessment = risk.newAssessment();
+  assert.match(risk.chatTurn(MODEL, assessment, "purple").reply, /^Please pick one of the options\. Question 1 of 6/);
+  risk.chatTurn(MODEL, assessment, "2");
+  assert.equal(assessment.answers.impact, MODEL.questions[0].options[1].label);
+  risk.chatTurn(MODEL, assessment, "several");
+  assert.equal(assessment.answers.blastRadius, "Several services");
+  assert.match(risk.chatTurn(MODEL, assessment, "back").reply, /^Question 2 of 6/);
+  assert.equal(risk.chatTurn(MODEL, assessment, "cancel").cancelled, true);
+  assert.equal(assessment.active, false);
+});
+
+test("broken models are refused with a readable message", () => {
+  const levels = [{ level: "Low", upTo: 100 }];
+  assert.throws(() => model({ questions: [], levels }), /at least one question/);
+  assert.throws(() => model({ questions: [{ id: "a", options: [{ label: "x", score: 0 }] }], levels }), /'a' needs at least two options/);
+  assert.throws(() => model({ questions: [{ id: "a", options: [{ label: "x", score: 0 }, { label: "y", score: 1, minLevel: "Severe" }] }], levels }),
+    /'a': unknown minLevel 'Severe'/);
+});
+
+test("the questionnaire runs in the chat and ends with the outcome and KB guidance", async () => {
+  const chat = client(server);
+  const start = await chat.ask("is my change high risk?");
+  assert.equal(start.intent, "risk-assessment");
+  assert.deepEqual(start.risk.step.choices, MODEL.questions[0].options.map(o => o.label));
+
+  let reply;
+  for (let i = 0; i < MODEL.questions.length; i++) reply = await chat.ask("1");
+  assert.match(reply.answer.text, /^Risk level: Low \(score 0 out of 100\)\./);
+  assert.equal(reply.risk.result.level, "Low");
+  assert.equal(reply.risk.step, null);
+  assert.ok(reply.answer.sources.length > 0);
+  assert.match(reply.answer.text, / Guidance: "/);
+
+  // The questionnaire is done, so questions go back to the KB
+  assert.notEqual((await chat.ask("What is an emergency change?")).intent, "risk-assessment");
+});
@@ -0,0 +1,67 @@
+/**
+ * Content-Security-Policy and security headers on the chat page (see lib/security.js).
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./support/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+// The policy's directives as a Map: name → [sources]
+function directives(policy) {
+  return new Map(policy.split(";").map(d => d.trim().split(/\s+/)).map(([name, ...sources]) => [name, sources]));
+}
+
+// 'sha256-…' source for every inline <tag> block of the page
+function hashes(html, tag) {
+  return [...html.matchAll(new RegExp("<" + tag + ">([\\s\\S]*?)</" + tag + ">", "g"))]
+    .map(m => "'sha256-" + crypto.createHash("sha256").update(m[1], "utf8").digest("base64") + "'");
+}
+
+test("the chat page only runs its own inline script and style", async () => {
+  const res = await fetch(server.url + "/");
+  const html = await res.text();
+  const csp = directives(res.headers.get("content-security-policy"));
+
+  assert.deepEqual(csp.get("default-src"), ["'none'"]);
+  const scripts = hashes(html, "script");
+  assert.ok(scripts.length > 0);
+  assert.deepEqual(csp.get("script-src").sort(), scripts.sort());
+  assert.deepEqual(csp.get("style-src").sort(), hashes(html, "style").sort());
+  for (const sources of csp.values()) {
+    assert.ok(!sources.includes("'unsafe-inline'") && !sources.includes("'unsafe-eval'"));
+  }
+  assert.deepEqual(csp.get("connect-src"), ["'self'"]);
+  assert.deepEqual(csp.get("frame-ancestors"), ["'none'"]);
+  assert.deepEqual(csp.get("base-uri"), ["'none'"]);
+  assert.deepEqual(csp.get("form-action"), ["'self'"]);
+});
+
+test("the chat page sends the security headers", async () => {
+  const res = await fetch(server.url + "/");
+  assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+  assert.equal(res.headers.get("x-frame-options"), "DENY");
+  assert.equal(res.headers.get("referrer-policy"), "same-origin");
+  assert.equal(res.headers.get("cross-origin-opener-policy"), "same-origin");
+  assert.equal(res.headers.get("cross-origin-resource-policy"), "same-origin");
+  assert.match(res.headers.get("permissions-policy"), /camera=\(\)/);
+  assert.match(res.headers.get("content-type"), /^text\/html/);
+});
+
+test("API responses carry the security headers too", async () => {
+  const res = await fetch(server.url + "/kb");
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+  assert.equal(res.headers.get("x-frame-options"), "DENY");
+  assert.equal(res.headers.get("content-security-policy"), null);
+});
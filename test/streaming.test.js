@@ -0,0 +1,79 @@
+/**
+ * The chat page's streamed answers (streamAnswer in server.js): what the bubble shows when the
+ * stream is stopped or lost before the answer arrives. The page served at "/" runs in jsdom with
+ * a scripted EventSource in place of /ask/stream.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { startServer } = require('./support/server');
+
+let server;
+let html;
+
+before(async () => {
+  server = await startServer();
+  html = await (await fetch(server.url + "/")).text();
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+// The page in jsdom: { window, streams, signInChecks() }. Every EventSource it opens is pushed to
+// 'streams'; /me answers that nobody needs to sign in, other requests never answer.
+async function page() {
+  const streams = [];
+  const requests = [];
+  const dom = new JSDOM(html, {
+    url: server.url + "/",
+    runScripts: "dangerously",
+    beforeParse(win) {
+      win.fetch = url => {
+        requests.push(url);
+        if (url !== "/me") return new Promise(() => {});
+        return Promise.resolve({ json: () => Promise.resolve({ authRequired: false, user: null }) });
+      };
+      win.EventSource = class {
+        constructor(url) { this.url = url; this.listeners = {}; streams.push(this); }
+        addEventListener(type, listener) { this.listeners[type] = listener; }
+        close() { this.closed = true; }
+      };
+    }
+  });
+  await new Promise(resolve => setTimeout(resolve));
+  return { window: dom.window, streams, signInChecks: () => requests.filter(url => url === "/me").length };
+}
+
+// Ask 'question' through the form; resolves to the new bot bubble
+function ask(window, question) {
+  const { document } = window;
+  document.getElementById("input").value = question;
+  document.getElementById("form").dispatchEvent(new window.Event("submit", { cancelable: true }));
+  return [...document.querySelectorAll(".msg.bot .bubble")].pop();
+}
+
+test("stopping before the answer arrives says so, without checking the sign-in", async () => {
+  const { window, streams, signInChecks } = await page();
+  const bubble = ask(window, "What is CAB?");
+  assert.equal(streams.length, 1);
+  assert.equal(window.document.getElementById("stopBtn").hidden, false);
+
+  window.document.getElementById("stopBtn").click();
+  await new Promise(resolve => setTimeout(resolve));
+  assert.equal(bubble.textContent, "Stopped.");
+  assert.equal(streams[0].closed, true);
+  assert.equal(signInChecks(), 1);
+  assert.equal(window.document.getElementById("stopBtn").hidden, true);
+  window.close();
+});
+
+test("a connection lost before the answer arrives asks to try again and checks the sign-in", async () => {
+  const { window, streams, signInChecks } = await page();
+  const bubble = ask(window, "What is CAB?");
+  streams[0].onerror({});
+  assert.equal(bubble.textContent, "Sorry, I couldn't reach the server. Please try again.");
+  assert.equal(signInChecks(), 2);
+  window.close();
+});
@@ -0,0 +1,44 @@
+/**
+ * A browser-like client for a test server (see ./server.js): keeps the session cookie between
+ * requests and sends JSON.
+ *
+ *   const chat = client(server);
+ *   await chat.post("/login", { username: "rita", password: "change-me" });
+ *   const reply = await chat.ask("show my open changes");
+ */
+
+const assert = require('node:assert/strict');
+
+function client(server) {
+  let cookie = "";
+
+  // fetch() with the session cookie; remembers the cookie the server sets
+  async function request(route, options = {}) {
+    const res = await fetch(server.url + route, {
+      ...options,
+      headers: { ...(cookie && { Cookie: cookie }), ...options.headers }
+    });
+    const set = res.headers.getSetCookie().find(c => c.startsWith("cm.sid="));
+    if (set) cookie = set.split(";")[0];
+    return res;
+  }
+
+  return {
+    request,
+    get: route => request(route),
+    post: (route, body, method = "POST") =>
+      request(route, { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) }),
+    // POST /ask; resolves to the answer payload
+    async ask(question) {
+      const res = await request("/ask", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ question })
+      });
+      assert.equal(res.status, 200);
+      return res.json();
+    }
+  };
+}
+
+module.exports = { client };
@@ -0,0 +1,12 @@
+/**
+ * Preloaded into the server (NODE_OPTIONS=--require) by tests of the error paths: every answer
+ * generator throws, the extractive fallback included.
+ */
+
+const answers = require('../../lib/answers');
+
+for (const value of Object.values(answers)) {
+  if (value && typeof value.generate === "function") {
+    value.generate = async () => { throw new Error("Generator failure (test)"); };
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Preloaded into the server (NODE_OPTIONS=--require) by tests of the admin error paths: the startup
+ * load goes through, every later reload and every rollback throws.
+ */
+
+const versions = require('../../lib/versions');
+
+const checkCandidate = versions.checkCandidate;
+let loads = 0;
+
+versions.checkCandidate = (...args) => {
+  if (++loads > 1) throw new Error("Reload failure (test)");
+  return checkCandidate(...args);
+};
+versions.restoreEntries = () => { throw new Error("Rollback failure (test)"); };
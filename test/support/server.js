@@ -0,0 +1,89 @@
+/**
+ * Start server.js as a child process for a test file: on a free port, with its data files
+ * (versions, overrides, feedback, unanswered questions) in a scratch directory.
+ *
+ *   const server = await startServer({ ADMIN_PASSWORD: "pw" });
+ *   await fetch(server.url + "/");
+ *   await server.stop();
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, "..", "..");
+const START_TIMEOUT_MS = 30000;              // The KB is parsed before the server listens
+
+// A port nothing is listening on right now
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Resolves to { url, stop() } once the server logs that it is listening; 'env' is added to the
+ * server's environment. Rejects when the server exits or stays silent for START_TIMEOUT_MS.
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "chatbot-test-"));
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      VERSIONS_DIR: path.join(dataDir, "versions"),
+      OVERRIDES_PATH: path.join(dataDir, "overrides.json"),
+      FEEDBACK_PATH: path.join(dataDir, "feedback.jsonl"),
+      MISSES_PATH: path.join(dataDir, "unanswered.jsonl"),
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => fail(new Error("Server did not start:\n" + output)), START_TIMEOUT_MS);
+    function fail(err) {
+      clearTimeout(timer);
+      child.kill();
+      reject(err);
+    }
+    child.stdout.on("data", chunk => {
+      output += chunk;
+      if (output.includes("Chatbot running at")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on("data", chunk => { output += chunk; });
+    child.on("exit", code => fail(new Error("Server exited with code " + code + ":\n" + output)));
+  });
+
+  return {
+    url: "http://localhost:" + port,
+    stop() {
+      return new Promise(resolve => {
+        const cleanUp = () => {
+          fs.rmSync(dataDir, { recursive: true, force: true });
+          resolve();
+        };
+        child.removeAllListeners("exit");
+        if (child.exitCode !== null || child.signalCode !== null) return cleanUp();
+        child.on("exit", cleanUp);
+        child.kill();
+      });
+    }
+  };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,147 @@
+/**
+ * KB versions (lib/versions.js, reloadKnowledge and the /kb/versions and /admin/versions routes in server.js).
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const versions = require('../lib/versions');
+const { startServer } = require('./support/server');
+const { client } = require('./support/client');
+
+const USERS = path.join(__dirname, "..", "config", "users.example.json");   // rita (requester), adam (admin), … with password "change-me"
+const BASIC = { Authorization: "Basic " + Buffer.from("admin:pw").toString("base64") };
+const KB_MD = [
+  "Q: What is CAB?\nA: The Change Advisory Board.",
+  "Q: When is CAB?\nA: Wednesdays at two.",
+  "Q: What is an RFC?\nA: A request for change.",
+  "Q: Who approves emergency changes?\nA: The e-CAB."
+];
+
+let server;
+let knowledgeDir;
+
+before(async () => {
+  knowledgeDir = fs.mkdtempSync(path.join(os.tmpdir(), "versions-test-"));
+  fs.writeFileSync(path.join(knowledgeDir, "kb.md"), KB_MD.join("\n\n") + "\n");
+  server = await startServer({
+    ADMIN_PASSWORD: "pw", AUTH_ADAPTER: "local", AUTH_USERS_PATH: USERS, KNOWLEDGE_DIR: knowledgeDir
+  });
+});
+
+after(async () => {
+  if (server) await server.stop();
+  if (knowledgeDir) fs.rmSync(knowledgeDir, { recursive: true, force: true });
+});
+
+// Entries as the extractor leaves them: { id, q, a, source }
+function entries(count) {
+  return Array.from({ length: count }, (_, i) => ({ id: "q" + i, q: "Question " + i + "?", a: "Answer " + i + ".", source: { file: "kb.md" } }));
+}
+
+// An admin request with a JSON body (Basic auth)
+function admin(route, body) {
+  return fetch(server.url + route, {
+    method: "POST",
+    headers: { ...BASIC, "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+}
+
+// How many KB entries 'chat' (a signed-in client) gets from /kb
+async function kbSize(chat) {
+  return (await (await chat.get("/kb")).json()).length;
+}
+
+// A client signed in as 'username'
+async function signIn(username) {
+  const chat = client(server);
+  assert.equal((await chat.post("/login", { username, password: "change-me" })).status, 200);
+  return chat;
+}
+
+test("the version history and diffs are for admins only", async () => {
+  const rita = await signIn("rita");
+  assert.equal((await rita.get("/kb/versions")).status, 401);
+  assert.equal((await rita.get("/kb/versions/1")).status, 401);
+
+  const adam = await signIn("adam");
+  const history = await (await adam.get("/kb/versions")).json();
+  assert.equal(history.current, 1);
+  assert.equal(history.versions[0].reason, "startup");
+
+  const diff = await fetch(server.url + "/kb/versions/1", { headers: BASIC });
+  assert.equal(diff.status, 200);
+  assert.equal((await diff.json()).from, null);
+});
+
+test("a candidate KB is rejected when empty, or when it loses too many entries unless forced", () => {
+  assert.equal(versions.checkCandidate([], 0, true), "No entries could be extracted");
+  assert.equal(versions.checkCandidate(entries(4), 0, false), null);
+  assert.equal(versions.checkCandidate(entries(4), 10, false), "Entry count dropped from 10 to 4");
+  assert.equal(versions.checkCandidate(entries(5), 10, false), null);
+  assert.equal(versions.checkCandidate(entries(1), 10, true), null);
+});
+
+test("versions are numbered on from the last one, pruned to the newest 20, and unreadable files skipped", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "versions-test-"));
+  try {
+    const stored = [];
+    for (let i = 1; i <= 22; i++) versions.saveVersion(dir, stored, entries(i), "test " + i);
+    assert.deepEqual([stored[0].version, stored[stored.length - 1].version], [3, 22]);
+    assert.ok(versions.sameContent(stored[stored.length - 1], entries(22)));
+
+    fs.writeFileSync(path.join(dir, "v0099.json"), "{ not json");
+    const loaded = versions.loadVersions(dir);
+    assert.deepEqual(loaded.map(v => v.version), stored.map(v => v.version));
+    assert.equal(versions.saveVersion(dir, loaded, entries(1), "next").version, 23);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("diffs match entries on id", () => {
+  const before = { entries: entries(3) };
+  const after = { entries: [entries(3)[0], { ...entries(3)[1], a: "Reworded." }, { id: "new", q: "New?", a: "Yes." }] };
+  const diff = versions.diffVersions(before, after);
+  assert.deepEqual(diff.added, [{ id: "new", q: "New?" }]);
+  assert.deepEqual(diff.removed, [{ id: "q2", q: "Question 2?" }]);
+  assert.deepEqual(diff.changed.map(c => [c.id, c.before.a, c.after.a]), [["q1", "Answer 1.", "Reworded."]]);
+});
+
+test("a reload that drops most entries is refused until forced, and a rollback brings them back", async () => {
+  const rita = await signIn("rita");
+  assert.equal(await kbSize(rita), 4);
+
+  // Cut the sources down to one entry and wait for the source poll to reject it
+  fs.writeFileSync(path.join(knowledgeDir, "kb.md"), KB_MD[0] + "\n");
+  let history;
+  for (let tries = 0; tries < 50; tries++) {
+    history = await (await fetch(server.url + "/kb/versions", { headers: BASIC })).json();
+    if (history.lastRejected) break;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  assert.equal(history.lastRejected.reason, "sources changed");
+  assert.equal(history.lastRejected.problem, "Entry count dropped from 4 to 1");
+  assert.equal(await kbSize(rita), 4);
+
+  const refused = await admin("/admin/reload", {});
+  assert.equal(refused.status, 409);
+  assert.deepEqual(await refused.json(), { accepted: false, problem: "Entry count dropped from 4 to 1" });
+
+  const forced = await admin("/admin/reload", { force: true });
+  assert.deepEqual(await forced.json(), { accepted: true, version: 2 });
+  assert.equal(await kbSize(rita), 1);
+
+  const diff = await (await fetch(server.url + "/kb/versions/2?against=1", { headers: BASIC })).json();
+  assert.equal(diff.removed.length, 3);
+  assert.deepEqual([diff.added, diff.changed], [[], []]);
+
+  assert.equal((await admin("/admin/versions/99/rollback", {})).status, 404);
+  const rolledBack = await admin("/admin/versions/1/rollback", {});
+  assert.deepEqual(await rolledBack.json(), { current: 1 });
+  assert.equal(await kbSize(rita), 4);
+  assert.equal((await (await fetch(server.url + "/kb/versions", { headers: BASIC })).json()).versions[0].reason, "forced reload by admin");
+});